@@ -0,0 +1,300 @@
+// ---------------- Barcode decoding from label photos (pure JS, no native deps) ----------------
+// JPEG or PNG in; every DataMatrix, QR Code and Code 128 symbol ZXing finds in it out.
+// Each symbol is returned the way a scanner with AIM identifiers transmits it (symbology
+// identifier + data, FNC1 as GS), so it can go through parseScan() like a scanned string.
+import { Worker, isMainThread, workerData, parentPort } from "node:worker_threads";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import {
+  BarcodeFormat,
+  BinaryBitmap,
+  ChecksumException,
+  DecodeHintType,
+  FormatException,
+  HybridBinarizer,
+  MultiFormatReader,
+  NotFoundException,
+  RGBLuminanceSource,
+} from "@zxing/library";
+
+const GS = String.fromCharCode(29);
+
+// Same names as barcode-render's SYMBOLOGIES
+export const DECODE_FORMATS = {
+  datamatrix: BarcodeFormat.DATA_MATRIX,
+  qr: BarcodeFormat.QR_CODE,
+  "gs1-128": BarcodeFormat.CODE_128,
+};
+
+export const DECODE_MAX_SYMBOLS = 8;
+const MAX_INPUT_MEGAPIXELS = 40;
+// Larger photos are scaled down before decoding; ZXing on a full 12 MP frame takes seconds.
+const MAX_DECODE_SIDE = 2000;
+
+export function sniffImageType(buf) {
+  if (buf.length > 8 && buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4e && buf[3] === 0x47) return "image/png";
+  if (buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  return null;
+}
+
+// Width and height from the IHDR chunk, which the PNG format puts first (bytes 16-23), so an
+// oversized image is refused before anything is inflated. -> null if there is no IHDR there.
+function pngSize(buf) {
+  if (buf.length < 24 || buf.toString("latin1", 12, 16) !== "IHDR") return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+// -> { width, height, data: RGBA }. Throws Error(code).
+function decodePixels(buf, type) {
+  try {
+    if (type === "image/png") {
+      const size = pngSize(buf);
+      if (!size) throw new Error("IMAGE_UNREADABLE");
+      if (size.width * size.height > MAX_INPUT_MEGAPIXELS * 1e6) throw new Error("IMAGE_TOO_LARGE");
+      const png = PNG.sync.read(buf);
+      return { width: png.width, height: png.height, data: png.data };
+    }
+    return jpeg.decode(buf, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_INPUT_MEGAPIXELS, maxMemoryUsageInMB: 512 });
+  } catch (e) {
+    if (e.message === "IMAGE_TOO_LARGE" || /maxResolutionInMP|maxMemoryUsageInMB/.test(e.message)) throw new Error("IMAGE_TOO_LARGE");
+    throw new Error("IMAGE_UNREADABLE");
+  }
+}
+
+// RGBA -> 8-bit luminance, transparent pixels over white, box-averaged down by an integer factor.
+function luminance({ width, height, data }) {
+  const factor = Math.max(1, Math.ceil(Math.max(width, height) / MAX_DECODE_SIDE));
+  const w = Math.floor(width / factor);
+  const h = Math.floor(height / factor);
+  const out = new Uint8ClampedArray(w * h);
+  const area = factor * factor;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy++) {
+        let i = ((y * factor + dy) * width + x * factor) * 4;
+        for (let dx = 0; dx < factor; dx++, i += 4) {
+          const lum = (data[i] + 2 * data[i + 1] + data[i + 2]) >> 2;
+          sum += 255 - ((255 - lum) * data[i + 3]) / 255;
+        }
+      }
+      out[y * w + x] = sum / area;
+    }
+  }
+  return { lum: out, width: w, height: h, factor };
+}
+
+// 90° clockwise, for Code 128 printed vertically: RGBLuminanceSource cannot rotate itself.
+function rotateClockwise({ lum, width, height }) {
+  const out = new Uint8ClampedArray(lum.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) out[x * height + (height - 1 - y)] = lum[y * width + x];
+  }
+  return { lum: out, width: height, height: width };
+}
+
+// AIM symbology identifier for what ZXing decoded. A leading FNC1 shows up as GS in DataMatrix
+// text and as "]C1" in Code 128 text (ASSUME_GS1). ZXing does not report QR's FNC1 mode, so QR
+// symbols carry no identifier and the parser goes by the data alone.
+function symbologyData(format, text) {
+  if (format === BarcodeFormat.DATA_MATRIX) {
+    return text.startsWith(GS) ? { symbology_id: "]d2", data: text.slice(1) } : { symbology_id: "]d1", data: text };
+  }
+  if (format === BarcodeFormat.CODE_128) {
+    return text.startsWith("]C1") ? { symbology_id: "]C1", data: text.slice(3) } : { symbology_id: "]C0", data: text };
+  }
+  return { symbology_id: null, data: text };
+}
+
+function formatName(format) {
+  return Object.keys(DECODE_FORMATS).find((k) => DECODE_FORMATS[k] === format) || String(BarcodeFormat[format] || format);
+}
+
+function isNothingFound(e) {
+  return e instanceof NotFoundException || e instanceof ChecksumException || e instanceof FormatException;
+}
+
+// Blank the area of a found symbol so the next pass finds the one after it. A Code 128 result is
+// only its scan line, so the blanked band is grown to half the symbol's width above and below.
+function maskSymbol(img, points, linear, grow = 1) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const span = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), 1);
+  const pad = (linear ? span / 2 : span / 8) * grow;
+  const x0 = Math.max(0, Math.floor(Math.min(...xs) - (linear ? span / 10 : pad)));
+  const x1 = Math.min(img.width - 1, Math.ceil(Math.max(...xs) + (linear ? span / 10 : pad)));
+  const y0 = Math.max(0, Math.floor(Math.min(...ys) - pad));
+  const y1 = Math.min(img.height - 1, Math.ceil(Math.max(...ys) + pad));
+  for (let y = y0; y <= y1; y++) img.lum.fill(255, y * img.width + x0, y * img.width + x1 + 1);
+}
+
+// Square windows of a half and a third of the shorter side, each overlapping its neighbours by half.
+// ZXing's DataMatrix detector works outward from the centre of what it is given, so on a photo of
+// several labels a 2D symbol is only found in a window that holds it around its centre.
+function windows(width, height) {
+  const out = [];
+  for (const parts of [2, 3]) {
+    const side = Math.ceil(Math.min(width, height) / parts);
+    const step = Math.ceil(side / 2);
+    for (let top = 0; top < height - step; top += step) {
+      for (let left = 0; left < width - step; left += step) {
+        out.push({ left: Math.min(left, width - side), top: Math.min(top, height - side), width: side, height: side });
+      }
+    }
+  }
+  return out;
+}
+
+function reader(hints, formats) {
+  const h = new Map(hints);
+  h.set(DecodeHintType.POSSIBLE_FORMATS, formats);
+  const r = new MultiFormatReader();
+  r.setHints(h);
+  return { decode: (bitmap) => r.decode(bitmap, h) };
+}
+
+function boundsOf(points) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const r = (v) => Math.round(v * 10) / 10;
+  return {
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: r(Math.max(...xs) - Math.min(...xs)),
+    height: r(Math.max(...ys) - Math.min(...ys)),
+  };
+}
+
+// The same symbol decoded again (its blanked area did not cover all of it), as opposed to a second
+// label with the same content elsewhere in the photo: same content, centres within a symbol apart.
+function sameSymbol(a, b) {
+  if (a.format !== b.format || a.text !== b.text) return false;
+  const reach = Math.max(a.bounds.width, a.bounds.height, b.bounds.width, b.bounds.height);
+  const dx = a.bounds.x + a.bounds.width / 2 - (b.bounds.x + b.bounds.width / 2);
+  const dy = a.bounds.y + a.bounds.height / 2 - (b.bounds.y + b.bounds.height / 2);
+  return Math.hypot(dx, dy) <= reach;
+}
+
+// Decodes region by region until nothing more is found in it, adding to found
+function scanPass(img, regions, reader, found, maxSymbols, toImage) {
+  for (const region of regions) {
+    let repeats = 0;
+    for (let attempt = 0; attempt < maxSymbols * 2 && found.length < maxSymbols; attempt++) {
+      let result;
+      try {
+        const source = new RGBLuminanceSource(img.lum, region.width, region.height, img.width, img.height, region.left, region.top);
+        result = reader.decode(new BinaryBitmap(new HybridBinarizer(source)));
+      } catch (e) {
+        if (isNothingFound(e)) break;
+        throw e;
+      }
+      const format = result.getBarcodeFormat();
+      const text = result.getText();
+      const points = (result.getResultPoints() || [])
+        .filter(Boolean)
+        .map((p) => ({ x: p.getX() + region.left, y: p.getY() + region.top }));
+      if (!points.length) break;
+      const linear = format === BarcodeFormat.CODE_128;
+      const imagePoints = points.map(toImage);
+      const symbol = { format: formatName(format), text, bounds: boundsOf(imagePoints) };
+      if (found.some((s) => sameSymbol(s, symbol))) {
+        maskSymbol(img, points, linear, 2 * ++repeats);
+        continue;
+      }
+      maskSymbol(img, points, linear);
+
+      const { symbology_id, data } = symbologyData(format, text);
+      found.push({
+        format: symbol.format,
+        symbology_id,
+        gs1: symbology_id === "]d2" || symbology_id === "]C1",
+        data,
+        text,
+        raw: (symbology_id || "") + data,
+        points: imagePoints,
+        bounds: symbol.bounds,
+      });
+    }
+    if (found.length >= maxSymbols) return;
+  }
+}
+
+// buf: image bytes. formats: keys of DECODE_FORMATS (default all).
+// -> { content_type, width, height, scaled_by, symbols: [{ format, symbology_id, gs1, data, text, raw, points, bounds }] }
+// raw is what to hand to parseScan(); points/bounds are in pixels of the uploaded image.
+// Throws Error(code): IMAGE_FORMAT_UNSUPPORTED, IMAGE_TOO_LARGE, IMAGE_UNREADABLE, FORMAT_UNSUPPORTED.
+export function decodeImage(buf, { formats = Object.keys(DECODE_FORMATS), maxSymbols = DECODE_MAX_SYMBOLS } = {}) {
+  const content_type = sniffImageType(buf);
+  if (!content_type) throw new Error("IMAGE_FORMAT_UNSUPPORTED");
+  if (!formats.length || formats.some((f) => !DECODE_FORMATS[f])) throw new Error("FORMAT_UNSUPPORTED");
+
+  const pixels = decodePixels(buf, content_type);
+  const img = luminance(pixels);
+  const round = (v) => Math.round(v * img.factor * 10) / 10;
+  const asIs = (p) => ({ x: round(p.x), y: round(p.y) });
+
+  const hints = new Map([[DecodeHintType.TRY_HARDER, true], [DecodeHintType.ASSUME_GS1, true]]);
+  const all = formats.map((f) => DECODE_FORMATS[f]);
+  const matrix = all.filter((f) => f !== BarcodeFormat.CODE_128);
+  const whole = [{ left: 0, top: 0, width: img.width, height: img.height }];
+  const found = [];
+
+  // Whole image first: one centred symbol, and every horizontal Code 128 (row scans cover the image)
+  scanPass(img, whole, reader(hints, all), found, maxSymbols, asIs);
+  if (matrix.length && found.length < maxSymbols) {
+    scanPass(img, windows(img.width, img.height), reader(hints, matrix), found, maxSymbols, asIs);
+  }
+  // Vertical Code 128: the image turned 90° clockwise, with the symbols found so far already blanked
+  if (formats.includes("gs1-128") && found.length < maxSymbols) {
+    const turned = rotateClockwise(img);
+    scanPass(turned, [{ left: 0, top: 0, width: turned.width, height: turned.height }], reader(hints, [BarcodeFormat.CODE_128]), found, maxSymbols, (p) => ({
+      x: round(p.y),
+      y: round(img.height - 1 - p.x),
+    }));
+  }
+
+  return { content_type, width: pixels.width, height: pixels.height, scaled_by: img.factor, symbols: found };
+}
+
+// decodeImage on worker threads, so a photo that takes seconds does not hold up every other request.
+// At most `concurrency` decodes run at once; up to `maxQueued` more wait their turn, and beyond that
+// the call fails with DECODE_BUSY. -> (buf, options) => Promise of decodeImage's result; errors keep
+// decodeImage's codes.
+export function createImageDecoder({ concurrency = 1, maxQueued = 16 } = {}) {
+  let running = 0;
+  const queue = [];
+
+  const next = () => {
+    if (running >= concurrency || !queue.length) return;
+    const { buf, options, resolve, reject } = queue.shift();
+    running++;
+    const worker = new Worker(new URL(import.meta.url), { workerData: { decodeImage: true, buf, options } });
+    let settled = false;
+    const done = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      running--;
+      fn(value);
+      next();
+    };
+    worker.once("message", (m) => (m.error ? done(reject, new Error(m.error)) : done(resolve, m.result)));
+    worker.once("error", (e) => done(reject, e));
+    worker.once("exit", (code) => done(reject, new Error(`decode worker exited with ${code}`)));
+  };
+
+  return (buf, options = {}) =>
+    new Promise((resolve, reject) => {
+      if (queue.length >= maxQueued) return reject(new Error("DECODE_BUSY"));
+      queue.push({ buf, options, resolve, reject });
+      next();
+    });
+}
+
+if (!isMainThread && workerData?.decodeImage) {
+  const { buf, options } = workerData;
+  try {
+    parentPort.postMessage({ result: decodeImage(Buffer.from(buf.buffer, buf.byteOffset, buf.byteLength), options) });
+  } catch (e) {
+    parentPort.postMessage({ error: e.message });
+  }
+}
@@ -0,0 +1,730 @@
+// ---------------- Barcode symbol rendering (pure JS, no native deps) ----------------
+// GS1-128 (Code 128 + FNC1), GS1 DataMatrix (ECC 200) and GS1 QR Code, rendered to SVG or PNG
+// with the HRI text laid out beneath the symbol. Also builds ZPL II for Zebra printers, where the
+// printer draws the symbols itself.
+// Input data is a GS1 element string where ASCII 29 (GS) marks an FNC1 field separator.
+import zlib from "zlib";
+import { parseGs1Date } from "./gs1-dates.js";
+
+const GS = String.fromCharCode(29);
+
+// ---------------- Reed-Solomon over GF(256) ----------------
+function makeGf(poly) {
+  const exp = new Array(512);
+  const log = new Array(256).fill(0);
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    exp[i] = x;
+    log[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= poly;
+  }
+  for (let i = 255; i < 512; i++) exp[i] = exp[i - 255];
+  const mul = (a, b) => (a && b ? exp[log[a] + log[b]] : 0);
+  return { exp, log, mul };
+}
+
+// Generator with roots α^first … α^(first+n-1); returns coefficients, highest degree first (excl. leading 1).
+function rsGenerator(gf, n, first) {
+  let g = [1];
+  for (let i = 0; i < n; i++) {
+    const root = gf.exp[i + first];
+    const next = new Array(g.length + 1).fill(0);
+    for (let j = 0; j < g.length; j++) {
+      next[j] ^= g[j];
+      next[j + 1] ^= gf.mul(g[j], root);
+    }
+    g = next;
+  }
+  return g.slice(1);
+}
+
+function rsRemainder(gf, data, gen) {
+  const rem = new Array(gen.length).fill(0);
+  for (const d of data) {
+    const factor = d ^ rem.shift();
+    rem.push(0);
+    for (let i = 0; i < gen.length; i++) rem[i] ^= gf.mul(gen[i], factor);
+  }
+  return rem;
+}
+
+// ---------------- GS1-128 (Code 128) ----------------
+const CODE128_PATTERNS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+  "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+  "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+  "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+  "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+  "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+  "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+  "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+  "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+  "114131", "311141", "411131", "211412", "211214", "211232", "2331112",
+];
+const C128 = { CODE_C: 99, CODE_B: 100, FNC1: 102, START_B: 104, START_C: 105, STOP: 106 };
+
+function digitRun(s, i) {
+  let n = 0;
+  while (i + n < s.length && s[i + n] >= "0" && s[i + n] <= "9") n++;
+  return n;
+}
+
+// Code set B for CSet 82 text, code set C for digit runs; GS becomes FNC1.
+export function encodeCode128(data, { gs1 = true } = {}) {
+  const values = [];
+  let set = null;
+  const switchTo = (target) => {
+    if (set === target) return;
+    if (set === null) values.push(target === "C" ? C128.START_C : C128.START_B);
+    else values.push(target === "C" ? C128.CODE_C : C128.CODE_B);
+    set = target;
+  };
+
+  let i = 0;
+  const first = digitRun(data, 0);
+  switchTo(first >= 2 && (first >= 4 || first === data.length) ? "C" : "B");
+  if (gs1) values.push(C128.FNC1);
+
+  while (i < data.length) {
+    const ch = data[i];
+    if (ch === GS) {
+      values.push(C128.FNC1);
+      i++;
+      continue;
+    }
+    const run = digitRun(data, i);
+    if (set === "C" && run >= 2) {
+      values.push(Number(data.slice(i, i + 2)));
+      i += 2;
+      continue;
+    }
+    if (run >= 4 && run % 2 === 0) {
+      switchTo("C");
+      continue;
+    }
+    const code = ch.charCodeAt(0);
+    if (code < 32 || code > 127) throw new Error("CODE128_CHAR_UNSUPPORTED");
+    switchTo("B");
+    values.push(code - 32);
+    i++;
+  }
+
+  let sum = values[0];
+  for (let k = 1; k < values.length; k++) sum += values[k] * k;
+  values.push(sum % 103, C128.STOP);
+
+  // Widths alternate bar/space starting with a bar
+  const widths = [];
+  for (const v of values) for (const w of CODE128_PATTERNS[v]) widths.push(Number(w));
+  return { type: "linear", widths, codewords: values };
+}
+
+// ---------------- GS1 DataMatrix (ECC 200) ----------------
+// [symbol size, data region size, data codewords, ecc codewords, interleaved blocks]
+const DM_SQUARE = [
+  [10, 8, 3, 5, 1], [12, 10, 5, 7, 1], [14, 12, 8, 10, 1], [16, 14, 12, 12, 1], [18, 16, 18, 14, 1],
+  [20, 18, 22, 18, 1], [22, 20, 30, 20, 1], [24, 22, 36, 24, 1], [26, 24, 44, 28, 1],
+  [32, 14, 62, 36, 1], [36, 16, 86, 42, 1], [40, 18, 114, 48, 1], [44, 20, 144, 56, 1],
+  [48, 22, 174, 68, 1], [52, 24, 204, 84, 2], [64, 14, 280, 112, 2], [72, 16, 368, 144, 4],
+  [80, 18, 456, 192, 4], [88, 20, 576, 224, 4], [96, 22, 696, 272, 4], [104, 24, 816, 336, 6],
+];
+const DM_FNC1 = 232;
+const DM_PAD = 129;
+const GF_DM = makeGf(0x12d);
+
+// ASCII encodation: digit pairs as 130–229, other chars +1, GS/FNC1 as 232, upper shift for >127.
+function dmEncodeAscii(data, gs1) {
+  const cw = gs1 ? [DM_FNC1] : [];
+  for (let i = 0; i < data.length; i++) {
+    const c = data.charCodeAt(i);
+    const n = data.charCodeAt(i + 1);
+    if (c >= 48 && c <= 57 && n >= 48 && n <= 57) {
+      cw.push(130 + (c - 48) * 10 + (n - 48));
+      i++;
+    } else if (data[i] === GS && gs1) {
+      cw.push(DM_FNC1);
+    } else if (c < 128) {
+      cw.push(c + 1);
+    } else if (c < 256) {
+      cw.push(235, c - 127);
+    } else {
+      throw new Error("DATAMATRIX_CHAR_UNSUPPORTED");
+    }
+  }
+  return cw;
+}
+
+// ISO/IEC 16022 Annex F module placement ("utah" shapes) for an nrow x ncol mapping matrix.
+function dmPlacement(nrow, ncol) {
+  const array = new Array(nrow * ncol).fill(0);
+  const module = (row, col, chr, bit) => {
+    if (row < 0) { row += nrow; col += 4 - ((nrow + 4) % 8); }
+    if (col < 0) { col += ncol; row += 4 - ((ncol + 4) % 8); }
+    array[row * ncol + col] = 10 * chr + bit;
+  };
+  const utah = (row, col, chr) => {
+    module(row - 2, col - 2, chr, 1); module(row - 2, col - 1, chr, 2);
+    module(row - 1, col - 2, chr, 3); module(row - 1, col - 1, chr, 4);
+    module(row - 1, col, chr, 5); module(row, col - 2, chr, 6);
+    module(row, col - 1, chr, 7); module(row, col, chr, 8);
+  };
+  const corner = (chr, cells) => cells.forEach(([r, c], k) => module(r, c, chr, k + 1));
+  const corner1 = (chr) => corner(chr, [[nrow - 1, 0], [nrow - 1, 1], [nrow - 1, 2], [0, ncol - 2], [0, ncol - 1], [1, ncol - 1], [2, ncol - 1], [3, ncol - 1]]);
+  const corner2 = (chr) => corner(chr, [[nrow - 3, 0], [nrow - 2, 0], [nrow - 1, 0], [0, ncol - 4], [0, ncol - 3], [0, ncol - 2], [0, ncol - 1], [1, ncol - 1]]);
+  const corner3 = (chr) => corner(chr, [[nrow - 3, 0], [nrow - 2, 0], [nrow - 1, 0], [0, ncol - 2], [0, ncol - 1], [1, ncol - 1], [2, ncol - 1], [3, ncol - 1]]);
+  const corner4 = (chr) => corner(chr, [[nrow - 1, 0], [nrow - 1, ncol - 1], [0, ncol - 3], [0, ncol - 2], [0, ncol - 1], [1, ncol - 3], [1, ncol - 2], [1, ncol - 1]]);
+
+  let chr = 1;
+  let row = 4;
+  let col = 0;
+  do {
+    if (row === nrow && col === 0) corner1(chr++);
+    if (row === nrow - 2 && col === 0 && ncol % 4) corner2(chr++);
+    if (row === nrow - 2 && col === 0 && ncol % 8 === 4) corner3(chr++);
+    if (row === nrow + 4 && col === 2 && !(ncol % 8)) corner4(chr++);
+    do {
+      if (row < nrow && col >= 0 && !array[row * ncol + col]) utah(row, col, chr++);
+      row -= 2;
+      col += 2;
+    } while (row >= 0 && col < ncol);
+    row += 1;
+    col += 3;
+    do {
+      if (row >= 0 && col < ncol && !array[row * ncol + col]) utah(row, col, chr++);
+      row += 2;
+      col -= 2;
+    } while (row < nrow && col >= 0);
+    row += 3;
+    col += 1;
+  } while (row < nrow || col < ncol);
+  // Unfilled lower-right corner gets the fixed checker pattern
+  if (!array[nrow * ncol - 1]) array[nrow * ncol - 1] = array[nrow * ncol - ncol - 2] = 1;
+  return array;
+}
+
+export function encodeDataMatrix(data, { gs1 = true } = {}) {
+  const cw = dmEncodeAscii(data, gs1);
+  const spec = DM_SQUARE.find((s) => s[2] >= cw.length);
+  if (!spec) throw new Error("DATAMATRIX_DATA_TOO_LONG");
+  const [size, region, dataCap, eccLen, blocks] = spec;
+
+  // Pad: first 129, then the 253-state randomised pad
+  if (cw.length < dataCap) cw.push(DM_PAD);
+  while (cw.length < dataCap) {
+    const pos = cw.length + 1;
+    let r = DM_PAD + ((149 * pos) % 253) + 1;
+    if (r > 254) r -= 254;
+    cw.push(r);
+  }
+
+  // Interleaved Reed-Solomon blocks: codeword k belongs to block k % blocks
+  const gen = rsGenerator(GF_DM, eccLen / blocks, 1);
+  const ecc = new Array(eccLen);
+  for (let b = 0; b < blocks; b++) {
+    const blockData = cw.filter((_, k) => k % blocks === b);
+    rsRemainder(GF_DM, blockData, gen).forEach((e, k) => { ecc[k * blocks + b] = e; });
+  }
+  const all = cw.concat(ecc);
+
+  const regionsPerSide = size / (region + 2);
+  const nrow = regionsPerSide * region;
+  const placement = dmPlacement(nrow, nrow);
+
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  for (let r = 0; r < nrow; r++) {
+    for (let c = 0; c < nrow; c++) {
+      const v = placement[r * nrow + c];
+      const dark = v === 1 ? true : v >= 10 ? !!(all[Math.floor(v / 10) - 1] & (1 << (8 - (v % 10)))) : false;
+      const sr = 1 + Math.floor(r / region) * (region + 2) + (r % region);
+      const sc = 1 + Math.floor(c / region) * (region + 2) + (c % region);
+      modules[sr][sc] = dark;
+    }
+  }
+  // Finder (solid left/bottom) and clock (alternating top/right) pattern around every region
+  for (let ry = 0; ry < regionsPerSide; ry++) {
+    for (let rx = 0; rx < regionsPerSide; rx++) {
+      const top = ry * (region + 2);
+      const left = rx * (region + 2);
+      const bottom = top + region + 1;
+      const right = left + region + 1;
+      for (let k = 0; k < region + 2; k++) {
+        modules[top + k][left] = true;
+        modules[bottom][left + k] = true;
+        modules[top][left + k] = k % 2 === 0;
+        modules[top + k][right] = k % 2 === 1;
+      }
+    }
+  }
+  return { type: "matrix", modules, size, quiet: 1 };
+}
+
+// ---------------- GS1 QR Code ----------------
+const QR_ECC_CODEWORDS = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+const QR_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+const QR_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+const GF_QR = makeGf(0x11d);
+
+function qrRawModules(ver) {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+}
+
+function qrDataCodewords(ver, ecl) {
+  return Math.floor(qrRawModules(ver) / 8) - QR_ECC_CODEWORDS[ecl][ver] * QR_BLOCKS[ecl][ver];
+}
+
+function qrAlignmentPositions(ver) {
+  if (ver === 1) return [];
+  const size = ver * 4 + 17;
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function qrPenalty(m) {
+  const n = m.length;
+  let score = 0;
+  const lines = [];
+  for (let y = 0; y < n; y++) lines.push(m[y]);
+  for (let x = 0; x < n; x++) lines.push(m.map((row) => row[x]));
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= n; i++) {
+      if (i < n && line[i] === line[i - 1]) { run++; continue; }
+      if (run >= 5) score += 3 + (run - 5);
+      run = 1;
+    }
+    const bits = line.map((b) => (b ? "1" : "0")).join("");
+    for (const p of ["10111010000", "00001011101"]) {
+      for (let k = bits.indexOf(p); k >= 0; k = bits.indexOf(p, k + 1)) score += 40;
+    }
+  }
+  let dark = 0;
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      if (m[y][x]) dark++;
+      if (y < n - 1 && x < n - 1 && m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) score += 3;
+    }
+  }
+  score += 10 * Math.floor(Math.abs((dark * 100) / (n * n) - 50) / 5);
+  return score;
+}
+
+// Byte mode, preceded by the FNC1-in-first-position mode indicator when gs1 is set.
+export function encodeQr(data, { gs1 = true, ecl = "M" } = {}) {
+  const bytes = Buffer.from(data, "latin1");
+  let ver = 1;
+  for (; ver <= 40; ver++) {
+    const countBits = ver < 10 ? 8 : 16;
+    const needed = (gs1 ? 4 : 0) + 4 + countBits + bytes.length * 8;
+    if (needed <= qrDataCodewords(ver, ecl) * 8) break;
+  }
+  if (ver > 40) throw new Error("QR_DATA_TOO_LONG");
+
+  const bits = [];
+  const put = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  if (gs1) put(0b0101, 4);
+  put(0b0100, 4);
+  put(bytes.length, ver < 10 ? 8 : 16);
+  for (const b of bytes) put(b, 8);
+  const capacity = qrDataCodewords(ver, ecl) * 8;
+  put(0, Math.min(4, capacity - bits.length));
+  put(0, (8 - (bits.length % 8)) % 8);
+  const dataCw = [];
+  for (let i = 0; i < bits.length; i += 8) dataCw.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  for (let pad = 0xec; dataCw.length < capacity / 8; pad ^= 0xec ^ 0x11) dataCw.push(pad);
+
+  // Split into blocks (short blocks first), add ECC, interleave
+  const numBlocks = QR_BLOCKS[ecl][ver];
+  const eccLen = QR_ECC_CODEWORDS[ecl][ver];
+  const rawCw = Math.floor(qrRawModules(ver) / 8);
+  const numShort = numBlocks - (rawCw % numBlocks);
+  const shortLen = Math.floor(rawCw / numBlocks) - eccLen;
+  const gen = rsGenerator(GF_QR, eccLen, 0);
+  const blocks = [];
+  for (let b = 0, k = 0; b < numBlocks; b++) {
+    const len = shortLen + (b < numShort ? 0 : 1);
+    const d = dataCw.slice(k, k + len);
+    k += len;
+    blocks.push({ d, e: rsRemainder(GF_QR, d, gen) });
+  }
+  const codewords = [];
+  for (let i = 0; i <= shortLen; i++) for (const b of blocks) if (i < b.d.length) codewords.push(b.d[i]);
+  for (let i = 0; i < eccLen; i++) for (const b of blocks) codewords.push(b.e[i]);
+
+  // Function patterns
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFn = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFn = (x, y, dark) => { modules[y][x] = dark; isFn[y][x] = true; };
+  for (let i = 0; i < size; i++) { setFn(6, i, i % 2 === 0); setFn(i, 6, i % 2 === 0); }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        setFn(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  const align = qrAlignmentPositions(ver);
+  for (let i = 0; i < align.length; i++) {
+    for (let j = 0; j < align.length; j++) {
+      if ((i === 0 && j === 0) || (i === 0 && j === align.length - 1) || (i === align.length - 1 && j === 0)) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) setFn(align[i] + dx, align[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+  // Format information (ECC level + mask, BCH protected) in both copies
+  const drawFormat = (grid, mask) => {
+    const data = (QR_FORMAT_BITS[ecl] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const f = ((data << 10) | rem) ^ 0x5412;
+    const put = (x, y, i) => { grid[y][x] = ((f >>> i) & 1) === 1; isFn[y][x] = true; };
+    for (let i = 0; i <= 5; i++) put(8, i, i);
+    put(8, 7, 6);
+    put(8, 8, 7);
+    put(7, 8, 8);
+    for (let i = 9; i < 15; i++) put(14 - i, 8, i);
+    for (let i = 0; i < 8; i++) put(size - 1 - i, 8, i);
+    for (let i = 8; i < 15; i++) put(8, size - 15 + i, i);
+    setFn(8, size - 8, true);
+  };
+  drawFormat(modules, 0); // reserve the area before data placement
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const v = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((v >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFn(a, b, dark);
+      setFn(b, a, dark);
+    }
+  }
+
+  // Zigzag data placement
+  let bi = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFn[y][x] && bi < codewords.length * 8) {
+          modules[y][x] = ((codewords[bi >>> 3] >>> (7 - (bi & 7))) & 1) === 1;
+          bi++;
+        }
+      }
+    }
+  }
+
+  // Pick the mask with the lowest penalty
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const m = modules.map((row, y) => row.map((dark, x) => (isFn[y][x] ? dark : dark !== QR_MASKS[mask](x, y))));
+    drawFormat(m, mask);
+    const score = qrPenalty(m);
+    if (!best || score < best.score) best = { score, mask, m };
+  }
+  return { type: "matrix", modules: best.m, size, quiet: 4, version: ver, ecl, mask: best.mask };
+}
+
+
+// ---------------- HRI font (5x7, for PNG output) ----------------
+// Seven rows per glyph, two hex digits per row, bit 4 = leftmost column. Lowercase falls back to uppercase.
+const FONT_5X7 = {
+  " ": "00000000000000", "(": "02040808080402", ")": "08040202020408", "-": "0000001f000000",
+  ".": "00000000000c0c", "/": "00010204081000", ":": "000c0c000c0c00", "+": "0004041f040400",
+  "0": "0e11131519110e", "1": "040c040404040e", "2": "0e11010204081f", "3": "1f02040201110e",
+  "4": "02060a121f0202", "5": "1f101e0101110e", "6": "0608101e11110e", "7": "1f010204080808",
+  "8": "0e11110e11110e", "9": "0e11110f01020c", "A": "0e11111f111111", "B": "1e11111e11111e",
+  "C": "0e11101010110e", "D": "1c12111111121c", "E": "1f10101e10101f", "F": "1f10101e101010",
+  "G": "0e11101711110f", "H": "1111111f111111", "I": "0e04040404040e", "J": "0702020202120c",
+  "K": "11121418141211", "L": "1010101010101f", "M": "111b1515111111", "N": "11111915131111",
+  "O": "0e11111111110e", "P": "1e11111e101010", "Q": "0e11111115120d", "R": "1e11111e141211",
+  "S": "0f10100e01011e", "T": "1f040404040404", "U": "1111111111110e", "V": "11111111110a04",
+  "W": "1111111515150a", "X": "11110a040a1111", "Y": "1111110a040404", "Z": "1f01020408101f",
+};
+const FONT_FALLBACK = "1f11111111111f";
+
+function glyphRows(ch) {
+  const hex = FONT_5X7[ch] || FONT_5X7[ch.toUpperCase()] || FONT_FALLBACK;
+  const rows = [];
+  for (let r = 0; r < 7; r++) rows.push(parseInt(hex.slice(r * 2, r * 2 + 2), 16));
+  return rows;
+}
+
+// ---------------- Layout ----------------
+// Resolves a symbol into dark rectangles (in px) plus canvas size and HRI placement.
+function layoutSymbol(symbol, { scale, hri, barHeight }) {
+  const rects = [];
+  let symW;
+  let symH;
+  if (symbol.type === "linear") {
+    const quiet = 10;
+    const total = symbol.widths.reduce((a, b) => a + b, 0) + quiet * 2;
+    symW = total * scale;
+    symH = (barHeight ?? 50) * scale;
+    let x = quiet;
+    symbol.widths.forEach((w, k) => {
+      if (k % 2 === 0) rects.push({ x: x * scale, y: 0, w: w * scale, h: symH });
+      x += w;
+    });
+    symH += 2 * scale;
+  } else {
+    const q = symbol.quiet;
+    symW = (symbol.size + q * 2) * scale;
+    symH = symW;
+    symbol.modules.forEach((row, y) => {
+      for (let x = 0; x < row.length; x++) {
+        if (!row[x]) continue;
+        let end = x;
+        while (end + 1 < row.length && row[end + 1]) end++;
+        rects.push({ x: (x + q) * scale, y: (y + q) * scale, w: (end - x + 1) * scale, h: scale });
+        x = end;
+      }
+    });
+  }
+
+  const text = hri ? String(hri) : "";
+  const textScale = Math.max(1, Math.round(scale / 2));
+  const textW = text.length * 6 * textScale;
+  const textH = text ? 9 * textScale : 0;
+  const width = Math.max(symW, text ? textW + 4 * textScale : 0);
+  const offsetX = Math.floor((width - symW) / 2);
+  for (const r of rects) r.x += offsetX;
+  return {
+    width,
+    height: symH + textH + (text ? textScale : 0),
+    rects,
+    text,
+    textScale,
+    textX: Math.floor((width - textW) / 2),
+    textY: symH,
+  };
+}
+
+function escapeXml(s) {
+  return s.replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[c]));
+}
+
+export function renderSvg(symbol, opts) {
+  const l = layoutSymbol(symbol, opts);
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${l.width}" height="${l.height}" viewBox="0 0 ${l.width} ${l.height}" shape-rendering="crispEdges">`,
+    `<rect width="${l.width}" height="${l.height}" fill="#fff"/>`,
+    `<path fill="#000" d="${l.rects.map((r) => `M${r.x} ${r.y}h${r.w}v${r.h}h-${r.w}z`).join("")}"/>`,
+  ];
+  if (l.text) {
+    const size = 8 * l.textScale;
+    parts.push(
+      `<text x="${l.width / 2}" y="${l.textY + size}" font-family="OCR-B, monospace" font-size="${size}" text-anchor="middle">${escapeXml(l.text)}</text>`
+    );
+  }
+  parts.push("</svg>");
+  return parts.join("");
+}
+
+// ---------------- PNG (8-bit greyscale) ----------------
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+export function renderPng(symbol, opts) {
+  const l = layoutSymbol(symbol, opts);
+  const stride = l.width + 1; // filter byte per scanline
+  const raw = Buffer.alloc(stride * l.height, 0xff);
+  for (let y = 0; y < l.height; y++) raw[y * stride] = 0;
+  const fill = (x0, y0, w, h) => {
+    for (let y = y0; y < y0 + h && y < l.height; y++) raw.fill(0, y * stride + 1 + x0, y * stride + 1 + Math.min(x0 + w, l.width));
+  };
+  for (const r of l.rects) fill(r.x, r.y, r.w, r.h);
+
+  const ts = l.textScale;
+  [...l.text].forEach((ch, k) => {
+    const rows = glyphRows(ch);
+    const gx = l.textX + k * 6 * ts;
+    rows.forEach((bits, ry) => {
+      for (let cx = 0; cx < 5; cx++) {
+        if (bits & (0x10 >> cx)) fill(gx + cx * ts, l.textY + ts + ry * ts, ts, ts);
+      }
+    });
+  });
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(l.width, 0);
+  ihdr.writeUInt32BE(l.height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 0; // greyscale
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// ---------------- Entry point ----------------
+export const SYMBOLOGIES = ["datamatrix", "gs1-128", "qr"];
+export const GS1_128_MAX_DATA_CHARS = 48;
+
+// data: element string (GS-separated) or, for QR with gs1=false, a Digital Link URI.
+// Throws Error(code) for data the chosen symbology cannot carry.
+export function renderBarcode(data, { symbology = "datamatrix", format = "svg", scale, hri, gs1 = true } = {}) {
+  let symbol;
+  if (symbology === "gs1-128") {
+    if (gs1 && data.length > GS1_128_MAX_DATA_CHARS) throw new Error("GS1_128_DATA_TOO_LONG");
+    symbol = encodeCode128(data, { gs1 });
+  } else if (symbology === "datamatrix") {
+    symbol = encodeDataMatrix(data, { gs1 });
+  } else if (symbology === "qr") {
+    symbol = encodeQr(data, { gs1 });
+  } else {
+    throw new Error("SYMBOLOGY_UNSUPPORTED");
+  }
+
+  const px = Math.min(Math.max(Number(scale) || (symbol.type === "linear" ? 2 : 4), 1), 20);
+  const opts = { scale: px, hri };
+  if (format === "png") {
+    const body = renderPng(symbol, opts);
+    return { content_type: "image/png", body, symbol };
+  }
+  if (format === "svg") {
+    return { content_type: "image/svg+xml", body: renderSvg(symbol, opts), symbol };
+  }
+  throw new Error("FORMAT_UNSUPPORTED");
+}
+
+// ---------------- ZPL II ----------------
+// Templates are plain ZPL with {{placeholder}} fields. Text placeholders are escaped for ^FH\ fields;
+// barcode placeholders are emitted raw (GS1 data is CSet 82, which has no ^, ~ or \).
+export const ZPL_TEXT_FIELDS = [
+  "item_name", "item_no", "gtin", "lot", "expiry", "expiry_iso", "serial", "sscc", "qty",
+  "hri", "session_ref", "session_type", "printed_by", "printed_at",
+];
+export const ZPL_DATA_FIELDS = ["dm_data", "gs1_128_data", "digital_link", "copies"];
+
+export const ZPL_DEFAULT_TEMPLATE = [
+  "^XA",
+  "^CI28",
+  "^PW812^LL406^LH0,0",
+  "^FO30,25^A0N,34,34^FB752,2,4,L^FH\\^FD{{item_name}}^FS",
+  "^FO30,100^A0N,24,24^FH\\^FDItem {{item_no}}   Qty {{qty}}^FS",
+  "^FO30,140^BXN,6,200,,,,\\^FD{{dm_data}}^FS",
+  "^FO290,140^A0N,26,26^FH\\^FDGTIN {{gtin}}^FS",
+  "^FO290,180^A0N,26,26^FH\\^FDLOT {{lot}}^FS",
+  "^FO290,220^A0N,26,26^FH\\^FDEXP {{expiry_iso}}^FS",
+  "^FO290,260^A0N,26,26^FH\\^FDSN {{serial}}^FS",
+  "^FO30,360^A0N,20,20^FH\\^FD{{hri}}^FS",
+  "^PQ{{copies}}",
+  "^XZ",
+].join("\n");
+
+function zplText(v) {
+  return String(v ?? "").replace(/[\^~\\]/g, (c) => "\\" + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0"));
+}
+
+// ^BX with escape character "\": "\1" is FNC1, so GS1 mode leads with it and uses it as separator.
+function zplDataMatrixData(data, gs1) {
+  return gs1 ? "\\1" + data.split(GS).join("\\1") : data;
+}
+
+export function zplPlaceholders(template) {
+  return [...new Set([...String(template).matchAll(/\{\{\s*([a-z0-9_]+)\s*\}\}/g)].map((m) => m[1]))];
+}
+
+// label: { data, gs1, hri, elements?, digital_link?, item_name, item_no, qty, session_ref, ... }
+export function buildZpl(template, label, { copies = 1 } = {}) {
+  const ai = Object.fromEntries((label.elements || []).map((e) => [e.ai, e.value]));
+  const exp = ai["17"] || "";
+  const text = {
+    item_name: label.item_name,
+    item_no: label.item_no,
+    gtin: ai["01"] || label.gtin,
+    lot: ai["10"],
+    expiry: exp,
+    expiry_iso: exp ? parseGs1Date(exp).iso || "" : "",
+    serial: ai["21"],
+    sscc: ai["00"],
+    qty: label.qty,
+    hri: label.hri,
+    session_ref: label.session_ref,
+    session_type: label.session_type,
+    printed_by: label.printed_by,
+    printed_at: label.printed_at,
+  };
+  const data = {
+    dm_data: zplDataMatrixData(label.data || "", label.gs1),
+    // ^BC mode D (UCC/EAN) takes the parenthesised HRI and inserts FNC1 itself
+    gs1_128_data: label.gs1 ? label.hri : label.data,
+    digital_link: label.digital_link ? `QA,${label.digital_link}` : "",
+    copies: String(Math.max(1, Math.floor(Number(copies) || 1))),
+  };
+
+  let zpl = String(template).replace(/\{\{\s*([a-z0-9_]+)\s*\}\}/g, (_, name) => {
+    if (name in data) return data[name];
+    return zplText(text[name] ?? "");
+  });
+  if (!zplPlaceholders(template).includes("copies") && data.copies !== "1") {
+    zpl = zpl.replace(/\^XZ\s*$/, `^PQ${data.copies}\n^XZ`);
+  }
+  return zpl;
+}
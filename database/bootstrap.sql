@@ -27,7 +27,14 @@ CREATE TABLE IF NOT EXISTS policies (
   version int NOT NULL,
   is_active boolean NOT NULL,
   config jsonb NOT NULL,
-  created_at timestamptz NOT NULL DEFAULT now()
+  created_at timestamptz NOT NULL DEFAULT now(),
+  status text NOT NULL DEFAULT 'DRAFT' CHECK(status IN ('DRAFT','SCHEDULED','ACTIVE','RETIRED')),
+  note text,
+  based_on int,
+  created_by text,
+  activate_at timestamptz,
+  activated_at timestamptz,
+  activated_by text
 );
 
 CREATE TABLE IF NOT EXISTS scans (
@@ -39,7 +46,8 @@ CREATE TABLE IF NOT EXISTS scans (
   decision text NOT NULL CHECK(decision IN ('PASS','WARN','BLOCK')),
   checks jsonb NOT NULL,
   parsed jsonb NOT NULL,
-  context jsonb NOT NULL
+  context jsonb NOT NULL,
+  symbology_id text
 );
 
 CREATE TABLE IF NOT EXISTS cases (
@@ -107,6 +115,7 @@ CREATE TABLE IF NOT EXISTS public.items_cache (
   item_no text PRIMARY KEY,
   item_name text NOT NULL,
   is_top200 boolean NOT NULL DEFAULT false,
+  shelf_life_days int CHECK(shelf_life_days > 0),
   updated_at timestamptz NOT NULL DEFAULT now()
 );
 
@@ -114,6 +123,7 @@ CREATE TABLE IF NOT EXISTS public.work_sessions (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
   session_type text NOT NULL CHECK(session_type IN ('RECEIVING','PICKING','CYCLE_COUNT','TRANSFER','OTHER')),
   reference_no text,
+  customer_no text,
   created_by text NOT NULL,
   status text NOT NULL DEFAULT 'OPEN' CHECK(status IN ('OPEN','CLOSED')),
   created_at timestamptz NOT NULL DEFAULT now(),
@@ -147,10 +157,116 @@ CREATE TABLE IF NOT EXISTS public.tx_log (
   expected_qty numeric
 );
 
+CREATE TABLE IF NOT EXISTS public.label_templates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text UNIQUE NOT NULL,
+  description text,
+  body text NOT NULL,
+  is_default boolean NOT NULL DEFAULT false,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.print_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  created_by text NOT NULL,
+  template_id uuid REFERENCES public.label_templates(id) ON DELETE SET NULL,
+  source_type text NOT NULL CHECK(source_type IN ('SCAN','WORK_LINE','SSCC')),
+  source_ref text NOT NULL,
+  printer text,
+  copies int NOT NULL DEFAULT 1 CHECK(copies > 0),
+  zpl text NOT NULL,
+  status text NOT NULL DEFAULT 'QUEUED' CHECK(status IN ('QUEUED','SENT','PRINTED','FAILED','CANCELLED')),
+  error text,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.scanner_profiles (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text UNIQUE NOT NULL,
+  description text,
+  strip_prefixes jsonb NOT NULL DEFAULT '[]',
+  strip_suffixes jsonb NOT NULL DEFAULT '[]',
+  gs_substitutes jsonb NOT NULL DEFAULT '[]',
+  aim_id_mode text NOT NULL DEFAULT 'PARSE' CHECK(aim_id_mode IN ('PARSE','STRIP')),
+  gs_dropped boolean NOT NULL DEFAULT false,
+  is_default boolean NOT NULL DEFAULT false,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.scanner_profile_assignments (
+  scope text NOT NULL CHECK(scope IN ('DEVICE','USER')),
+  subject text NOT NULL,
+  profile_id uuid NOT NULL REFERENCES public.scanner_profiles(id) ON DELETE CASCADE,
+  assigned_by text NOT NULL,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY(scope, subject)
+);
+
+CREATE TABLE IF NOT EXISTS public.policy_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  description text,
+  scope text NOT NULL CHECK(scope IN ('ROLE','SESSION_TYPE','COMPANY_PREFIX','ITEM','GTIN')),
+  subject text NOT NULL,
+  priority int NOT NULL DEFAULT 0,
+  overrides jsonb NOT NULL,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.quality_holds (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind text NOT NULL CHECK(kind IN ('RECALL','FIELD_SAFETY','QUALITY_HOLD')),
+  reference text,
+  gtin text NOT NULL,
+  lot_from text,
+  lot_to text,
+  serials text[],
+  reason text,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  released_by text,
+  released_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS public.serial_registry (
+  gtin text NOT NULL,
+  serial text NOT NULL,
+  status text NOT NULL DEFAULT 'IN_STOCK' CHECK(status IN ('IN_STOCK','RETURNED')),
+  receipt_count int NOT NULL DEFAULT 1,
+  first_received_at timestamptz NOT NULL DEFAULT now(),
+  last_received_at timestamptz NOT NULL DEFAULT now(),
+  last_source text NOT NULL CHECK(last_source IN ('POSTING','TX_LOG')),
+  last_source_ref text,
+  last_document_no text,
+  last_session_id text,
+  last_received_by text,
+  returned_at timestamptz,
+  returned_by text,
+  return_reference text,
+  PRIMARY KEY (gtin, serial)
+);
+
 CREATE INDEX IF NOT EXISTS idx_items_cache_top200 ON public.items_cache(is_top200);
 CREATE INDEX IF NOT EXISTS idx_work_sessions_status ON public.work_sessions(status);
 CREATE INDEX IF NOT EXISTS idx_work_lines_session ON public.work_lines(session_id);
 CREATE INDEX IF NOT EXISTS idx_tx_log_created_at ON public.tx_log(created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_label_templates_default ON public.label_templates(is_default) WHERE is_default;
+CREATE INDEX IF NOT EXISTS idx_print_jobs_status ON public.print_jobs(status, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_scanner_profiles_default ON public.scanner_profiles(is_default) WHERE is_default;
+CREATE INDEX IF NOT EXISTS idx_policy_rules_scope ON public.policy_rules(scope, subject) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_quality_holds_gtin ON public.quality_holds(gtin) WHERE is_active;
 
 -- -------- RPC helpers used by operator endpoints --------
 CREATE OR REPLACE FUNCTION public.rpc_qty_suggestion(p_session_id uuid, p_item_no text)
@@ -206,6 +322,13 @@ BEGIN
     'work_sessions',
     'work_lines',
     'tx_log',
+    'label_templates',
+    'print_jobs',
+    'scanner_profiles',
+    'scanner_profile_assignments',
+    'policy_rules',
+    'quality_holds',
+    'serial_registry',
     'policies',
     'scans',
     'users',
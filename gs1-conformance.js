@@ -0,0 +1,105 @@
+// ---------------- GS1 conformance corpus ----------------
+// Runs the labelled samples in gs1-conformance.json through parseScan() and decide() and reports
+// pass/fail per case. A case may pin the policy fields it is about ("policy"); everything else
+// comes from the policy under test, so a failure can also mean the active policy treats a known
+// label differently. "context" stands in for what the server looks up (quality holds, serial
+// registry entry, ...) and "no_block": true decides the case in NO-BLOCK mode. Served by GET /api/parse/selftest, and from the command line:
+//
+//   node gs1-conformance.js [--policy policy.json] [--json]
+//
+// which exits with 1 when a case fails.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { GS, DEFAULT_POLICY, parseScan, decide, buildHri } from "./gs1-parser.js";
+
+const CORPUS_FILE = new URL("./gs1-conformance.json", import.meta.url);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function loadConformanceCorpus() {
+  return JSON.parse(fs.readFileSync(CORPUS_FILE, "utf8"));
+}
+
+// {GS} -> GS; {+30d} / {-10d} -> YYMMDD that many days from today; {+95d/00} -> YYMM00 of that date.
+// Expiry cases stay what they are labelled as however long the corpus has been around.
+function expandTokens(v, today) {
+  if (typeof v === "string") {
+    return v.replace(/\{GS\}/g, GS).replace(/\{([+-]\d+)d(\/00)?\}/g, (_, n, dayUnspecified) => {
+      const iso = new Date(today.getTime() + Number(n) * DAY_MS).toISOString();
+      return iso.slice(2, 4) + iso.slice(5, 7) + (dayUnspecified ? "00" : iso.slice(8, 10));
+    });
+  }
+  if (Array.isArray(v)) return v.map((x) => expandTokens(x, today));
+  if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, expandTokens(x, today)]));
+  return v;
+}
+
+function runCase(c, basePolicy) {
+  const policy = { ...basePolicy, ...(c.policy || {}) };
+  const exp = c.expect || {};
+  const out = { id: c.id, label: c.label || null, raw: c.raw, pass: false, failures: [] };
+
+  let normalized;
+  let parsedResult;
+  let d;
+  try {
+    ({ normalized, parsedResult } = parseScan(c.raw, policy.missing_gs_behavior || "BLOCK"));
+    d = decide(parsedResult, policy, c.context || {}, { noBlock: c.no_block === true });
+  } catch (e) {
+    out.failures.push(`threw ${e?.message || e}`);
+    return out;
+  }
+  const codes = d.checks.map((x) => x.code);
+  const segments = parsedResult.segments.map(({ ai, value }) => ({ ai, value }));
+  Object.assign(out, { decision: d.decision, checks: codes, hri: buildHri(segments) });
+
+  if (exp.normalized !== undefined && normalized !== exp.normalized) {
+    out.failures.push(`normalized ${JSON.stringify(normalized)}, expected ${JSON.stringify(exp.normalized)}`);
+  }
+  if (exp.segments && JSON.stringify(segments) !== JSON.stringify(exp.segments.map(({ ai, value }) => ({ ai, value })))) {
+    out.failures.push(`segments ${buildHri(segments)}, expected ${buildHri(exp.segments)}`);
+  }
+  for (const [key, value] of Object.entries(exp.meta || {})) {
+    if (parsedResult.meta?.[key] !== value) out.failures.push(`meta.${key} ${JSON.stringify(parsedResult.meta?.[key])}, expected ${JSON.stringify(value)}`);
+  }
+  if (exp.decision && d.decision !== exp.decision) out.failures.push(`decision ${d.decision}, expected ${exp.decision}`);
+  for (const code of exp.checks || []) if (!codes.includes(code)) out.failures.push(`${code} not raised`);
+  for (const code of exp.no_checks || []) if (codes.includes(code)) out.failures.push(`${code} raised`);
+
+  out.pass = out.failures.length === 0;
+  return out;
+}
+
+// policy: the policy under test (the active one for the endpoint). NO-BLOCK is only applied to the
+// cases that ask for it, so the other expected decisions are the policy's own.
+export function runConformance(policy = DEFAULT_POLICY, { corpus = loadConformanceCorpus(), today = new Date() } = {}) {
+  const cases = corpus.cases.map((c) => runCase(expandTokens(c, today), policy));
+  const passed = cases.filter((c) => c.pass).length;
+  return {
+    corpus_version: corpus.version,
+    all_passed: passed === cases.length,
+    total: cases.length,
+    passed,
+    failed: cases.length - passed,
+    cases,
+  };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const policyFile = args.includes("--policy") ? args[args.indexOf("--policy") + 1] : null;
+  const policy = policyFile ? JSON.parse(fs.readFileSync(policyFile, "utf8")) : DEFAULT_POLICY;
+  const report = runConformance(policy.config || policy);
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const c of report.cases) {
+      console.log(`${c.pass ? "PASS" : "FAIL"}  ${c.id}  ${c.label || ""}`);
+      for (const f of c.failures) console.log(`        - ${f}`);
+    }
+    console.log(`\n${report.passed}/${report.total} passed (corpus v${report.corpus_version})`);
+  }
+  process.exitCode = report.all_passed ? 0 : 1;
+}
@@ -0,0 +1,148 @@
+// ---------------- GS1 dates ----------------
+// YYMMDD date AIs and the cross-field rules between them. The two-digit year is resolved with the
+// GS1 General Specifications century rule (7.12): a sliding window of 49 years back / 50 ahead.
+// DD = "00" means the day is not specified; the date then spans the whole month.
+
+// ai -> check code prefix and wording
+export const GS1_DATE_AIS = {
+  "11": { prefix: "PROD_DATE", label: "production date" },
+  "12": { prefix: "DUE_DATE", label: "due date" },
+  "13": { prefix: "PACK_DATE", label: "packaging date" },
+  "15": { prefix: "BEST_BEFORE", label: "best before date" },
+  "16": { prefix: "SELL_BY", label: "sell by date" },
+  "17": { prefix: "EXPIRY", label: "expiry" },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDay(dt) {
+  return dt.toISOString().slice(0, 10);
+}
+
+export function gs1CenturyYear(yy, today = new Date()) {
+  const current = today.getUTCFullYear();
+  const century = current - (current % 100);
+  const diff = yy - (current % 100);
+  if (diff >= 51) return century - 100 + yy;
+  if (diff <= -50) return century + 100 + yy;
+  return century + yy;
+}
+
+// "YYMMDD" -> { iso, y, m, d, day_unspecified, earliest, latest } or { error }.
+// iso is the last day of the month when DD = 00 (the GS1 reading for expiry-type dates).
+export function parseGs1Date(v, { ai = "17", today = new Date() } = {}) {
+  const prefix = GS1_DATE_AIS[ai]?.prefix || "DATE";
+  const s = String(v || "");
+  if (!/^\d{6}$/.test(s)) return { error: `${prefix}_FORMAT_INVALID` };
+  const yy = Number(s.slice(0, 2));
+  const mm = Number(s.slice(2, 4));
+  const dd = Number(s.slice(4, 6));
+  if (mm < 1 || mm > 12) return { error: `${prefix}_MONTH_INVALID` };
+  const y = gs1CenturyYear(yy, today);
+  const lastDay = new Date(Date.UTC(y, mm, 0)).getUTCDate();
+  if (dd > lastDay) return { error: `${prefix}_DAY_INVALID` };
+  const day = dd === 0 ? lastDay : dd;
+  const iso = isoDay(new Date(Date.UTC(y, mm - 1, day)));
+  return {
+    iso,
+    y,
+    m: mm,
+    d: day,
+    day_unspecified: dd === 0,
+    earliest: dd === 0 ? isoDay(new Date(Date.UTC(y, mm - 1, 1))) : iso,
+    latest: iso,
+  };
+}
+
+// Whole days from today (UTC) to an ISO date; negative when the date has passed.
+export function daysFromToday(iso, today = new Date()) {
+  const start = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  return Math.round((Date.parse(iso + "T00:00:00Z") - start) / DAY_MS);
+}
+
+// Default severities of the cross-field rules; a policy may override any of them with
+// WARN, BLOCK or OFF through `date_rule_severity: { CODE: "WARN" }`.
+export const GS1_DATE_RULES = {
+  PROD_DATE_IN_FUTURE: "BLOCK",
+  PACK_DATE_IN_FUTURE: "BLOCK",
+  PACK_DATE_BEFORE_PROD_DATE: "WARN",
+  EXPIRY_BEFORE_PROD_DATE: "BLOCK",
+  BEST_BEFORE_BEFORE_PROD_DATE: "BLOCK",
+  SELL_BY_AFTER_EXPIRY: "WARN",
+  BEST_BEFORE_PASSED: "WARN",
+  SELL_BY_PASSED: "WARN",
+};
+
+// map: { ai: value }. Returns { dates: { ai: parsed }, checks: [{ code, severity, message, details }] }.
+// Expired / near-expiry for AI 17 stay with the caller, which owns those thresholds.
+export function validateGs1Dates(map, { today = new Date(), severity = {} } = {}) {
+  const dates = {};
+  const checks = [];
+  for (const [ai, info] of Object.entries(GS1_DATE_AIS)) {
+    if (map[ai] === undefined) continue;
+    const pd = parseGs1Date(map[ai], { ai, today });
+    if (pd.error) {
+      checks.push({ code: pd.error, severity: "BLOCK", message: `Invalid ${info.label} value for AI ${ai}.`, details: { ai, value: map[ai] } });
+    } else {
+      dates[ai] = pd;
+    }
+  }
+
+  const todayIso = isoDay(today);
+  const rule = (code, message, details) => {
+    const sev = String(severity[code] || GS1_DATE_RULES[code]).toUpperCase();
+    if (sev === "OFF") return;
+    checks.push({ code, severity: sev === "BLOCK" ? "BLOCK" : "WARN", message, details });
+  };
+  const { 11: prod, 13: pack, 15: best, 16: sell, 17: exp } = dates;
+
+  if (prod && prod.earliest > todayIso) {
+    rule("PROD_DATE_IN_FUTURE", "Production date (AI 11) is in the future.", { prod_date: prod.iso, today: todayIso });
+  }
+  if (pack && pack.earliest > todayIso) {
+    rule("PACK_DATE_IN_FUTURE", "Packaging date (AI 13) is in the future.", { pack_date: pack.iso, today: todayIso });
+  }
+  if (prod && pack && pack.latest < prod.earliest) {
+    rule("PACK_DATE_BEFORE_PROD_DATE", "Packaging date (AI 13) is before the production date (AI 11).", { prod_date: prod.iso, pack_date: pack.iso });
+  }
+  if (prod && exp && exp.latest < prod.earliest) {
+    rule("EXPIRY_BEFORE_PROD_DATE", "Expiry date (AI 17) is before the production date (AI 11).", { prod_date: prod.iso, expiry: exp.iso });
+  }
+  if (prod && best && best.latest < prod.earliest) {
+    rule("BEST_BEFORE_BEFORE_PROD_DATE", "Best before date (AI 15) is before the production date (AI 11).", { prod_date: prod.iso, best_before: best.iso });
+  }
+  if (sell && exp && sell.earliest > exp.latest) {
+    rule("SELL_BY_AFTER_EXPIRY", "Sell by date (AI 16) is after the expiry date (AI 17).", { sell_by: sell.iso, expiry: exp.iso });
+  }
+  if (best && best.latest < todayIso) {
+    rule("BEST_BEFORE_PASSED", "Best before date (AI 15) has passed.", { best_before: best.iso, days_ago: -daysFromToday(best.latest, today) });
+  }
+  if (sell && sell.latest < todayIso) {
+    rule("SELL_BY_PASSED", "Sell by date (AI 16) has passed.", { sell_by: sell.iso, days_ago: -daysFromToday(sell.latest, today) });
+  }
+
+  return { dates, checks };
+}
+
+// Remaining shelf life of an item expiring on exp (parsed AI 17). The total runs from the
+// production date (parsed AI 11) when the label carries one, otherwise from the item's total
+// shelf life in days as kept in master data. Returns null when neither is known.
+// { basis: "AI_11" | "ITEM_MASTER", total_days, remaining_days, remaining_pct }
+export function remainingShelfLife(exp, { prod = null, shelfLifeDays = null, today = new Date() } = {}) {
+  if (!exp) return null;
+  const remaining_days = daysFromToday(exp.latest, today);
+  let basis;
+  let total_days;
+  if (prod) {
+    basis = "AI_11";
+    total_days = daysFromToday(exp.latest, new Date(prod.earliest + "T00:00:00Z"));
+  } else if (Number(shelfLifeDays) > 0) {
+    basis = "ITEM_MASTER";
+    total_days = Number(shelfLifeDays);
+  } else {
+    return null;
+  }
+  if (total_days <= 0) return null;
+  const remaining_pct = Math.round((Math.max(remaining_days, 0) / total_days) * 1000) / 10;
+  return { basis, total_days, remaining_days, remaining_pct };
+}
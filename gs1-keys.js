@@ -0,0 +1,108 @@
+// ---------------- GS1 identification keys ----------------
+// Which AIs carry a GS1 key, where the key's check digit sits, and how it is verified.
+// Mod-10 keys (GTIN, SSCC, GLN, GRAI, GSRN, GDTI, GCN, GSIN, ITIP) share one algorithm;
+// GMN uses the mod-1021 check character pair. GIAI, GINC and CPID carry no check digit.
+
+// Standard GS1 mod-10: weights 3,1,3,1… from the right, excluding the check digit.
+export function gs1CheckDigit(digits) {
+  let sum = 0;
+  for (let i = digits.length - 1, w = 3; i >= 0; i--, w = w === 3 ? 1 : 3) sum += Number(digits[i]) * w;
+  return (10 - (sum % 10)) % 10;
+}
+
+const CSET82 = "!\"%&'()*+,-./0123456789:;<=>?ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz";
+const CSET32 = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const GMN_PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53, 59, 61, 67, 71, 73, 79, 83];
+
+// GMN check character pair: CSet 82 values weighted by primes (2 on the rightmost), mod 1021.
+export function gmnCheckPair(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const v = CSET82.indexOf(body[i]);
+    if (v < 0) return null;
+    sum += v * GMN_PRIMES[body.length - 1 - i];
+  }
+  sum %= 1021;
+  return CSET32[sum >> 5] + CSET32[sum & 31];
+}
+
+// ai -> { key, start, length } : the mod-10 key occupies value.slice(start, start + length),
+// its last digit being the check digit. check: "gmn" for the pair form, null for no check.
+const MOD10 = "mod10";
+export const GS1_KEY_AIS = {
+  "00": { key: "SSCC", start: 0, length: 18, check: MOD10 },
+  "01": { key: "GTIN", start: 0, length: 14, check: MOD10 },
+  "02": { key: "GTIN", start: 0, length: 14, check: MOD10 },
+  "253": { key: "GDTI", start: 0, length: 13, check: MOD10 },
+  "255": { key: "GCN", start: 0, length: 13, check: MOD10 },
+  "401": { key: "GINC", check: null },
+  "402": { key: "GSIN", start: 0, length: 17, check: MOD10 },
+  "410": { key: "GLN", start: 0, length: 13, check: MOD10 },
+  "411": { key: "GLN", start: 0, length: 13, check: MOD10 },
+  "412": { key: "GLN", start: 0, length: 13, check: MOD10 },
+  "413": { key: "GLN", start: 0, length: 13, check: MOD10 },
+  "414": { key: "GLN", start: 0, length: 13, check: MOD10 },
+  "415": { key: "GLN", start: 0, length: 13, check: MOD10 },
+  "416": { key: "GLN", start: 0, length: 13, check: MOD10 },
+  "417": { key: "GLN", start: 0, length: 13, check: MOD10 },
+  // GRAI: a filler "0", then the 13-digit key, then an optional serial component
+  "8003": { key: "GRAI", start: 1, length: 13, check: MOD10 },
+  "8004": { key: "GIAI", check: null },
+  "8006": { key: "ITIP", start: 0, length: 14, check: MOD10 },
+  "8010": { key: "CPID", check: null },
+  "8013": { key: "GMN", check: "gmn" },
+  "8017": { key: "GSRN", start: 0, length: 18, check: MOD10 },
+  "8018": { key: "GSRN", start: 0, length: 18, check: MOD10 },
+};
+
+// Returns null when the value is fine (or the AI carries no checkable key), otherwise
+// { ai, key, code, message, details }.
+export function validateGs1Key(ai, value) {
+  const def = GS1_KEY_AIS[ai];
+  if (!def || !def.check) return null;
+  const v = String(value ?? "");
+
+  if (def.check === "gmn") {
+    const body = v.slice(0, -2);
+    const expected = v.length >= 3 ? gmnCheckPair(body) : null;
+    if (expected === v.slice(-2)) return null;
+    return {
+      ai,
+      key: def.key,
+      code: "GMN_CHECKCHAR_INVALID",
+      message: `Invalid GMN check character pair for AI ${ai}.`,
+      details: { value: v, expected },
+    };
+  }
+
+  const digits = v.slice(def.start, def.start + def.length);
+  if (!/^\d+$/.test(digits) || digits.length !== def.length) {
+    return {
+      ai,
+      key: def.key,
+      code: `${def.key}_FORMAT_INVALID`,
+      message: `${def.key} in AI ${ai} must be ${def.length} digits.`,
+      details: { value: v },
+    };
+  }
+  const expected = gs1CheckDigit(digits.slice(0, -1));
+  if (expected === Number(digits[digits.length - 1])) return null;
+  return {
+    ai,
+    key: def.key,
+    code: `${def.key}_CHECKDIGIT_INVALID`,
+    message: `Invalid ${def.key} check digit for AI ${ai}.`,
+    details: { [def.key.toLowerCase()]: digits, expected_check_digit: expected },
+  };
+}
+
+// elements: [{ ai, value }] or a plain { ai: value } map. One result per failing key.
+export function validateGs1Keys(elements) {
+  const list = Array.isArray(elements) ? elements : Object.entries(elements || {}).map(([ai, value]) => ({ ai, value }));
+  const out = [];
+  for (const { ai, value } of list) {
+    const err = validateGs1Key(ai, value);
+    if (err) out.push(err);
+  }
+  return out;
+}
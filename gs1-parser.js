@@ -0,0 +1,1905 @@
+// ---------------- GS1/UDI parser ----------------
+// Scan parsing (GS1 element strings, Digital Link, HIBCC, ISBT 128) and the policy decision over
+// the result. A plain ES module without Node dependencies: server.js imports it, and the browser
+// loads the same file from /lib/gs1-parser.js, so a local parse or decision in any of the
+// front-ends is the one the server would make.
+
+import { gs1CheckDigit, GS1_KEY_AIS, validateGs1Key, validateGs1Keys } from "./gs1-keys.js";
+import { GS1_DATE_AIS, GS1_DATE_RULES, gs1CenturyYear, parseGs1Date, validateGs1Dates, daysFromToday, remainingShelfLife } from "./gs1-dates.js";
+import { applyScannerProfile } from "./scanner-profiles.js";
+
+export const GS = String.fromCharCode(29);
+
+// Symbology identifiers (ISO/IEC 15424): "]" + code character + modifier, sent by the scanner
+// ahead of the data. gs1: the modifier signals FNC1 in first position, i.e. a GS1 element string.
+export const SYMBOLOGY_IDENTIFIERS = {
+  "]C0": { symbology: "CODE128", gs1: false },
+  "]C1": { symbology: "GS1_128", gs1: true },
+  "]d1": { symbology: "DATAMATRIX", gs1: false },
+  "]d2": { symbology: "GS1_DATAMATRIX", gs1: true },
+  "]Q1": { symbology: "QR", gs1: false },
+  "]Q3": { symbology: "GS1_QR", gs1: true },
+  "]e0": { symbology: "GS1_DATABAR", gs1: true },
+  "]E0": { symbology: "EAN_13", gs1: false },
+  "]E4": { symbology: "EAN_8", gs1: false },
+  "]I1": { symbology: "ITF_14", gs1: false },
+  "]J1": { symbology: "GS1_DOTCODE", gs1: true },
+  "]A0": { symbology: "CODE39", gs1: false },
+};
+
+// Some keyboard-wedge setups change the case of the code character; only where that is unambiguous
+// (E0 = EAN-13 and e0 = GS1 DataBar are different symbologies).
+const SYMBOLOGY_ID_CASE = { "]c0": "]C0", "]c1": "]C1", "]D1": "]d1", "]D2": "]d2", "]q1": "]Q1", "]q3": "]Q3" };
+
+// Leading symbology identifier of a raw scan -> { id, symbology, gs1 } or null.
+export function readSymbologyId(raw) {
+  const m = /^\][A-Za-z]\d/.exec(String(raw ?? "").trim());
+  if (!m) return null;
+  const id = SYMBOLOGY_ID_CASE[m[0]] || m[0];
+  const known = SYMBOLOGY_IDENTIFIERS[id];
+  if (!known) return { id, symbology: "UNKNOWN", gs1: false, unrecognized: true };
+  return { id, ...known };
+}
+
+export function normalizeInput(raw) {
+  if (!raw) return "";
+  let s = String(raw).trim();
+
+  // GS1 Digital Link URI -> equivalent element string
+  const dl = decodeDigitalLink(s);
+  if (dl) return dl.element_string;
+
+  // Strip the symbology identifier (e.g., ]C1 for GS1-128, ]d2 for GS1 DataMatrix); parseScan records it
+  s = s.replace(/^\][A-Za-z]\d\s*/, "");
+
+  // Remove whitespace/newlines (scanners sometimes inject them)
+  s = s.replace(/\s+/g, "");
+
+  // HRI "(01)…(10)…(17)…": the parentheses delimit each field, so a GS goes after variable-length ones.
+  // From the first group whose AI is not in GS1_AI_TABLE on, the text is kept as typed: it parses as
+  // an unknown payload rather than being re-split, as "(9999)1" would be into AI 99 "991".
+  if (/^(\(\d{2,4}\)[^()]*)+$/.test(s)) {
+    const groups = [...s.matchAll(/\((\d{2,4})\)([^()]*)/g)];
+    const bad = groups.findIndex((m) => !GS1_AI_TABLE[m[1]]);
+    const known = (bad < 0 ? groups : groups.slice(0, bad)).map((m) => ({ ai: m[1], value: m[2] }));
+    if (bad < 0) return buildElementString(known);
+    const sep = known.length && GS1_AI_TABLE[known[known.length - 1].ai].fnc1 ? GS : "";
+    return buildElementString(known) + sep + groups.slice(bad).map((m) => m[0]).join("");
+  }
+
+  // allow (01)(17) styles
+  s = s.replace(/\)\s*\(/g, "").replace(/[()]/g, "");
+
+  // convert literal "\u001d" into GS (ASCII 29)
+  s = s.replace(/\\u001[dD]/g, GS);
+
+  return s;
+}
+
+export function gtinTo14(d) {
+  const s = String(d);
+  if (s.length === 14) return s;
+  if (s.length < 14) return s.padStart(14, "0");
+  return s.slice(-14);
+}
+
+// Every length a GTIN may have been keyed in with (GTIN-14, -13, -12, -8), for lookups in tables that
+// store GTINs as entered (gtin_map, tx_log): the GTIN-14 with its leading zeros dropped down to each
+// shorter length they allow.
+export function gtinForms(d) {
+  const s = String(d ?? "").trim();
+  if (!/^\d{1,14}$/.test(s)) return [s];
+  const g = gtinTo14(s);
+  return [14, 13, 12, 8].filter((n) => /^0*$/.test(g.slice(0, 14 - n))).map((n) => g.slice(14 - n));
+}
+
+// GTIN-14 check digit validation (GS1)
+function isValidGtin14(gtin14) {
+  const s = String(gtin14 || "").replace(/\D/g, "");
+  if (s.length !== 14) return false;
+  return gs1CheckDigit(s.slice(0, 13)) === Number(s[13]);
+}
+
+// ---------------- GS1 Application Identifier dictionary ----------------
+// Source: GS1 General Specifications, section 3 (Application Identifier definitions).
+// Format notation follows the spec: N = digits, X = CSet 82, Y = CSet 39, Z = CSet 64;
+// "N14" is fixed length, "X..20" variable up to 20, "[...]" an optional trailing component.
+// `key` (optional) is the property name exposed by uiParsedFromSegments.
+const GS1_AI_DEFS = {
+  "00": { title: "SSCC", format: "N18", key: "sscc" },
+  "01": { title: "GTIN", format: "N14", key: "gtin" },
+  "02": { title: "CONTENT", format: "N14", key: "content_gtin" },
+  "10": { title: "BATCH/LOT", format: "X..20", key: "lot" },
+  "11": { title: "PROD DATE", format: "N6", key: "prod_date" },
+  "12": { title: "DUE DATE", format: "N6", key: "due_date" },
+  "13": { title: "PACK DATE", format: "N6", key: "pack_date" },
+  "15": { title: "BEST BEFORE or BEST BY", format: "N6", key: "best_before" },
+  "16": { title: "SELL BY", format: "N6", key: "sell_by" },
+  "17": { title: "USE BY or EXPIRY", format: "N6", key: "expiry" },
+  "20": { title: "VARIANT", format: "N2", key: "variant" },
+  "21": { title: "SERIAL", format: "X..20", key: "serial" },
+  "22": { title: "CPV", format: "X..20", key: "cpv" },
+  "235": { title: "TPX", format: "X..28" },
+  "240": { title: "ADDITIONAL ID", format: "X..30", key: "additional_id" },
+  "241": { title: "CUST. PART No.", format: "X..30", key: "customer_part_no" },
+  "242": { title: "MTO VARIANT", format: "N..6" },
+  "243": { title: "PCN", format: "X..20" },
+  "250": { title: "SECONDARY SERIAL", format: "X..30", key: "secondary_serial" },
+  "251": { title: "REF. TO SOURCE", format: "X..30" },
+  "253": { title: "GDTI", format: "N13+[X..17]" },
+  "254": { title: "GLN EXTENSION COMPONENT", format: "X..20" },
+  "255": { title: "GCN", format: "N13+[N..12]" },
+  "30": { title: "VAR. COUNT", format: "N..8", measure: { quantity: "VAR. COUNT", unit: "EA", decimals: 0 } },
+  "37": { title: "COUNT", format: "N..8", measure: { quantity: "COUNT", unit: "EA", decimals: 0 } },
+  "400": { title: "ORDER NUMBER", format: "X..30", key: "order_no" },
+  "401": { title: "GINC", format: "X..30" },
+  "402": { title: "GSIN", format: "N17" },
+  "403": { title: "ROUTE", format: "X..30" },
+  "410": { title: "SHIP TO LOC", format: "N13", key: "ship_to_gln" },
+  "411": { title: "BILL TO", format: "N13" },
+  "412": { title: "PURCHASE FROM", format: "N13", key: "purchase_from_gln" },
+  "413": { title: "SHIP FOR LOC", format: "N13" },
+  "414": { title: "LOC No.", format: "N13", key: "location_gln" },
+  "415": { title: "PAY TO", format: "N13" },
+  "416": { title: "PROD/SERV LOC", format: "N13" },
+  "417": { title: "PARTY", format: "N13" },
+  "420": { title: "SHIP TO POST", format: "X..20" },
+  "421": { title: "SHIP TO POST", format: "N3+X..9" },
+  "422": { title: "ORIGIN", format: "N3", key: "origin_country" },
+  "423": { title: "COUNTRY - INITIAL PROCESS", format: "N3+[N..12]" },
+  "424": { title: "COUNTRY - PROCESS", format: "N3" },
+  "425": { title: "COUNTRY - DISASSEMBLY", format: "N3+[N..12]" },
+  "426": { title: "COUNTRY - FULL PROCESS", format: "N3" },
+  "427": { title: "ORIGIN SUBDIVISION", format: "X..3" },
+  "4300": { title: "SHIP TO COMP", format: "X..35" },
+  "4301": { title: "SHIP TO NAME", format: "X..35" },
+  "4302": { title: "SHIP TO ADD1", format: "X..70" },
+  "4303": { title: "SHIP TO ADD2", format: "X..70" },
+  "4304": { title: "SHIP TO SUB", format: "X..70" },
+  "4305": { title: "SHIP TO LOC", format: "X..70" },
+  "4306": { title: "SHIP TO REG", format: "X..70" },
+  "4307": { title: "SHIP TO COUNTRY", format: "X2" },
+  "4308": { title: "SHIP TO PHONE", format: "X..30" },
+  "4309": { title: "SHIP TO GEO", format: "N20" },
+  "4310": { title: "RTN TO COMP", format: "X..35" },
+  "4311": { title: "RTN TO NAME", format: "X..35" },
+  "4312": { title: "RTN TO ADD1", format: "X..70" },
+  "4313": { title: "RTN TO ADD2", format: "X..70" },
+  "4314": { title: "RTN TO SUB", format: "X..70" },
+  "4315": { title: "RTN TO LOC", format: "X..70" },
+  "4316": { title: "RTN TO REG", format: "X..70" },
+  "4317": { title: "RTN TO COUNTRY", format: "X2" },
+  "4318": { title: "RTN TO POST", format: "X..20" },
+  "4319": { title: "RTN TO PHONE", format: "X..30" },
+  "4320": { title: "SRV DESCRIPTION", format: "X..35" },
+  "4321": { title: "DANGEROUS GOODS", format: "N1" },
+  "4322": { title: "AUTH LEAVE", format: "N1" },
+  "4323": { title: "SIG REQUIRED", format: "N1" },
+  "4324": { title: "NBEF DEL DT", format: "N10" },
+  "4325": { title: "NAFT DEL DT", format: "N10" },
+  "4326": { title: "REL DATE", format: "N6" },
+  "4330": { title: "MAX TEMP F", format: "N6+[X1]" },
+  "4331": { title: "MAX TEMP C", format: "N6+[X1]" },
+  "4332": { title: "MIN TEMP F", format: "N6+[X1]" },
+  "4333": { title: "MIN TEMP C", format: "N6+[X1]" },
+  "7001": { title: "NSN", format: "N13" },
+  "7002": { title: "MEAT CUT", format: "X..30" },
+  "7003": { title: "EXPIRY TIME", format: "N10", key: "expiry_time" },
+  "7004": { title: "ACTIVE POTENCY", format: "N..4" },
+  "7005": { title: "CATCH AREA", format: "X..12" },
+  "7006": { title: "FIRST FREEZE DATE", format: "N6" },
+  "7007": { title: "HARVEST DATE", format: "N6+[N6]" },
+  "7008": { title: "AQUATIC SPECIES", format: "X..3" },
+  "7009": { title: "FISHING GEAR TYPE", format: "X..10" },
+  "7010": { title: "PROD METHOD", format: "X..2" },
+  "7011": { title: "TEST BY DATE", format: "N6+[N4]" },
+  "7020": { title: "REFURB LOT", format: "X..20" },
+  "7021": { title: "FUNC STAT", format: "X..20" },
+  "7022": { title: "REV STAT", format: "X..20" },
+  "7023": { title: "GIAI - ASSEMBLY", format: "X..30" },
+  "7040": { title: "UIC+EXT", format: "N1+X3" },
+  "710": { title: "NHRN PZN", format: "X..20" },
+  "711": { title: "NHRN CIP", format: "X..20" },
+  "712": { title: "NHRN CN", format: "X..20" },
+  "713": { title: "NHRN DRN", format: "X..20" },
+  "714": { title: "NHRN AIM", format: "X..20" },
+  "715": { title: "NHRN NDC", format: "X..20" },
+  "716": { title: "NHRN AIC", format: "X..20" },
+  "7240": { title: "PROTOCOL", format: "X..20" },
+  "7241": { title: "AIDC MEDIA TYPE", format: "N2" },
+  "7242": { title: "VCN", format: "X..25" },
+  "7250": { title: "DOB", format: "N8" },
+  "7251": { title: "DOB TIME", format: "N12" },
+  "7252": { title: "BIO SEX", format: "N1" },
+  "7253": { title: "FAMILY NAME", format: "X..40" },
+  "7254": { title: "GIVEN NAME", format: "X..40" },
+  "7255": { title: "SUFFIX", format: "X..10" },
+  "7256": { title: "FULL NAME", format: "X..90" },
+  "7257": { title: "PERSON ADDR", format: "X..70" },
+  "7258": { title: "BIRTH SEQUENCE", format: "N1+X1+N1" },
+  "7259": { title: "BABY", format: "X..40" },
+  "8001": { title: "DIMENSIONS", format: "N14" },
+  "8002": { title: "CMT No.", format: "X..20" },
+  "8003": { title: "GRAI", format: "N14+[X..16]" },
+  "8004": { title: "GIAI", format: "X..30" },
+  "8005": { title: "PRICE PER UNIT", format: "N6" },
+  "8006": { title: "ITIP", format: "N14+N2+N2" },
+  "8007": { title: "IBAN", format: "X..34" },
+  "8008": { title: "PROD TIME", format: "N8+[N..4]" },
+  "8009": { title: "OPTSEN", format: "X..50" },
+  "8010": { title: "CPID", format: "Y..30" },
+  "8011": { title: "CPID SERIAL", format: "N..12" },
+  "8012": { title: "VERSION", format: "X..20", key: "software_version" },
+  "8013": { title: "GMN", format: "X..25" },
+  "8017": { title: "GSRN - PROVIDER", format: "N18" },
+  "8018": { title: "GSRN - RECIPIENT", format: "N18" },
+  "8019": { title: "SRIN", format: "N..10" },
+  "8020": { title: "REF No.", format: "X..25", key: "ref_no" },
+  "8026": { title: "ITIP CONTENT", format: "N14+N2+N2" },
+  "8030": { title: "DIGSIG", format: "Z..90" },
+  "8110": { title: "COUPON", format: "X..70" },
+  "8111": { title: "POINTS", format: "N4" },
+  "8112": { title: "PAPERLESS COUPON", format: "X..70" },
+  "8200": { title: "PRODUCT URL", format: "X..70" },
+  "90": { title: "INTERNAL", format: "X..30" },
+};
+
+// AI families with a 4th digit (implied decimal point / qualifier).
+const GS1_AI_FAMILIES = [
+  { prefix: "703", digits: "0123456789", title: "PROCESSOR # s", format: "N3+X..27" },
+  { prefix: "723", digits: "0123456789", title: "CERT # s", format: "X2+X..28" },
+  { prefix: "390", digits: "0123456789", title: "AMOUNT", format: "N..15" },
+  { prefix: "391", digits: "0123456789", title: "AMOUNT", format: "N3+N..15" },
+  { prefix: "392", digits: "0123456789", title: "PRICE", format: "N..15" },
+  { prefix: "393", digits: "0123456789", title: "PRICE", format: "N3+N..15" },
+  { prefix: "394", digits: "0123", title: "PRCNT OFF", format: "N4" },
+  { prefix: "395", digits: "012345", title: "PRICE/UoM", format: "N6" },
+];
+for (let n = 91; n <= 99; n++) GS1_AI_DEFS[String(n)] = { title: "INTERNAL", format: "X..90" };
+
+// Trade measures 310n–369n: N6 value, 4th digit = implied decimal position.
+// [quantity, unit, logistic]
+const GS1_MEASURE_DEFS = {
+  "310": ["NET WEIGHT", "kg"], "311": ["LENGTH", "m"], "312": ["WIDTH", "m"], "313": ["HEIGHT", "m"],
+  "314": ["AREA", "m2"], "315": ["NET VOLUME", "l"], "316": ["NET VOLUME", "m3"],
+  "320": ["NET WEIGHT", "lb"], "321": ["LENGTH", "in"], "322": ["LENGTH", "ft"], "323": ["LENGTH", "yd"],
+  "324": ["WIDTH", "in"], "325": ["WIDTH", "ft"], "326": ["WIDTH", "yd"], "327": ["HEIGHT", "in"],
+  "328": ["HEIGHT", "ft"], "329": ["HEIGHT", "yd"],
+  "330": ["GROSS WEIGHT", "kg", true], "331": ["LENGTH", "m", true], "332": ["WIDTH", "m", true],
+  "333": ["HEIGHT", "m", true], "334": ["AREA", "m2", true], "335": ["VOLUME", "l", true],
+  "336": ["VOLUME", "m3", true], "337": ["KG PER m2", "kg/m2"],
+  "340": ["GROSS WEIGHT", "lb", true], "341": ["LENGTH", "in", true], "342": ["LENGTH", "ft", true],
+  "343": ["LENGTH", "yd", true], "344": ["WIDTH", "in", true], "345": ["WIDTH", "ft", true],
+  "346": ["WIDTH", "yd", true], "347": ["HEIGHT", "in", true], "348": ["HEIGHT", "ft", true],
+  "349": ["HEIGHT", "yd", true],
+  "350": ["AREA", "in2"], "351": ["AREA", "ft2"], "352": ["AREA", "yd2"], "353": ["AREA", "in2", true],
+  "354": ["AREA", "ft2", true], "355": ["AREA", "yd2", true], "356": ["NET WEIGHT", "troy oz"],
+  "357": ["NET VOLUME", "oz"],
+  "360": ["NET VOLUME", "qt"], "361": ["NET VOLUME", "gal"], "362": ["VOLUME", "qt", true],
+  "363": ["VOLUME", "gal", true], "364": ["VOLUME", "in3"], "365": ["VOLUME", "ft3"],
+  "366": ["VOLUME", "yd3"], "367": ["VOLUME", "in3", true], "368": ["VOLUME", "ft3", true],
+  "369": ["VOLUME", "yd3", true],
+};
+for (const f of GS1_AI_FAMILIES) {
+  for (const d of f.digits) GS1_AI_DEFS[f.prefix + d] = { title: f.title, format: f.format };
+}
+for (const [prefix, [quantity, unit, logistic]] of Object.entries(GS1_MEASURE_DEFS)) {
+  const title = `${quantity} (${unit})${logistic ? ", log" : ""}`;
+  for (let d = 0; d <= 5; d++) {
+    GS1_AI_DEFS[prefix + d] = { title, format: "N6", measure: { quantity, unit, decimals: d, logistic: !!logistic } };
+  }
+}
+
+// AI prefixes whose element strings have a predefined length (no FNC1/GS needed after them).
+const GS1_PREDEFINED_LENGTH_PREFIXES = new Set([
+  "00", "01", "02", "03", "04", "11", "12", "13", "14", "15", "16", "17", "18", "19", "20",
+  "31", "32", "33", "34", "35", "36", "41",
+]);
+
+function compileAiFormat(format) {
+  const parts = String(format).split("+").map((p) => {
+    const m = p.match(/^(\[)?([NXYZ])(\.\.)?(\d+)\]?$/);
+    if (!m) throw new Error(`Bad GS1 AI format: ${format}`);
+    return { type: m[2], variable: !!m[3], optional: !!m[1], max: Number(m[4]) };
+  });
+  const max = parts.reduce((n, p) => n + p.max, 0);
+  const min = parts.reduce((n, p) => n + (p.optional ? 0 : p.variable ? 1 : p.max), 0);
+  const fixed = parts.every((p) => !p.variable && !p.optional);
+  return { parts, min, max, fixed };
+}
+
+// Compiled table: ai -> { ai, title, format, parts, min, max, fixed, fnc1, key, measure }
+export const GS1_AI_TABLE = Object.freeze(
+  Object.fromEntries(
+    Object.entries(GS1_AI_DEFS).map(([ai, d]) => [
+      ai,
+      Object.freeze({ ai, ...d, ...compileAiFormat(d.format), fnc1: !GS1_PREDEFINED_LENGTH_PREFIXES.has(ai.slice(0, 2)) }),
+    ])
+  )
+);
+
+// AIs that may start an inferred boundary when a GS is missing after a variable field.
+// Kept to the UDI production identifiers: inferring on every AI would split lots such as "LOT2400".
+const LOOKAHEAD_AIS = new Set(["00", "01", "10", "11", "17", "21"]);
+
+// AIs are prefix-free, so at most one of the 2/3/4-digit candidates can match.
+function lookupAi(s, i) {
+  for (const len of [2, 3, 4]) {
+    const def = GS1_AI_TABLE[s.slice(i, i + len)];
+    if (def) return def;
+  }
+  return null;
+}
+
+// Check a field value against the AI format (lengths + numeric components).
+function aiValueFits(def, v) {
+  if (v.length < def.min || v.length > def.max) return false;
+  if (def.parts.length === 1) return def.parts[0].type !== "N" || /^\d+$/.test(v);
+  // Multi-part: leading fixed components must hold; trailing variable part only for length.
+  let pos = 0;
+  for (const p of def.parts) {
+    if (p.variable || p.optional) break;
+    const chunk = v.slice(pos, pos + p.max);
+    if (chunk.length !== p.max || (p.type === "N" && !/^\d+$/.test(chunk))) return false;
+    pos += p.max;
+  }
+  return true;
+}
+
+// GS1 encodable character sets (GS1 General Specifications 7.11). X = CSet 82, Y = CSet 39, Z = CSet 64.
+const GS1_CHARSETS = {
+  N: { name: "N", chars: "0123456789" },
+  X: { name: "CSET82", chars: "!\"%&'()*+,-./0123456789:;<=>?ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz" },
+  Y: { name: "CSET39", chars: "#-/0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ" },
+  Z: { name: "CSET64", chars: "-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz=" },
+};
+
+// Date/time components inside AI values: [offset, fields]. D0 = day where "00" means end of month.
+const GS1_DATE_FIELDS = {
+  "11": [[0, ["YY", "MM", "D0"]]],
+  "12": [[0, ["YY", "MM", "D0"]]],
+  "13": [[0, ["YY", "MM", "D0"]]],
+  "15": [[0, ["YY", "MM", "D0"]]],
+  "16": [[0, ["YY", "MM", "D0"]]],
+  "17": [[0, ["YY", "MM", "D0"]]],
+  "4324": [[0, ["YY", "MM", "DD", "HH", "MI"]]],
+  "4325": [[0, ["YY", "MM", "DD", "HH", "MI"]]],
+  "4326": [[0, ["YY", "MM", "DD"]]],
+  "7003": [[0, ["YY", "MM", "DD", "HH", "MI"]]],
+  "7006": [[0, ["YY", "MM", "DD"]]],
+  "7007": [[0, ["YY", "MM", "DD"]], [6, ["YY", "MM", "DD"]]],
+  "7011": [[0, ["YY", "MM", "DD"]], [6, ["HH", "MI"]]],
+  "7250": [[0, ["YYYY", "MM", "DD"]]],
+  "7251": [[0, ["YYYY", "MM", "DD", "HH", "MI"]]],
+  "8008": [[0, ["YY", "MM", "DD", "HH"]], [8, ["MI", "SS"]]],
+};
+const DATE_FIELD_RANGES = { MM: [1, 12], DD: [1, 31], D0: [0, 31], HH: [0, 23], MI: [0, 59], SS: [0, 59] };
+
+function describeChar(c) {
+  const code = c.codePointAt(0);
+  return code < 32 || code === 127 ? `control U+${code.toString(16).toUpperCase().padStart(4, "0")}` : `"${c}"`;
+}
+
+// Detailed findings for one AI value: length, character set per component (with 1-based
+// positions), and date/time fields. Returns [] when the value is well formed.
+function aiValueIssues(def, v) {
+  const issues = [];
+  if (v.length < def.min || v.length > def.max) {
+    issues.push({
+      code: "AI_VALUE_LENGTH_INVALID",
+      message: `AI ${def.ai} value has ${v.length} characters; ${def.format} allows ${def.min === def.max ? def.min : `${def.min}-${def.max}`}.`,
+      details: { ai: def.ai, length: v.length, min: def.min, max: def.max, format: def.format },
+    });
+  }
+
+  let pos = 0;
+  for (const part of def.parts) {
+    if (pos >= v.length) break;
+    const chunk = v.slice(pos, pos + part.max);
+    const cs = GS1_CHARSETS[part.type];
+    for (let k = 0; k < chunk.length; k++) {
+      const c = chunk[k];
+      if (cs.chars.includes(c) && !(part.type === "Z" && c === "=" && /[^=]/.test(chunk.slice(k)))) continue;
+      issues.push({
+        code: part.type === "N" ? "AI_VALUE_NOT_NUMERIC" : "AI_VALUE_CHARSET_INVALID",
+        message: `AI ${def.ai}: ${describeChar(c)} at position ${pos + k + 1} is not allowed in ${cs.name}.`,
+        details: { ai: def.ai, position: pos + k + 1, char: c, char_code: c.codePointAt(0), charset: cs.name },
+      });
+      break; // first offending character per component is enough to locate the damage
+    }
+    pos += chunk.length;
+  }
+
+  for (const [offset, fields] of GS1_DATE_FIELDS[def.ai] || []) {
+    let p = offset;
+    for (const f of fields) {
+      const width = f.length === 4 ? 4 : 2;
+      const txt = v.slice(p, p + width);
+      if (txt.length < width || !/^\d+$/.test(txt)) break; // absent optional part, or already reported as non-numeric
+      const range = DATE_FIELD_RANGES[f];
+      const n = Number(txt);
+      let bad = range && (n < range[0] || n > range[1]);
+      if (!bad && (f === "DD" || f === "D0") && n > 0) {
+        const yy = fields.includes("YYYY") ? Number(v.slice(offset, offset + 4)) : gs1CenturyYear(Number(v.slice(offset, offset + 2)));
+        const mm = Number(v.slice(p - 2, p));
+        bad = n > new Date(Date.UTC(yy, mm, 0)).getUTCDate();
+      }
+      if (bad) {
+        issues.push({
+          code: "AI_VALUE_DATE_INVALID",
+          message: `AI ${def.ai}: ${f === "D0" ? "DD" : f} "${txt}" at position ${p + 1} is out of range.`,
+          details: { ai: def.ai, position: p + 1, field: f === "D0" ? "DD" : f, value: txt },
+        });
+        break;
+      }
+      p += width;
+    }
+  }
+  return issues;
+}
+
+// Strict parse of a remainder (no boundary inference). Used to vet lookahead boundaries.
+function remainderParsesCleanly(s, i) {
+  while (i < s.length) {
+    const def = lookupAi(s, i);
+    if (!def) return false;
+    i += def.ai.length;
+    let end;
+    if (def.fixed) {
+      end = i + def.max;
+      if (end > s.length) return false;
+    } else {
+      end = s.indexOf(GS, i);
+      if (end === -1) end = s.length;
+    }
+    if (!aiValueFits(def, s.slice(i, end))) return false;
+    i = s[end] === GS ? end + 1 : end;
+  }
+  return true;
+}
+
+// Typed reading of a measure/count AI: "001250" under 3103 -> { value: 1.25, unit: "kg", decimals: 3 }
+function measureFromValue(def, v) {
+  if (!def?.measure || !/^\d+$/.test(v)) return null;
+  const { quantity, unit, decimals, logistic } = def.measure;
+  const value = decimals ? Number(`${v.slice(0, -decimals) || "0"}.${v.slice(-decimals).padStart(decimals, "0")}`) : Number(v);
+  return { quantity, value, unit, decimals, ...(logistic ? { logistic: true } : {}) };
+}
+
+function makeSegment(def, value, extra = {}) {
+  const seg = { ai: def.ai, value, ...extra };
+  const measure = measureFromValue(def, value);
+  if (measure) seg.measure = measure;
+  return seg;
+}
+
+// Quantity a scan carries: count AIs (30, 37) first, else a single trade measure (310n–369n).
+export function scanQuantity(segments) {
+  const segs = (segments || []).filter((s) => s && s.measure);
+  const count = segs.find((s) => s.ai === "30") || segs.find((s) => s.ai === "37");
+  if (count) return { qty: count.measure.value, ai: count.ai, unit: count.measure.unit, decimals: 0 };
+  const trade = segs.filter((s) => !s.measure.logistic && s.ai.length === 4);
+  if (trade.length === 1) {
+    const m = trade[0].measure;
+    return { qty: m.value, ai: trade[0].ai, unit: m.unit, decimals: m.decimals };
+  }
+  return null;
+}
+
+export function parseGs1(norm, missingGsBehavior = "BLOCK") {
+  const segments = [];
+  const meta = {
+    used_lookahead: false,
+    missing_gs_detected: false,
+    missing_gs_fields: [],
+  };
+  let i = 0;
+  const seen = new Set();
+
+  // If it's pure digits, treat as GTIN only if allowed by policy (handled in decide)
+  // Numeric-only inputs can be a plain GTIN (from keyboard wedge scanners / manual entry).
+  // Treat as GTIN only for typical GTIN lengths, otherwise continue parsing as-is.
+  const isAllDigits = /^\d+$/.test(norm);
+  const numericAsGtin = isAllDigits && ([8, 12, 13, 14].includes(norm.length));
+
+  if (numericAsGtin) {
+    segments.push({ ai: "01", value: gtinTo14(norm), source: "NUMERIC_AS_GTIN" });
+    return { segments, meta };
+  }
+
+  while (i < norm.length) {
+    // Leading/duplicated GS (FNC1 transmitted as GS by some scanners)
+    if (norm[i] === GS) { i++; continue; }
+
+    const def = lookupAi(norm, i);
+    if (!def) {
+      segments.push({ ai: "??", value: norm.slice(i) });
+      break;
+    }
+    const ai = def.ai;
+    seen.add(ai);
+    i += ai.length;
+
+    if (def.fixed) {
+      segments.push(makeSegment(def, norm.slice(i, i + def.max)));
+      i += def.max;
+      if (norm[i] === GS) i++; // GS after a predefined-length field is tolerated
+      continue;
+    }
+
+    let j = i;
+    let boundaryByAI = null;
+
+    // Scan until GS, or until next AI (boundary inference), or max length
+    while (j < norm.length) {
+      if (norm[j] === GS) break;
+      if (j > i) {
+        const next = lookupAi(norm, j);
+        // An AI never repeats in one element string, and the rest must parse cleanly from there.
+        if (next && LOOKAHEAD_AIS.has(next.ai) && !seen.has(next.ai) && remainderParsesCleanly(norm, j)) {
+          boundaryByAI = j;
+          break;
+        }
+      }
+      if (j - i >= def.max) {
+        boundaryByAI = j;
+        break;
+      }
+      j++;
+    }
+
+    if (boundaryByAI !== null) {
+      // We detected a next AI without GS separator => Missing GS situation.
+      meta.missing_gs_detected = true;
+      meta.missing_gs_fields.push(ai);
+      if (missingGsBehavior === "LOOKAHEAD") meta.used_lookahead = true;
+
+      // In BOTH modes, parse using the inferred boundary to keep visibility,
+      // but in BLOCK mode the validator will BLOCK explicitly.
+      segments.push(makeSegment(def, norm.slice(i, boundaryByAI), { meta: { missing_gs: true } }));
+      i = boundaryByAI; // do not consume boundary; next loop will parse next AI
+      continue;
+    }
+
+    // No boundary by AI; consume until GS or end
+    segments.push(makeSegment(def, norm.slice(i, j)));
+    i = norm[j] === GS ? j + 1 : j;
+  }
+
+  // An inferred boundary is a guess: weigh every reading of the string and keep the best one
+  if (meta.missing_gs_detected) {
+    const candidates = rankParseCandidates(enumerateGs1Parses(norm), buildHri(segments));
+    if (candidates.length > 1) {
+      const result = { segments, meta: { ...meta, parse_candidates: candidates } };
+      adoptParseCandidate(result, candidates[0]);
+      return result;
+    }
+  }
+
+  return { segments, meta };
+}
+
+// ---------------- Lookahead candidates ----------------
+// With a GS missing after a variable field, "10AB1728010121XYZ" reads as lot "AB" + expiry + serial,
+// or as one 15-character lot. Every reading that parses is enumerated and scored; the greedy reading
+// above comes first on a tie. parse_meta.parse_candidates carries the ranked list (hri identifies a
+// candidate), and decide() raises PARSE_AMBIGUOUS when the winner is not clearly ahead.
+const PARSE_CANDIDATE_LIMIT = 16;
+export const PARSE_SCORE = {
+  DATE_VALID: 3,
+  DATE_INVALID: -6,
+  KEY_VALID: 2,
+  KEY_INVALID: -6,
+  FORMAT_INVALID: -3,
+  SESSION_ITEM: 3,
+  KNOWN_LOT: 4,
+};
+
+// All complete readings of norm, boundaries inferred only at LOOKAHEAD_AIS (or at a field's max length).
+function enumerateGs1Parses(norm, limit = PARSE_CANDIDATE_LIMIT) {
+  const out = [];
+  const walk = (i, seen, segs) => {
+    if (out.length >= limit) return;
+    while (norm[i] === GS) i++;
+    if (i >= norm.length) {
+      out.push(segs);
+      return;
+    }
+    const def = lookupAi(norm, i);
+    if (!def || seen.has(def.ai)) return;
+    const start = i + def.ai.length;
+    const nextSeen = new Set(seen).add(def.ai);
+
+    if (def.fixed) {
+      const v = norm.slice(start, start + def.max);
+      if (v.length === def.max && aiValueFits(def, v)) walk(start + def.max, nextSeen, [...segs, makeSegment(def, v)]);
+      return;
+    }
+
+    let end = norm.indexOf(GS, start);
+    if (end === -1) end = norm.length;
+    const natural = norm.slice(start, end);
+    if (aiValueFits(def, natural)) walk(end, nextSeen, [...segs, makeSegment(def, natural)]);
+    for (let j = start + 1; j < end && j <= start + def.max; j++) {
+      const next = lookupAi(norm, j);
+      if (!next || nextSeen.has(next.ai)) continue;
+      if (!LOOKAHEAD_AIS.has(next.ai) && j !== start + def.max) continue;
+      const v = norm.slice(start, j);
+      if (aiValueFits(def, v)) walk(j, nextSeen, [...segs, makeSegment(def, v, { meta: { missing_gs: true } })]);
+    }
+  };
+  walk(0, new Set(), []);
+  return out;
+}
+
+// Data-only evidence for one reading: valid dates and key check digits count for it, broken ones against.
+function scoreParseCandidate(segments) {
+  const reasons = [];
+  for (const seg of segments) {
+    const v = String(seg.value ?? "");
+    if (GS1_DATE_AIS[seg.ai]) {
+      const ok = !parseGs1Date(v, { ai: seg.ai }).error;
+      reasons.push({ factor: ok ? "DATE_VALID" : "DATE_INVALID", ai: seg.ai });
+    }
+    if (GS1_KEY_AIS[seg.ai]?.check) {
+      const ok = !validateGs1Key(seg.ai, v);
+      reasons.push({ factor: ok ? "KEY_VALID" : "KEY_INVALID", ai: seg.ai });
+    }
+    const def = GS1_AI_TABLE[seg.ai];
+    const bad = def && aiValueIssues(def, v).some((x) => x.code !== "AI_VALUE_DATE_INVALID" || !GS1_DATE_AIS[seg.ai]);
+    if (bad) reasons.push({ factor: "FORMAT_INVALID", ai: seg.ai });
+  }
+  return reasons.map((r) => ({ ...r, delta: PARSE_SCORE[r.factor] }));
+}
+
+// candidates: segment lists, or scored candidates to re-rank. Confidence is a softmax over scores.
+export function rankParseCandidates(candidates, preferredHri = null) {
+  const scored = candidates.map((c) => {
+    if (!Array.isArray(c)) return c;
+    const reasons = scoreParseCandidate(c);
+    return {
+      hri: buildHri(c),
+      element_string: buildElementString(c),
+      segments: c,
+      inferred_boundaries: c.filter((x) => x.meta?.missing_gs).length,
+      score: reasons.reduce((s, r) => s + r.delta, 0),
+      reasons,
+    };
+  });
+  if (!scored.length) return [];
+  if (preferredHri) scored.sort((a, b) => (b.hri === preferredHri) - (a.hri === preferredHri));
+  scored.sort((a, b) => b.score - a.score);
+  const top = scored[0].score;
+  const z = scored.reduce((s, c) => s + Math.exp(c.score - top), 0);
+  return scored.map((c) => ({ ...c, confidence: Math.round((Math.exp(c.score - top) / z) * 1000) / 1000 }));
+}
+
+// Makes one candidate the parse result: segments and the missing-GS bookkeeping follow it.
+export function adoptParseCandidate(parsedResult, cand) {
+  const fields = cand.segments.filter((x) => x.meta?.missing_gs).map((x) => x.ai);
+  parsedResult.segments = cand.segments;
+  parsedResult.meta.missing_gs_detected = fields.length > 0;
+  parsedResult.meta.missing_gs_fields = fields;
+  return parsedResult;
+}
+
+// ---------------- GS1 Digital Link ----------------
+// https://id.gs1.org/01/09506000134352/10/LOT?17=270101 and custom domains/path prefixes.
+// Decoded into the equivalent element string so parseGs1/decide apply unchanged.
+
+// Primary keys and the path qualifiers each one allows (in order).
+const DL_PRIMARY_KEYS = {
+  "01": ["22", "10", "21", "235"],
+  "8006": ["22", "10", "21"],
+  "8013": ["21"],
+  "8010": ["8011"],
+  "414": ["254", "7040"],
+  "417": ["7040"],
+  "8017": ["8019"],
+  "8018": ["8019"],
+  "00": [], "253": [], "255": [], "401": [], "402": [], "8003": [], "8004": [],
+};
+
+// Convenience alphas from Digital Link 1.0 (still printed by some label software).
+const DL_ALIASES = {
+  gtin: "01", itip: "8006", cpv: "22", lot: "10", ser: "21", sscc: "00", gln: "414", glnx: "254",
+  party: "417", gdti: "253", ginc: "401", gsin: "402", gcn: "255", cpid: "8010", cpsn: "8011",
+  gmn: "8013", grai: "8003", giai: "8004", gsrnp: "8017", gsrn: "8018", srin: "8019",
+  exp: "17", expdt: "7003", bbd: "15", sbd: "16", prd: "11", pkd: "13",
+};
+
+const B64URL = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+
+function dlKeyToAi(k) {
+  const key = String(k);
+  if (GS1_AI_TABLE[key]) return key;
+  return DL_ALIASES[key.toLowerCase()] || null;
+}
+
+// Where a compressed Digital Link may be hosted: "host/path" prefixes. A URL elsewhere with no primary
+// key in its path is an ordinary web address. The server adds its GS1_DL_BASE_URL, and passes the list
+// to the browser with /api/parser/config.
+const DL_RESOLVERS = new Set(["id.gs1.org"]);
+
+export function addDigitalLinkResolver(base) {
+  try {
+    const url = new URL(/^https?:\/\//i.test(base) ? base : `https://${base}`);
+    DL_RESOLVERS.add((url.host + url.pathname).replace(/\/+$/, "").toLowerCase());
+  } catch {
+    // not a URL: nothing to add
+  }
+  return [...DL_RESOLVERS];
+}
+
+function isDigitalLinkResolver(url) {
+  const at = (url.host + url.pathname).toLowerCase();
+  return [...DL_RESOLVERS].some((r) => at === r || at.startsWith(`${r}/`));
+}
+
+// Join AI/value pairs into an element string, GS after every FNC1-terminated field but the last.
+export function buildElementString(elements) {
+  let out = "";
+  elements.forEach(({ ai, value }, idx) => {
+    out += ai + value;
+    if (idx < elements.length - 1 && GS1_AI_TABLE[ai]?.fnc1) out += GS;
+  });
+  return out;
+}
+
+// Human readable interpretation: "(01)09506000134352(17)261231"
+export function buildHri(elements) {
+  return elements.map(({ ai, value }) => `(${ai})${value}`).join("");
+}
+
+// Compressed form (GS1 Digital Link compression): base64url bit stream of
+// AI digits (4 bits each) followed by each component's value. Numeric fixed components are
+// binary integers; variable components carry a 3-bit encoding and a length indicator.
+// Optimisation codes (hex A–F in the AI position) are not supported.
+function decompressDigitalLink(token) {
+  let bits = "";
+  for (const c of token) {
+    const v = B64URL.indexOf(c);
+    if (v < 0) throw new Error("DL_COMPRESSED_INVALID");
+    bits += v.toString(2).padStart(6, "0");
+  }
+  let pos = 0;
+  const read = (n) => {
+    if (pos + n > bits.length) throw new Error("DL_COMPRESSED_TRUNCATED");
+    const s = bits.slice(pos, pos + n);
+    pos += n;
+    return BigInt("0b" + (s || "0"));
+  };
+  const readChars = (enc, n) => {
+    let s = "";
+    for (let k = 0; k < n; k++) {
+      if (enc === 1) s += Number(read(4)).toString(16);
+      else if (enc === 2) s += Number(read(4)).toString(16).toUpperCase();
+      else if (enc === 3) s += B64URL[Number(read(6))];
+      else if (enc === 4) s += String.fromCharCode(Number(read(7)));
+      else throw new Error("DL_COMPRESSED_INVALID");
+    }
+    return s;
+  };
+  const readNumeric = (n) => (n ? read(Math.ceil(n * Math.log2(10))).toString().padStart(n, "0") : "");
+
+  const elements = [];
+  while (bits.length - pos >= 8 && /1/.test(bits.slice(pos))) {
+    let ai = "";
+    while (ai.length < 4 && !GS1_AI_TABLE[ai]) {
+      const d = Number(read(4));
+      if (d > 9) throw new Error("DL_COMPRESSED_UNSUPPORTED");
+      ai += d;
+    }
+    const def = GS1_AI_TABLE[ai];
+    if (!def) throw new Error("DL_COMPRESSED_INVALID");
+    let value = "";
+    for (const p of def.parts) {
+      if (!p.variable && !p.optional) {
+        value += p.type === "N" ? readNumeric(p.max) : readChars(Number(read(3)), p.max);
+        continue;
+      }
+      const enc = Number(read(3));
+      const len = Number(read(Math.ceil(Math.log2(p.max + 1))));
+      value += enc === 0 ? readNumeric(len) : readChars(enc, len);
+    }
+    elements.push({ ai, value });
+  }
+  if (!elements.length) throw new Error("DL_COMPRESSED_INVALID");
+  return elements;
+}
+
+// Returns null when `raw` is not a URI; otherwise { elements, element_string, ... } or { error }.
+export function decodeDigitalLink(raw) {
+  const s = String(raw || "").trim().replace(/^\][A-Za-z]\d/, "");
+  if (!/^https?:\/\//i.test(s)) return null;
+
+  let url;
+  try {
+    url = new URL(s);
+  } catch {
+    return { error: "DL_URI_INVALID", elements: [], element_string: "" };
+  }
+  const info = { domain: url.host, path_prefix: "", primary_key: null, compressed: false, other_params: {} };
+
+  let segs;
+  try {
+    segs = url.pathname.split("/").filter(Boolean).map((x) => decodeURIComponent(x));
+  } catch {
+    return { ...info, error: "DL_PERCENT_ENCODING_INVALID", elements: [], element_string: "" };
+  }
+
+  // Primary key = first path segment that names a DL primary key and has a value after it.
+  const k = segs.findIndex((seg, idx) => DL_PRIMARY_KEYS[dlKeyToAi(seg)] && idx + 1 < segs.length);
+  let elements = [];
+
+  if (k >= 0) {
+    info.path_prefix = segs.slice(0, k).join("/");
+    const pk = dlKeyToAi(segs[k]);
+    info.primary_key = pk;
+    const allowed = DL_PRIMARY_KEYS[pk];
+    let lastQual = -1;
+    for (let p = k; p < segs.length; p += 2) {
+      const ai = dlKeyToAi(segs[p]);
+      if (!ai || p + 1 >= segs.length) {
+        return { ...info, error: "DL_PATH_INVALID", elements, element_string: "" };
+      }
+      if (p > k) {
+        const qi = allowed.indexOf(ai);
+        if (qi <= lastQual) return { ...info, error: "DL_PATH_QUALIFIER_INVALID", elements, element_string: "" };
+        lastQual = qi;
+      }
+      let value = segs[p + 1];
+      if (ai === "01" && /^\d{8}$|^\d{12,13}$/.test(value)) value = gtinTo14(value);
+      elements.push({ ai, value });
+    }
+  } else if (!isDigitalLinkResolver(url)) {
+    return { ...info, error: "DL_NOT_A_DIGITAL_LINK", elements: [], element_string: "" };
+  } else if (segs.length && /^[A-Za-z0-9_-]{8,}$/.test(segs[segs.length - 1])) {
+    info.path_prefix = segs.slice(0, -1).join("/");
+    info.compressed = true;
+    try {
+      elements = decompressDigitalLink(segs[segs.length - 1]);
+    } catch (e) {
+      return { ...info, error: e.message, elements: [], element_string: "" };
+    }
+    info.primary_key = elements[0].ai;
+  } else {
+    return { ...info, error: "DL_PRIMARY_KEY_MISSING", elements: [], element_string: "" };
+  }
+
+  // Query string: data attributes (numeric AIs or aliases); anything else is kept aside.
+  for (const [key, value] of url.searchParams) {
+    const ai = dlKeyToAi(key);
+    if (ai && !elements.some((e) => e.ai === ai)) elements.push({ ai, value });
+    else if (!ai) info.other_params[key] = value;
+  }
+
+  return { ...info, elements, element_string: buildElementString(elements) };
+}
+
+// Build a Digital Link URI: primary key + its qualifiers in the path, other AIs in the query.
+export function buildDigitalLink(elements, base = "https://id.gs1.org") {
+  const byAi = new Map(elements.map((e) => [e.ai, e.value]));
+  const pk = Object.keys(DL_PRIMARY_KEYS).find((k) => byAi.has(k));
+  if (!pk) return null;
+  let path = `/${pk}/${encodeURIComponent(byAi.get(pk))}`;
+  const used = new Set([pk]);
+  for (const qai of DL_PRIMARY_KEYS[pk]) {
+    if (!byAi.has(qai)) continue;
+    path += `/${qai}/${encodeURIComponent(byAi.get(qai))}`;
+    used.add(qai);
+  }
+  const query = elements
+    .filter((e) => !used.has(e.ai))
+    .map((e) => `${e.ai}=${encodeURIComponent(e.value)}`)
+    .join("&");
+  return String(base).replace(/\/+$/, "") + path + (query ? `?${query}` : "");
+}
+
+// Per-element rules shared by the encoder: known AI, format/length, check digit, date.
+export function validateElements(elements) {
+  const errors = [];
+  const seen = new Set();
+  for (const { ai, value } of elements) {
+    const def = GS1_AI_TABLE[ai];
+    const v = String(value ?? "");
+    if (!def) { errors.push({ ai, code: "AI_UNKNOWN", message: `Unknown Application Identifier (${ai}).` }); continue; }
+    if (seen.has(ai)) errors.push({ ai, code: "AI_DUPLICATE", message: `AI ${ai} appears more than once.` });
+    seen.add(ai);
+    if (!aiValueFits(def, v)) {
+      errors.push({ ai, code: "AI_VALUE_FORMAT_INVALID", message: `Value does not match ${def.format} for AI ${ai}.`, details: { format: def.format } });
+      continue;
+    }
+    if (v.includes(GS)) errors.push({ ai, code: "AI_VALUE_FORMAT_INVALID", message: "Value contains a GS separator." });
+    for (const issue of aiValueIssues(def, v)) {
+      if (issue.code === "AI_VALUE_DATE_INVALID" && GS1_DATE_AIS[ai]) continue; // reported via parseGs1Date below
+      if (issue.code !== "AI_VALUE_LENGTH_INVALID") errors.push({ ai, ...issue });
+    }
+    const keyError = validateGs1Key(ai, v);
+    if (keyError) errors.push({ ai, code: keyError.code, message: keyError.message, details: keyError.details });
+    if (GS1_DATE_AIS[ai]) {
+      const pd = parseGs1Date(v, { ai });
+      if (pd.error) errors.push({ ai, code: pd.error, message: `Invalid date value for AI ${ai}.` });
+    }
+  }
+  return errors;
+}
+
+// ---------------- HIBCC (HIBC LIC) ----------------
+// Primary:       +LIC(4) PCN(1-18) U/M(1) C          e.g. +A123BJC5D6E71G
+// Secondary:     +$$3YYMMDDLOT L C  (L = link char = primary check char)
+// Concatenated:  +LIC PCN U/M / secondary C        (single check char for the whole)
+// Lot/expiry/serial map onto AIs 10/17/21 so decide() treats them like GS1 data.
+const HIBC_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%";
+
+// Mod-43 check character over every character from the leading "+".
+function hibcCheckChar(data) {
+  let sum = 0;
+  for (const c of data) {
+    const v = HIBC_CHARSET.indexOf(c);
+    if (v < 0) return null;
+    sum += v;
+  }
+  return HIBC_CHARSET[sum % 43];
+}
+
+// The data of a split HIBC label (primary and secondary as scanned, in either order) as one
+// concatenated symbol: the secondary's link character is dropped and one check character covers both.
+export function hibcConcatenate(a, b) {
+  const [primary, secondary] = /^\+[A-Z]/.test(a) ? [a, b] : [b, a];
+  const data = `${primary.slice(0, -1)}/${secondary.slice(1, -2)}`;
+  return data + hibcCheckChar(data);
+}
+
+function julianToYymmdd(yy, jjj) {
+  const dt = new Date(Date.UTC(2000 + Number(yy), 0, Number(jjj)));
+  if (Number(jjj) < 1 || Number(jjj) > 366 || dt.getUTCFullYear() !== 2000 + Number(yy)) return null;
+  return dt.toISOString().slice(2, 10).replace(/-/g, "");
+}
+
+// HIBC secondary expiry formats keyed by the flag digit after "$$".
+const HIBC_DATE_FORMATS = {
+  MMYY: { len: 4, toYymmdd: (d) => d.slice(2, 4) + d.slice(0, 2) + "00" },
+  "2": { len: 6, toYymmdd: (d) => d.slice(4, 6) + d.slice(0, 4) }, // MMDDYY
+  "3": { len: 6, toYymmdd: (d) => d }, // YYMMDD
+  "4": { len: 8, toYymmdd: (d) => d.slice(0, 6) }, // YYMMDDHH
+  "5": { len: 5, toYymmdd: (d) => julianToYymmdd(d.slice(0, 2), d.slice(2, 5)) }, // YYJJJ
+  "6": { len: 7, toYymmdd: (d) => julianToYymmdd(d.slice(0, 2), d.slice(2, 5)) }, // YYJJJHH
+  "7": { len: 0, toYymmdd: () => null }, // no expiry
+};
+
+function parseHibcSecondary(s, segments, info) {
+  const [head, ...supplemental] = s.split("/");
+  let rest = head;
+  let idKind = "10";
+
+  if (rest.startsWith("$$")) {
+    rest = rest.slice(2);
+    if (rest[0] === "+") { idKind = "21"; rest = rest.slice(1); }
+    if (rest[0] === "8" || rest[0] === "9") {
+      const qlen = rest[0] === "8" ? 2 : 5;
+      const qty = rest.slice(1, 1 + qlen);
+      if (!/^\d+$/.test(qty) || qty.length !== qlen) throw new Error("HIBC_QTY_INVALID");
+      segments.push(makeSegment(GS1_AI_TABLE["30"], String(Number(qty)), { source: "HIBCC" }));
+      rest = rest.slice(1 + qlen);
+    }
+    const flag = "234567".includes(rest[0]) ? rest[0] : "MMYY";
+    if (flag !== "MMYY") rest = rest.slice(1);
+    const fmt = HIBC_DATE_FORMATS[flag];
+    const raw = rest.slice(0, fmt.len);
+    if (fmt.len) {
+      if (!/^\d+$/.test(raw) || raw.length !== fmt.len) throw new Error("HIBC_DATE_INVALID");
+      const yymmdd = fmt.toYymmdd(raw);
+      if (!yymmdd) throw new Error("HIBC_DATE_INVALID");
+      segments.push({ ai: "17", value: yymmdd, source: "HIBCC", hibc_date: { format: flag, raw } });
+    }
+    rest = rest.slice(fmt.len);
+  } else if (rest.startsWith("$+")) {
+    idKind = "21";
+    rest = rest.slice(2);
+  } else if (rest.startsWith("$")) {
+    rest = rest.slice(1);
+  } else if (/^\d{5}/.test(rest)) {
+    // Legacy secondary: YYJJJ Julian expiry followed by lot
+    const yymmdd = julianToYymmdd(rest.slice(0, 2), rest.slice(2, 5));
+    if (!yymmdd) throw new Error("HIBC_DATE_INVALID");
+    segments.push({ ai: "17", value: yymmdd, source: "HIBCC", hibc_date: { format: "5", raw: rest.slice(0, 5) } });
+    rest = rest.slice(5);
+  } else {
+    throw new Error("HIBC_SECONDARY_INVALID");
+  }
+  if (rest) segments.push({ ai: idKind, value: rest, source: "HIBCC" });
+
+  for (const sup of supplemental) {
+    if (sup.startsWith("14D") && /^\d{8}$/.test(sup.slice(3))) {
+      if (!segments.some((x) => x.ai === "17")) segments.push({ ai: "17", value: sup.slice(5), source: "HIBCC" });
+    } else if (sup.startsWith("16D") && /^\d{8}$/.test(sup.slice(3))) {
+      segments.push({ ai: "11", value: sup.slice(5), source: "HIBCC" });
+    } else if (sup.startsWith("S") && sup.length > 1) {
+      segments.push({ ai: "21", value: sup.slice(1), source: "HIBCC" });
+    } else if (sup.startsWith("Q") && /^\d+$/.test(sup.slice(1))) {
+      segments.push(makeSegment(GS1_AI_TABLE["30"], String(Number(sup.slice(1))), { source: "HIBCC" }));
+    } else {
+      info.unknown_supplemental = [...(info.unknown_supplemental || []), sup];
+    }
+  }
+}
+
+// `s` is the HIBC data as scanned (leading "+", trailing check character).
+export function parseHibcc(s) {
+  const segments = [];
+  const info = { structure: null, check_char: s.slice(-1), check_valid: false };
+  const meta = { issuing_agency: "HIBCC", hibcc: info };
+
+  const data = s.slice(0, -1);
+  const expected = hibcCheckChar(data);
+  info.check_valid = expected !== null && expected === info.check_char;
+  if (!info.check_valid) info.expected_check_char = expected;
+
+  const body = data.slice(1);
+  try {
+    if (/^[A-Z]/.test(body)) {
+      // Primary (optionally concatenated with "/" + secondary)
+      const slash = body.indexOf("/");
+      const primary = slash >= 0 ? body.slice(0, slash) : body;
+      const m = primary.match(/^([A-Z][A-Z0-9]{3})([A-Z0-9]{1,18})(\d)$/);
+      if (!m) throw new Error("HIBC_PRIMARY_INVALID");
+      const [, lic, pcn, uom] = m;
+      info.lic = lic;
+      info.pcn = pcn;
+      info.uom = uom;
+      segments.push({ ai: "HIBC_DI", value: primary, source: "HIBCC" });
+      if (slash >= 0) {
+        info.structure = "CONCATENATED";
+        parseHibcSecondary(body.slice(slash + 1), segments, info);
+      } else {
+        info.structure = "PRIMARY";
+      }
+    } else {
+      // Split secondary: last data character is the link to the primary's check character
+      info.structure = "SECONDARY";
+      info.link_char = body.slice(-1);
+      parseHibcSecondary(body.slice(0, -1), segments, info);
+    }
+  } catch (e) {
+    info.error = e.message;
+  }
+
+  return { segments, meta };
+}
+
+// ---------------- ICCBBA (ISBT 128) ----------------
+// Data structures are identified by a 2-char data identifier ("=" or "&" + second char) and
+// have fixed lengths, so concatenated/compound messages parse sequentially.
+//   =αppppyynnnnnnff  DIN (FIN = αpppp; ff flags, 60–96 = ISO 7064 mod 37-2 check)
+//   =<αooootds        product code        =>cyyjjj / &>cyyjjjhhmm   expiry date / date+time
+//   =}cyyjjj          production date     &)FFFFFPPPPPP             processing facility information
+const ISBT_DATA_STRUCTURES = {
+  "=%": { ds: "002", name: "BLOOD_GROUPS", len: 4 },
+  "=<": { ds: "003", name: "PRODUCT_CODE", len: 8 },
+  "=>": { ds: "004", name: "EXPIRY_DATE", len: 6 },
+  "&>": { ds: "005", name: "EXPIRY_DATETIME", len: 10 },
+  "=*": { ds: "006", name: "COLLECTION_DATE", len: 6 },
+  "&*": { ds: "007", name: "COLLECTION_DATETIME", len: 10 },
+  "=}": { ds: "008", name: "PRODUCTION_DATE", len: 6 },
+  "&}": { ds: "009", name: "PRODUCTION_DATETIME", len: 10 },
+  "={": { ds: "010", name: "SPECIAL_TESTING", len: 5 },
+  "=+": { ds: "023", name: "COMPOUND_MESSAGE", len: 5 },
+  "&)": { ds: "034", name: "PROCESSING_FACILITY_INFO", len: 11 },
+};
+const ISBT_DIN_LEN = 15;
+const MOD37_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ*";
+
+// ISO/IEC 7064 MOD 37-2 check character (printed next to the DIN, encoded as flags 60–96).
+function isbtDinCheckValue(din) {
+  let p = 0;
+  for (const c of din) {
+    const v = MOD37_CHARSET.indexOf(c);
+    if (v < 0 || v === 36) return null;
+    p = ((p + v) * 2) % 37;
+  }
+  return (38 - p) % 37;
+}
+
+// cyyjjj[hhmm] -> { yymmdd, iso, time }
+function isbtDate(v) {
+  if (!/^\d{6}(\d{4})?$/.test(v)) return null;
+  const year = 2000 + Number(v[0]) * 100 + Number(v.slice(1, 3));
+  const jjj = Number(v.slice(3, 6));
+  const dt = new Date(Date.UTC(year, 0, jjj));
+  if (jjj < 1 || jjj > 366 || dt.getUTCFullYear() !== year) return null;
+  const iso = dt.toISOString().slice(0, 10);
+  const time = v.length === 10 ? `${v.slice(6, 8)}:${v.slice(8, 10)}` : null;
+  return { yymmdd: iso.slice(2).replace(/-/g, ""), iso, time };
+}
+
+// `s` is the ISBT 128 data as scanned (one or more concatenated data structures).
+export function parseIsbt128(s) {
+  const segments = [];
+  const info = { data_structures: [] };
+  const meta = { issuing_agency: "ICCBBA", iccbba: info };
+  let i = 0;
+
+  while (i < s.length) {
+    const id = s.slice(i, i + 2);
+    if (id[0] === "=" && /[A-NP-Z1-9]/.test(id[1] || "")) {
+      // DS 001 Donation Identification Number
+      const v = s.slice(i + 1, i + 1 + ISBT_DIN_LEN);
+      if (v.length !== ISBT_DIN_LEN) { info.error = "ISBT_DIN_TRUNCATED"; break; }
+      const din = v.slice(0, 13);
+      const flags = v.slice(13, 15);
+      const check = isbtDinCheckValue(din);
+      info.din = din;
+      info.facility_id = din.slice(0, 5);
+      info.din_flags = flags;
+      info.din_check_char = check === null ? null : MOD37_CHARSET[check];
+      // Flags 60–96 carry the check value (+60); other flag values carry no check.
+      const f = Number(flags);
+      if (/^\d\d$/.test(flags) && f >= 60 && f <= 96) info.din_check_valid = check === f - 60;
+      info.data_structures.push("001");
+      segments.push({ ai: "ISBT_DIN", value: din, source: "ICCBBA" });
+      i += 1 + ISBT_DIN_LEN;
+      continue;
+    }
+
+    const ds = ISBT_DATA_STRUCTURES[id];
+    if (!ds) {
+      segments.push({ ai: "??", value: s.slice(i) });
+      break;
+    }
+    const v = s.slice(i + 2, i + 2 + ds.len);
+    if (v.length !== ds.len) { info.error = `ISBT_${ds.name}_TRUNCATED`; break; }
+    info.data_structures.push(ds.ds);
+    i += 2 + ds.len;
+
+    if (ds.name === "PRODUCT_CODE") {
+      info.product_code = v;
+      segments.push({ ai: "ISBT_PRODUCT_CODE", value: v, source: "ICCBBA" });
+    } else if (ds.name === "PROCESSING_FACILITY_INFO") {
+      info.processing_facility = { fin: v.slice(0, 5), product_description_code: v.slice(5) };
+      segments.push({ ai: "ISBT_PFI", value: v, source: "ICCBBA" });
+    } else if (ds.name === "EXPIRY_DATE" || ds.name === "EXPIRY_DATETIME") {
+      const d = isbtDate(v);
+      if (!d) { info.error = "ISBT_EXPIRY_INVALID"; continue; }
+      info.expiry = { iso: d.iso, time: d.time };
+      segments.push({ ai: "17", value: d.yymmdd, source: "ICCBBA", isbt_date: { raw: v, iso: d.iso, time: d.time } });
+    } else if (ds.name === "PRODUCTION_DATE" || ds.name === "PRODUCTION_DATETIME") {
+      const d = isbtDate(v);
+      if (!d) { info.error = "ISBT_PRODUCTION_DATE_INVALID"; continue; }
+      segments.push({ ai: "11", value: d.yymmdd, source: "ICCBBA", isbt_date: { raw: v, iso: d.iso, time: d.time } });
+    } else if (ds.name === "COMPOUND_MESSAGE") {
+      info.compound = { count: Number(v.slice(0, 2)), reference: v.slice(2) };
+    } else {
+      info[ds.name.toLowerCase()] = v;
+    }
+  }
+
+  return { segments, meta };
+}
+
+// Issuing agency from the data itself: "+" = HIBCC, "=" / "&" = ICCBBA,
+// otherwise GS1 (element string or Digital Link).
+export function detectIssuingAgency(raw) {
+  const s = String(raw || "").trim().replace(/^\][A-Za-z]\d/, "");
+  if (/^\*?\+/.test(s)) return "HIBCC";
+  if (/^[=&]/.test(s)) return "ICCBBA";
+  return "GS1";
+}
+
+// Raw scan -> normalized element string + parse result; the entry point for every endpoint.
+export function parseScan(raw, missingGsBehavior = "BLOCK") {
+  const symbology = readSymbologyId(raw);
+
+  if (detectIssuingAgency(raw) === "HIBCC") {
+    // Code 39 start/stop "*" may come through; spaces are valid HIBC data and are kept.
+    const normalized = String(raw).trim().replace(/^\][A-Za-z]\d/, "").replace(/^\*|\*$/g, "");
+    const parsedResult = parseHibcc(normalized);
+    parsedResult.meta.input_format = "HIBC";
+    parsedResult.meta.symbology = symbology;
+    return { normalized, parsedResult };
+  }
+
+  if (detectIssuingAgency(raw) === "ICCBBA") {
+    const normalized = String(raw).trim().replace(/^\][A-Za-z]\d/, "").replace(/\s+/g, "");
+    const parsedResult = parseIsbt128(normalized);
+    parsedResult.meta.input_format = "ISBT128";
+    parsedResult.meta.symbology = symbology;
+    return { normalized, parsedResult };
+  }
+
+  const dl = decodeDigitalLink(raw);
+  const normalized = dl ? dl.element_string : normalizeInput(raw);
+  const parsedResult = parseGs1(normalized, missingGsBehavior);
+  parsedResult.meta.issuing_agency = "GS1";
+  if (dl) {
+    const { elements, element_string, ...info } = dl;
+    parsedResult.meta.input_format = dl.error === "DL_NOT_A_DIGITAL_LINK" ? "URL" : "DIGITAL_LINK";
+    parsedResult.meta.digital_link = info;
+  } else {
+    parsedResult.meta.input_format = "ELEMENT_STRING";
+  }
+  parsedResult.meta.symbology = symbology;
+  return { normalized, parsedResult };
+}
+
+// ---------------- Inspector ----------------
+// What the scanner actually sent, character by character: code, control-character name, and the
+// part of the parse each character ended up in (symbology identifier, AI, value, GS separator, or
+// dropped by normalization). Element spans carry their positions in both the normalized element
+// string and the raw input, and say how each field was terminated, INFERRED marking a boundary the
+// parser had to guess because a GS was missing.
+
+const ASCII_CONTROL_NAMES = [
+  "NUL", "SOH", "STX", "ETX", "EOT", "ENQ", "ACK", "BEL", "BS", "HT", "LF", "VT", "FF", "CR", "SO", "SI",
+  "DLE", "DC1", "DC2", "DC3", "DC4", "NAK", "SYN", "ETB", "CAN", "EM", "SUB", "ESC", "FS", "GS", "RS", "US",
+];
+
+// Text some keyboard-wedge setups type where the GS control character belongs (see scanner profiles).
+const GS_AS_TEXT_TOKENS = ["<GS>", "{GS}", "[GS]", "^]", "\\x1d", "\\x1D"];
+
+// raw -> [{ index, char, hex, code_point, kind, name?, utf8? }], one entry per UTF-16 code unit.
+export function inspectChars(raw) {
+  const s = String(raw ?? "");
+  const out = [];
+  for (let index = 0; index < s.length; index++) {
+    const code = s.charCodeAt(index);
+    const c = {
+      index,
+      char: s[index],
+      hex: code.toString(16).toUpperCase().padStart(2, "0"),
+      code_point: `U+${code.toString(16).toUpperCase().padStart(4, "0")}`,
+    };
+    if (code === 29) {
+      c.kind = "GS";
+      c.name = "GS";
+    } else if (code < 32 || code === 127) {
+      c.kind = "CONTROL";
+      c.name = code === 127 ? "DEL" : ASCII_CONTROL_NAMES[code];
+    } else if (code === 32) {
+      c.kind = "SPACE";
+      c.name = "SP";
+    } else if (code > 127) {
+      c.kind = "NON_ASCII";
+      c.utf8 = Array.from(new TextEncoder().encode(s.codePointAt(index) > 0xffff ? s.slice(index, index + 2) : s[index]))
+        .map((b) => b.toString(16).toUpperCase().padStart(2, "0"))
+        .join(" ");
+    } else {
+      c.kind = "PRINTABLE";
+    }
+    out.push(c);
+  }
+  return out;
+}
+
+// Index in raw of each character of normalized, or null when normalized is not raw with characters
+// left out. Normalization only drops characters (whitespace, parentheses, the symbology identifier),
+// apart from a literal "\u001d", which stands for one GS, and the HRI "(" that ends a variable field.
+function alignNormalized(raw, normalized, from = 0) {
+  const map = [];
+  let r = from;
+  for (let k = 0; k < normalized.length; k++) {
+    const ch = normalized[k];
+    const hriParen = ch === GS ? /^\s*\(/.exec(raw.slice(r)) : null;
+    if (hriParen) {
+      map.push(r + hriParen[0].length - 1);
+      continue;
+    }
+    while (r < raw.length && raw[r] !== ch && !(ch === GS && /^\\u001[dD]/.test(raw.slice(r, r + 6)))) r++;
+    if (r >= raw.length) return null;
+    map.push(r);
+    r += raw[r] === ch ? 1 : 6;
+  }
+  return map;
+}
+
+// Where each GS1 segment sits in the element string, or null when the segments do not line up with it.
+function elementSpans(normalized, segments) {
+  const spans = [];
+  let i = 0;
+  for (const seg of segments) {
+    while (normalized[i] === GS) i++;
+    if (seg.source === "NUMERIC_AS_GTIN" || seg.ai === "??") {
+      spans.push({ ai: seg.ai, value: seg.value, start: i, value_start: i, end: normalized.length, terminator: "END" });
+      i = normalized.length;
+      continue;
+    }
+    if (!normalized.startsWith(seg.ai + seg.value, i)) return null;
+    const value_start = i + seg.ai.length;
+    const end = value_start + seg.value.length;
+    const terminator =
+      normalized[end] === GS ? "GS" : end === normalized.length ? "END" : seg.meta?.missing_gs ? "INFERRED" : "FIXED_LENGTH";
+    spans.push({ ai: seg.ai, value: seg.value, start: i, value_start, end, terminator });
+    i = end;
+  }
+  return spans;
+}
+
+// scanned: the { normalized, parsedResult } to annotate, e.g. with the operator's candidate pick
+// applied; parsed here with LOOKAHEAD otherwise, so every inferable boundary shows.
+export function inspectScan(raw, scanned = null) {
+  const s = String(raw ?? "");
+  const { normalized, parsedResult } = scanned || parseScan(s, "LOOKAHEAD");
+  const meta = parsedResult?.meta || {};
+  const segments = parsedResult?.segments || [];
+  const symbology = readSymbologyId(s);
+  const chars = inspectChars(s);
+
+  const lead = s.length - s.trimStart().length;
+  if (symbology) for (let k = lead; k < lead + symbology.id.length; k++) chars[k].role = "SYMBOLOGY_ID";
+  const map = meta.input_format === "DIGITAL_LINK" ? null : alignNormalized(s, normalized, lead + (symbology ? symbology.id.length : 0));
+  const spans = meta.issuing_agency === "GS1" ? elementSpans(normalized, segments) : null;
+
+  if (map) {
+    for (let k = 0; k < normalized.length; k++) {
+      if (normalized[k] !== GS) chars[map[k]].role = "DATA";
+      else for (let j = map[k]; j < map[k] + (s[map[k]] === "\\" ? 6 : 1); j++) chars[j].role = "SEPARATOR";
+    }
+    (spans || []).forEach((sp, n) => {
+      for (let k = sp.start; k < sp.end; k++) {
+        chars[map[k]].role = k < sp.value_start ? "AI" : "VALUE";
+        chars[map[k]].element = n;
+      }
+    });
+    for (const c of chars) if (!c.role) c.role = "IGNORED";
+  }
+
+  const elements = spans
+    ? spans.map((sp) => {
+        const def = GS1_AI_TABLE[sp.ai];
+        return {
+          ...sp,
+          title: def?.title || null,
+          raw_start: map ? map[sp.start] : null,
+          raw_end: map && sp.end > sp.start ? map[sp.end - 1] + 1 : null,
+          issues: def ? aiValueIssues(def, sp.value) : [],
+        };
+      })
+    : segments.map((seg) => ({ ai: seg.ai, value: seg.value, title: GS1_AI_TABLE[seg.ai]?.title || null }));
+
+  const inferred_boundaries = [];
+  elements.forEach((e, n) => {
+    if (e.terminator !== "INFERRED") return;
+    inferred_boundaries.push({ after_ai: e.ai, next_ai: elements[n + 1]?.ai || null, at: e.end, raw_at: map ? map[e.end] : null });
+  });
+
+  const findings = [];
+  for (const token of GS_AS_TEXT_TOKENS) {
+    if (s.includes(token)) findings.push({ code: "GS_AS_TEXT", token, message: `"${token}" in the data looks like a GS typed as text.` });
+  }
+  for (const c of chars) {
+    if (c.kind === "CONTROL") findings.push({ code: "CONTROL_CHAR", index: c.index, name: c.name, message: `Control character ${c.name} at ${c.index}.` });
+    if (c.kind === "NON_ASCII") findings.push({ code: "NON_ASCII_CHAR", index: c.index, utf8: c.utf8, message: `Non-ASCII character ${c.code_point} at ${c.index}.` });
+  }
+  if (inferred_boundaries.length) {
+    findings.push({ code: "GS_MISSING", message: `${inferred_boundaries.length} field boundar${inferred_boundaries.length === 1 ? "y" : "ies"} inferred by lookahead.` });
+  }
+
+  return {
+    raw: s,
+    length: s.length,
+    symbology,
+    issuing_agency: meta.issuing_agency || null,
+    input_format: meta.input_format || null,
+    normalized,
+    gs_positions: chars.filter((c) => c.kind === "GS").map((c) => c.index),
+    control_chars: chars.filter((c) => c.kind === "CONTROL").map(({ index, name, hex }) => ({ index, name, hex })),
+    elements,
+    inferred_boundaries,
+    used_lookahead: !!meta.used_lookahead,
+    parse_candidates: meta.parse_candidates || [],
+    parse_candidate_picked: meta.parse_candidate_picked || null,
+    findings,
+    chars,
+  };
+}
+
+// Minimum remaining shelf life thresholds in force for a scan. The policy block is
+//   shelf_life: { min_remaining_pct_warn: 75, min_remaining_pct_block: 50,
+//                 by_session_type: { RECEIVING: { ... } }, by_customer: { "C10042": { ... } } }
+// A customer entry beats a session-type entry, which beats the defaults; scope names the winner.
+function shelfLifeThresholds(policy, context = {}) {
+  const sl = policy?.shelf_life;
+  if (!sl || typeof sl !== "object") return null;
+  let scope = "default";
+  let rule = { ...sl };
+  const st = context.session_type && sl.by_session_type?.[String(context.session_type).toUpperCase()];
+  if (st) {
+    rule = { ...rule, ...st };
+    scope = `session_type:${String(context.session_type).toUpperCase()}`;
+  }
+  const cu = context.customer_no && sl.by_customer?.[context.customer_no];
+  if (cu) {
+    rule = { ...rule, ...cu };
+    scope = `customer:${context.customer_no}`;
+  }
+  const pct = (v) => (v === null || v === undefined || v === "" || Number.isNaN(Number(v)) ? null : Number(v));
+  const warn = pct(rule.min_remaining_pct_warn);
+  const block = pct(rule.min_remaining_pct_block);
+  if (warn === null && block === null) return null;
+  return { warn, block, scope, unknown_severity: String(rule.unknown_severity || "WARN").toUpperCase() };
+}
+
+// Checks NO-BLOCK mode does not turn into warnings: a recalled or quarantined unit, or a serial
+// already in stock, must not be received whatever the deployment's mode.
+export const NEVER_DOWNGRADED_CHECKS = ["RECALLED_LOT", "QUARANTINED_SERIAL", "DUPLICATE_SERIAL"];
+
+// context (optional): { session_type, customer_no, shelf_life_days } for the shelf-life rules,
+// quality_holds for the recalls and holds matched to the unit, serial_seen for a serial in stock that
+// the scan would receive again
+// options.noBlock: the deployment's NO-BLOCK mode (server NO_BLOCK env, /api/parser/config for the browser)
+// options.today: the day dates are judged against, for deciding a stored scan as of when it was made
+export function decide(parsedResult, basePolicy, context = {}, { noBlock = false, today = new Date() } = {}) {
+  const checks = [];
+  const parsed = Array.isArray(parsedResult) ? parsedResult : parsedResult?.segments || [];
+  const meta = Array.isArray(parsedResult) ? {} : (parsedResult?.meta || {});
+
+  // Per issuing agency overrides, e.g. { agency_overrides: { ICCBBA: { tracking_policy: "SERIAL_ONLY" } } }
+  const agency = meta.issuing_agency || "GS1";
+  const policy = { ...basePolicy, ...(basePolicy?.agency_overrides?.[agency] || {}) };
+
+  const map = {};
+  for (const p of parsed) {
+    if (p.ai !== "??") map[p.ai] = p.value;
+  }
+
+  // A web address that is not a Digital Link, or a Digital Link URI that could not be decoded
+  if (meta.digital_link?.error === "DL_NOT_A_DIGITAL_LINK") {
+    checks.push({
+      code: "URL_NOT_DIGITAL_LINK",
+      severity: "BLOCK",
+      message: "The scan is a web address, not a GS1 Digital Link: no primary key in its path.",
+      details: { domain: meta.digital_link.domain },
+    });
+  } else if (meta.digital_link?.error) {
+    checks.push({
+      code: "DIGITAL_LINK_INVALID",
+      severity: "BLOCK",
+      message: "GS1 Digital Link URI could not be decoded.",
+      details: { reason: meta.digital_link.error },
+    });
+  }
+
+  // Symbology identifier: accepted list, and whether it fits the data it carried
+  const sym = meta.symbology || null;
+  const accepted = Array.isArray(policy.accepted_symbologies) && policy.accepted_symbologies.length
+    ? policy.accepted_symbologies.map((x) => String(x).toUpperCase())
+    : null;
+  if (accepted && !sym) {
+    checks.push({
+      code: "SYMBOLOGY_ID_MISSING",
+      severity: policy.symbology_id_required ? "BLOCK" : "WARN",
+      message: "Scan carries no symbology identifier; accepted symbologies cannot be enforced.",
+      details: { accepted },
+    });
+  } else if (accepted && !accepted.includes(sym.symbology)) {
+    checks.push({
+      code: "SYMBOLOGY_NOT_ACCEPTED",
+      severity: "BLOCK",
+      message: `Symbology ${sym.symbology} (${sym.id}) is not accepted by policy.`,
+      details: { symbology_id: sym.id, symbology: sym.symbology, accepted },
+    });
+  }
+  if (sym && !sym.unrecognized) {
+    const gs1ElementString = agency === "GS1" && meta.input_format === "ELEMENT_STRING" && !parsed.some((x) => x.source === "NUMERIC_AS_GTIN");
+    if (gs1ElementString && !sym.gs1) {
+      checks.push({
+        code: "SYMBOLOGY_DATA_MISMATCH",
+        severity: "BLOCK",
+        message: `GS1 element string arrived through ${sym.id} (${sym.symbology}), which does not signal FNC1.`,
+        details: { symbology_id: sym.id, symbology: sym.symbology, data: "GS1_ELEMENT_STRING" },
+      });
+    } else if (sym.gs1 && (agency !== "GS1" || meta.input_format === "DIGITAL_LINK")) {
+      const data = agency !== "GS1" ? agency : "DIGITAL_LINK";
+      checks.push({
+        code: "SYMBOLOGY_DATA_MISMATCH",
+        severity: "WARN",
+        message: `${sym.id} (${sym.symbology}) signals a GS1 element string, but the data is ${data === "DIGITAL_LINK" ? "a Digital Link URI" : data}.`,
+        details: { symbology_id: sym.id, symbology: sym.symbology, data },
+      });
+    }
+  }
+
+  // Numeric-as-GTIN behavior
+  if (parsed.some((x) => x.source === "NUMERIC_AS_GTIN") && policy.accept_numeric_as_gtin === false) {
+    checks.push({ code: "NUMERIC_GTIN_NOT_ALLOWED", severity: "BLOCK", message: "Numeric-only payload treated as GTIN is disabled by policy." });
+  }
+
+  // Missing GS explicit enforcement (matches runbook)
+  if (meta.missing_gs_detected) {
+    const sev = (policy.missing_gs_behavior || "BLOCK") === "LOOKAHEAD" ? "WARN" : "BLOCK";
+    checks.push({
+      code: "MISSING_GS_SEPARATOR",
+      severity: sev,
+      message: sev === "BLOCK" ? "Missing GS (ASCII 29) separator detected. Strict policy blocks this scan." : "Missing GS separator detected. Parsed via lookahead (WARN).",
+      details: { fields: meta.missing_gs_fields || [] },
+    });
+  }
+
+  // Several readings of a string with missing GS, none clearly ahead (operator picks via parse_candidate)
+  const cands = meta.parse_candidates || [];
+  if (cands.length > 1 && !meta.parse_candidate_picked) {
+    const minConf = Number(policy.lookahead_min_confidence ?? 0.8);
+    if (cands[0].confidence < minConf) {
+      const sev = (policy.missing_gs_behavior || "BLOCK") === "LOOKAHEAD" ? "WARN" : "BLOCK";
+      checks.push({
+        code: "PARSE_AMBIGUOUS",
+        severity: sev,
+        message: `Barcode data can be read ${cands.length} ways; best reading has ${Math.round(cands[0].confidence * 100)}% confidence.`,
+        details: { confidence: cands[0].confidence, min_confidence: minConf, candidates: cands.map((c) => c.hri) },
+      });
+    }
+  }
+
+  // HIBCC: the device identifier is LIC + product code, protected by a mod-43 check character
+  if (agency === "HIBCC") {
+    const hi = meta.hibcc || {};
+    if (!hi.check_valid) {
+      checks.push({
+        code: "HIBC_CHECK_CHARACTER_INVALID",
+        severity: "BLOCK",
+        message: "Invalid HIBC check character.",
+        details: { found: hi.check_char, expected: hi.expected_check_char ?? null },
+      });
+    }
+    if (hi.error) {
+      checks.push({ code: "HIBC_FORMAT_INVALID", severity: "BLOCK", message: "HIBC data structure could not be parsed.", details: { reason: hi.error } });
+    }
+    if (!map["HIBC_DI"]) {
+      checks.push({ code: "REQ_HIBC_PRIMARY_MISSING", severity: "BLOCK", message: "Missing HIBC primary data (LIC + product code).", details: { structure: hi.structure, link_char: hi.link_char ?? null } });
+    }
+    // Split label composed from two scans: the secondary's link character ties it to this primary
+    if (hi.structure === "SPLIT" && hi.link_char !== hi.primary_check_char) {
+      checks.push({
+        code: "HIBC_LINK_CHARACTER_MISMATCH",
+        severity: "BLOCK",
+        message: "HIBC secondary label does not belong to this primary (link character differs from its check character).",
+        details: { link_char: hi.link_char, primary_check_char: hi.primary_check_char },
+      });
+    }
+  }
+
+  // ICCBBA: device identifier = processing facility information + product code, DIN identifies the unit
+  if (agency === "ICCBBA") {
+    const ic = meta.iccbba || {};
+    if (ic.error) {
+      checks.push({ code: "ISBT_FORMAT_INVALID", severity: "BLOCK", message: "ISBT 128 data structure could not be parsed.", details: { reason: ic.error } });
+    }
+    if (ic.din_check_valid === false) {
+      checks.push({ code: "ISBT_DIN_CHECK_INVALID", severity: "BLOCK", message: "DIN flag check character does not match (ISO 7064 mod 37-2).", details: { din: ic.din, flags: ic.din_flags, expected_check_char: ic.din_check_char } });
+    }
+    if (!map["ISBT_PRODUCT_CODE"]) {
+      checks.push({ code: "REQ_ISBT_PRODUCT_CODE_MISSING", severity: "BLOCK", message: "Missing ISBT 128 product code (data structure 003)." });
+    }
+    if (!map["ISBT_DIN"]) {
+      checks.push({ code: "REQ_ISBT_DIN_MISSING", severity: "BLOCK", message: "Missing Donation Identification Number (data structure 001)." });
+    }
+  }
+
+  // Required AI checks
+  if (agency === "GS1" && !map["01"]) checks.push({ code: "REQ_AI_01_MISSING", severity: "BLOCK", message: "Missing GTIN (AI 01)." });
+
+  // GTIN check digit
+  if (policy.enforce_gtin_checkdigit !== false && map["01"]) {
+    const gtin14 = gtinTo14(map["01"]);
+    if (!isValidGtin14(gtin14)) {
+      checks.push({ code: "GTIN_CHECKDIGIT_INVALID", severity: "BLOCK", message: "Invalid GTIN check digit for AI 01.", details: { gtin14 } });
+    }
+  }
+
+  // Character set / per-AI format: CSet 82/39/64, numeric components, lengths, date fields
+  if (agency === "GS1" && policy.enforce_ai_format !== false) {
+    for (const p of parsed) {
+      const def = GS1_AI_TABLE[p.ai];
+      if (!def) continue;
+      for (const issue of aiValueIssues(def, String(p.value ?? ""))) {
+        if (GS1_DATE_AIS[p.ai] && issue.code === "AI_VALUE_DATE_INVALID") continue; // the date checks below cover it
+        checks.push({ code: issue.code, severity: "BLOCK", message: issue.message, details: issue.details });
+      }
+    }
+  }
+
+  // Every other GS1 key present (SSCC, GLN 410-417, GRAI, GSRN, GDTI, GCN, GSIN, ITIP, GMN, GTIN in 02)
+  if (policy.enforce_key_checkdigits !== false) {
+    for (const k of validateGs1Keys(parsed.filter((p) => p.ai !== "01"))) {
+      checks.push({ code: k.code, severity: "BLOCK", message: k.message, details: { ai: k.ai, key: k.key, ...k.details } });
+    }
+  }
+
+  // Dates: every date AI (11/12/13/15/16/17) with the GS1 century rule, plus cross-field rules
+  const { dates, checks: dateChecks } = validateGs1Dates(map, { today, severity: policy.date_rule_severity || {} });
+  checks.push(...dateChecks);
+
+  // Expiry
+  if (policy.expiry_required && !map["17"]) {
+    checks.push({ code: "REQ_AI_17_MISSING", severity: "BLOCK", message: "Missing Expiry (AI 17) per policy." });
+  }
+  if (dates["17"]) {
+    const pe = dates["17"];
+    const diffDays = daysFromToday(pe.iso, today);
+    if (diffDays < 0) {
+      checks.push({ code: "EXPIRY_EXPIRED", severity: "BLOCK", message: "Item is expired (AI 17)." });
+    } else {
+      const thr = Number(policy.near_expiry_threshold_days ?? 90);
+      if (!Number.isNaN(thr) && diffDays <= thr) {
+        const sev = (policy.near_expiry_severity || "WARN").toUpperCase() === "BLOCK" ? "BLOCK" : "WARN";
+        checks.push({
+          code: "EXPIRY_NEAR",
+          severity: sev,
+          message: `Expiry is within threshold (${thr} days).`,
+          details: { expiry_iso: pe.iso, days_left: diffDays, threshold_days: thr },
+        });
+      }
+    }
+  }
+
+  // Minimum remaining shelf life (%), from AI 11 or the item's total shelf life in master data
+  const slt = shelfLifeThresholds(policy, context);
+  if (slt && dates["17"] && daysFromToday(dates["17"].iso, today) >= 0) {
+    const sl = remainingShelfLife(dates["17"], { prod: dates["11"], shelfLifeDays: context.shelf_life_days, today });
+    if (!sl) {
+      if (slt.unknown_severity !== "OFF") {
+        checks.push({
+          code: "SHELF_LIFE_UNKNOWN",
+          severity: slt.unknown_severity === "BLOCK" ? "BLOCK" : "WARN",
+          message: "Remaining shelf life cannot be computed: no production date (AI 11) and no total shelf life for the item.",
+          details: { expiry_iso: dates["17"].iso, scope: slt.scope },
+        });
+      }
+    } else {
+      const sev = slt.block !== null && sl.remaining_pct < slt.block ? "BLOCK" : slt.warn !== null && sl.remaining_pct < slt.warn ? "WARN" : null;
+      if (sev) {
+        const thr = sev === "BLOCK" ? slt.block : slt.warn;
+        checks.push({
+          code: "SHELF_LIFE_BELOW_MIN",
+          severity: sev,
+          message: `Remaining shelf life ${sl.remaining_pct}% is below the ${thr}% minimum.`,
+          details: { expiry_iso: dates["17"].iso, ...sl, threshold_pct: thr, scope: slt.scope },
+        });
+      }
+    }
+  }
+
+  // Tracking policy
+  // (ISBT 128: the DIN is both the lot and the unit identifier)
+  const tp = policy.tracking_policy || "LOT_ONLY";
+  if ((tp === "LOT_ONLY" || tp === "LOT_AND_SERIAL") && !map["10"] && !map["ISBT_DIN"]) {
+    checks.push({ code: "REQ_AI_10_MISSING", severity: "BLOCK", message: "Missing Lot (AI 10) per policy." });
+  }
+  if ((tp === "SERIAL_ONLY" || tp === "LOT_AND_SERIAL") && !map["21"] && !map["ISBT_DIN"]) {
+    checks.push({ code: "REQ_AI_21_MISSING", severity: "BLOCK", message: "Missing Serial (AI 21) per policy." });
+  }
+
+  // Serial already received and still in stock (context.serial_seen: its serial registry entry, receipts only)
+  const seen = context.serial_seen;
+  if (seen && map["21"]) {
+    const where = seen.last_source === "POSTING" ? `posting ${seen.last_document_no || seen.last_source_ref}` : `tx_log ${seen.last_source_ref}`;
+    checks.push({
+      code: "DUPLICATE_SERIAL",
+      severity: "BLOCK",
+      message: `Serial ${map["21"]} was already received on ${new Date(seen.last_received_at).toISOString().slice(0, 10)} (${where}) and has not left stock since.`,
+      details: {
+        gtin: seen.gtin,
+        serial: seen.serial,
+        received_at: seen.last_received_at,
+        source: seen.last_source,
+        source_ref: seen.last_source_ref,
+        document_no: seen.last_document_no || null,
+        session_id: seen.last_session_id || null,
+        received_by: seen.last_received_by || null,
+        receipt_count: seen.receipt_count,
+      },
+    });
+  }
+
+  // Recalls and quality holds the server matched for this unit (see quality-holds.js)
+  for (const h of context.quality_holds || []) {
+    const notice = [h.kind, h.reference].filter(Boolean).join(" ");
+    checks.push({
+      code: h.code,
+      severity: "BLOCK",
+      message:
+        h.code === "QUARANTINED_SERIAL"
+          ? `Serial ${h.serial} is on hold (${notice}).`
+          : h.lot
+            ? `Lot ${h.lot} is on hold (${notice}).`
+            : `GTIN ${h.gtin} is on hold (${notice}).`,
+      details: h,
+    });
+  }
+
+  if (parsed.some((x) => x.ai === "??")) {
+    checks.push({ code: "UNKNOWN_PAYLOAD", severity: "WARN", message: "Unrecognized payload after parsing." });
+  }
+
+  const hasBlock = checks.some((c) => c.severity === "BLOCK");
+  const decisionRaw = hasBlock ? "BLOCK" : checks.length ? "WARN" : "PASS";
+
+  // ✅ NO-BLOCK mode (default): NEVER return BLOCK. Convert BLOCK → WARN and keep transparency in meta.
+  // NEVER_DOWNGRADED_CHECKS are the exception: those stay BLOCK.
+  if (noBlock) {
+    const block_codes = checks.filter((c) => c.severity === "BLOCK").map((c) => c.code);
+    const checks_nb = checks.map((c) =>
+      c.severity === "BLOCK" && !NEVER_DOWNGRADED_CHECKS.includes(c.code) ? { ...c, severity: "WARN", originally: "BLOCK" } : c
+    );
+    const decision = checks_nb.some((c) => c.severity === "BLOCK") ? "BLOCK" : decisionRaw === "BLOCK" ? "WARN" : decisionRaw;
+    const meta_nb = { ...(meta || {}), no_block: true, would_block: hasBlock, would_block_codes: block_codes };
+    return { decision, checks: checks_nb, meta: meta_nb };
+  }
+
+  return { decision: decisionRaw, checks, meta };
+}
+
+// Policy in effect when none has been activated yet.
+export const DEFAULT_POLICY = Object.freeze({
+  expiry_required: true,
+  tracking_policy: "LOT_ONLY",
+  missing_gs_behavior: "BLOCK",
+  lookahead_min_confidence: 0.8,
+  accept_numeric_as_gtin: true,
+  enforce_gtin_checkdigit: true,
+  enforce_key_checkdigits: true,
+  enforce_ai_format: true,
+  near_expiry_threshold_days: 90,
+  near_expiry_severity: "WARN",
+  allow_commit_on_warn: true,
+});
+
+// Every field decide() and the commit flow read from a policy; the defaults above plus the optional ones.
+export const POLICY_FIELDS = [
+  ...Object.keys(DEFAULT_POLICY),
+  "date_rule_severity",
+  "accepted_symbologies",
+  "symbology_id_required",
+  "shelf_life",
+  "agency_overrides",
+];
+
+// What each field may hold: a kind of value (VALUE_CHECKS), a list of allowed values, or a function
+// checking a nested block. Checked by checkPolicyConfig.
+const POLICY_FIELD_TYPES = {
+  expiry_required: "boolean",
+  tracking_policy: ["LOT_ONLY", "SERIAL_ONLY", "LOT_AND_SERIAL"],
+  missing_gs_behavior: ["BLOCK", "LOOKAHEAD"],
+  lookahead_min_confidence: "number 0..1",
+  accept_numeric_as_gtin: "boolean",
+  enforce_gtin_checkdigit: "boolean",
+  enforce_key_checkdigits: "boolean",
+  enforce_ai_format: "boolean",
+  near_expiry_threshold_days: "whole number >= 0",
+  near_expiry_severity: ["WARN", "BLOCK"],
+  allow_commit_on_warn: "boolean",
+  date_rule_severity: (path, v) => policyObjectError(path, v, DATE_RULE_SEVERITY_FIELDS),
+  accepted_symbologies: "array of strings",
+  symbology_id_required: "boolean",
+  shelf_life: (path, v) => policyObjectError(path, v, SHELF_LIFE_FIELDS),
+  agency_overrides: (path, v) => policyObjectError(path, v, AGENCY_OVERRIDE_FIELDS),
+};
+
+const VALUE_CHECKS = {
+  boolean: (v) => typeof v === "boolean",
+  "array of strings": (v) => Array.isArray(v) && v.every((x) => typeof x === "string"),
+  "number 0..1": (v) => typeof v === "number" && v >= 0 && v <= 1,
+  "number 0..100": (v) => typeof v === "number" && v >= 0 && v <= 100,
+  "whole number >= 0": (v) => Number.isSafeInteger(v) && v >= 0,
+};
+
+const DATE_RULE_SEVERITY_FIELDS = Object.fromEntries(Object.keys(GS1_DATE_RULES).map((code) => [code, ["WARN", "BLOCK", "OFF"]]));
+
+// One shelf-life threshold set; shelfLifeThresholds() merges the defaults, session-type and customer sets.
+const SHELF_LIFE_RULE_FIELDS = {
+  min_remaining_pct_warn: "number 0..100",
+  min_remaining_pct_block: "number 0..100",
+  unknown_severity: ["WARN", "BLOCK", "OFF"],
+};
+const shelfLifeRulesByKey = (path, v) => {
+  if (!isPlainObject(v)) return { error: "INVALID_POLICY_FIELD", field: path, expected: "object" };
+  for (const [k, rule] of Object.entries(v)) {
+    const err = policyObjectError(`${path}.${k}`, rule, SHELF_LIFE_RULE_FIELDS);
+    if (err) return err;
+  }
+  return null;
+};
+const SHELF_LIFE_FIELDS = { ...SHELF_LIFE_RULE_FIELDS, by_session_type: shelfLifeRulesByKey, by_customer: shelfLifeRulesByKey };
+
+// Per issuing agency, any policy field but agency_overrides itself
+const agencyOverride = (path, v) => {
+  const { agency_overrides: _, ...fields } = POLICY_FIELD_TYPES;
+  return policyObjectError(path, v, fields);
+};
+const AGENCY_OVERRIDE_FIELDS = { GS1: agencyOverride, HIBCC: agencyOverride, ICCBBA: agencyOverride };
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// null = keep the default, at any depth
+function policyFieldError(path, expected, value) {
+  if (value === null) return null;
+  if (typeof expected === "function") return expected(path, value);
+  const ok = Array.isArray(expected) ? expected.includes(value) : VALUE_CHECKS[expected](value);
+  return ok ? null : { error: "INVALID_POLICY_FIELD", field: path, expected };
+}
+
+// An object of policy fields against { field: expected } -> the first error, or null. Nested fields
+// are named by their path, e.g. "shelf_life.by_customer.C10042.min_remaining_pct_warn".
+function policyObjectError(path, value, fields) {
+  if (!isPlainObject(value)) return { error: "INVALID_POLICY_FIELD", field: path, expected: "object" };
+  const name = (k) => (path ? `${path}.${k}` : k);
+  const unknown = Object.keys(value).filter((k) => !Object.hasOwn(fields, k));
+  if (unknown.length) return { error: "UNKNOWN_POLICY_FIELD", fields: unknown.map(name), allowed: Object.keys(fields) };
+  for (const [k, v] of Object.entries(value)) {
+    const err = policyFieldError(name(k), fields[k], v);
+    if (err) return err;
+  }
+  return null;
+}
+
+// A policy config as submitted -> { config } or { error, ... }. Unknown fields are refused rather
+// than dropped, nested blocks and numeric ranges included. partial: only the given fields (rule
+// overrides, drafts); otherwise the result is complete, with DEFAULT_POLICY filling whatever was not
+// given or is null.
+export function checkPolicyConfig(cfg, { partial = false } = {}) {
+  if (!isPlainObject(cfg)) return { error: "INVALID_POLICY" };
+  const err = policyObjectError("", cfg, POLICY_FIELD_TYPES);
+  if (err) return err;
+  if (partial) return { config: { ...cfg } };
+  const config = { ...DEFAULT_POLICY };
+  for (const [k, v] of Object.entries(cfg)) if (v !== null) config[k] = v;
+  return { config };
+}
+
+// Flat view of the segments for the static UIs: { ai: { "01": … }, raw, fields, gtin, lot, expiry, … }.
+export function uiParsedFromSegments(segments, raw) {
+  const ai = {};
+  for (const s of (segments || [])) {
+    if (s && s.ai && s.ai !== "??") ai[s.ai] = s.value;
+  }
+  const out = { ai, raw: String(raw || "") };
+  // Every parsed AI with its dictionary title; well-known AIs also get a named property.
+  out.fields = Object.entries(ai).map(([code, value]) => ({ ai: code, title: GS1_AI_TABLE[code]?.title || null, value }));
+  for (const [code, value] of Object.entries(ai)) {
+    const key = GS1_AI_TABLE[code]?.key;
+    if (key && out[key] === undefined) out[key] = value;
+  }
+  if (ai["HIBC_DI"]) out.hibc_di = ai["HIBC_DI"];
+  if (ai["ISBT_DIN"]) out.din = ai["ISBT_DIN"];
+  if (ai["ISBT_PRODUCT_CODE"]) out.isbt_product_code = ai["ISBT_PRODUCT_CODE"];
+  if (ai["ISBT_PFI"]) out.processing_facility = ai["ISBT_PFI"];
+  const measures = (segments || []).filter((s) => s && s.measure).map((s) => ({ ai: s.ai, ...s.measure }));
+  if (measures.length) out.measures = measures;
+  const sq = scanQuantity(segments);
+  if (sq && (sq.ai === "30" || sq.ai === "37")) out.qty = sq.qty;
+  if (out.expiry && /^\d{6}$/.test(out.expiry)) {
+    const pe = parseGs1Date(out.expiry);
+    if (!pe.error) out.expiry_iso = pe.iso;
+  }
+  return out;
+}
+
+// A profile for scanners that drop GS altogether makes boundary inference the expected case.
+export function policyForScanner(policy, applied) {
+  return applied?.gs_dropped ? { ...policy, missing_gs_behavior: "LOOKAHEAD" } : policy;
+}
+
+// One scan parsed and decided in the browser the way the server would, e.g. while it is unreachable.
+// config: { policy, no_block, scanner_profile, dl_resolvers } as returned by /api/parser/config; defaults without it.
+// compat: read missing-GS data like the /api/parse-validate family does (LOOKAHEAD under NO-BLOCK).
+// Rules that need the database (item shelf life, known lots, split labels) only run server-side.
+export function localScan(raw, config = null, { context = {}, compat = false } = {}) {
+  const noBlock = config?.no_block ?? true;
+  for (const r of config?.dl_resolvers || []) addDigitalLinkResolver(r);
+  const received = applyScannerProfile(String(raw ?? "").trim(), config?.scanner_profile || null);
+  const policy = policyForScanner(config?.policy || { ...DEFAULT_POLICY }, received.applied);
+  const missingGs = compat && noBlock ? "LOOKAHEAD" : policy.missing_gs_behavior || "BLOCK";
+  const { normalized, parsedResult } = parseScan(received.raw, missingGs);
+  const d = decide(parsedResult, policy, context, { noBlock });
+  return {
+    decision: d.decision,
+    normalized,
+    parsed: uiParsedFromSegments(parsedResult.segments, received.raw),
+    parse_meta: d.meta,
+    checks: d.checks,
+    policy_applied: policy,
+    scanner_profile: received.applied,
+  };
+}
@@ -0,0 +1,111 @@
+// ---------------- Scoped policy rules ----------------
+// The active policy is one config for every scan. A rule overrides some of its fields for the scans
+// in its scope: one GTIN, a GS1 company prefix, an items_cache item, a work session type or the
+// role of the user scanning, e.g. LOT_AND_SERIAL for one implant GTIN or stricter expiry settings
+// for RECEIVING. Matching rules are merged over the active policy from the broadest scope to the
+// narrowest, so a GTIN rule has the last word; within a scope the higher priority wins.
+import { checkPolicyConfig, gtinTo14 } from "./gs1-parser.js";
+
+// Broadest first: the order rules are merged in
+export const POLICY_RULE_SCOPES = ["ROLE", "SESSION_TYPE", "COMPANY_PREFIX", "ITEM", "GTIN"];
+
+const ROLES = ["operator", "admin", "auditor"];
+const SESSION_TYPES = ["RECEIVING", "PICKING", "CYCLE_COUNT", "TRANSFER", "OTHER"];
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Stored form of a subject: role lower case, session type upper case, GTIN as GTIN-14, prefix digits only.
+function normalizeSubject(scope, subject) {
+  const s = String(subject ?? "").trim();
+  if (!s) return null;
+  if (scope === "ROLE") return ROLES.includes(s.toLowerCase()) ? s.toLowerCase() : null;
+  if (scope === "SESSION_TYPE") return SESSION_TYPES.includes(s.toUpperCase()) ? s.toUpperCase() : null;
+  if (scope === "GTIN") return /^(\d{8}|\d{12,14})$/.test(s) ? gtinTo14(s) : null;
+  if (scope === "COMPANY_PREFIX") return /^\d{4,12}$/.test(s) ? s : null;
+  return s;
+}
+
+// Request body -> { rule } with the stored column names, or { error }.
+export function checkPolicyRule(body) {
+  const b = body || {};
+  const name = String(b.name ?? "").trim();
+  if (!name) return { error: "MISSING_NAME" };
+
+  const scope = String(b.scope ?? "").toUpperCase();
+  if (!POLICY_RULE_SCOPES.includes(scope)) return { error: "INVALID_SCOPE", allowed: POLICY_RULE_SCOPES };
+  const subject = normalizeSubject(scope, b.subject);
+  if (!subject) {
+    const allowed = scope === "ROLE" ? ROLES : scope === "SESSION_TYPE" ? SESSION_TYPES : undefined;
+    return { error: "INVALID_SUBJECT", scope, ...(allowed ? { allowed } : {}) };
+  }
+
+  const priority = b.priority === undefined || b.priority === null || b.priority === "" ? 0 : Number(b.priority);
+  if (!Number.isInteger(priority)) return { error: "INVALID_PRIORITY" };
+
+  if (!isPlainObject(b.overrides) || !Object.keys(b.overrides).length) return { error: "MISSING_OVERRIDES" };
+  const overrides = checkPolicyConfig(b.overrides, { partial: true });
+  if (overrides.error) return overrides;
+
+  return {
+    rule: {
+      name,
+      description: b.description || null,
+      scope,
+      subject,
+      priority,
+      overrides: overrides.config,
+      is_active: b.is_active === undefined ? true : !!b.is_active,
+    },
+  };
+}
+
+// Nested blocks (shelf_life and its by_session_type / by_customer) merge key by key; anything else is replaced.
+function mergePolicy(base, overrides) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(overrides || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(out[k]) ? mergePolicy(out[k], v) : v;
+  }
+  return out;
+}
+
+// What a scan is, for matching: GTIN-14 and SSCC from its segments (the company prefix follows their first digit).
+export function productScopeOf(parsedResult) {
+  const segs = parsedResult?.segments || [];
+  const gtin = segs.find((x) => x.ai === "01")?.value;
+  const sscc = segs.find((x) => x.ai === "00")?.value;
+  return {
+    gtin: gtin && /^\d{8,14}$/.test(gtin) ? gtinTo14(gtin) : null,
+    sscc: sscc && /^\d{18}$/.test(sscc) ? sscc : null,
+  };
+}
+
+function ruleMatches(rule, scope) {
+  switch (rule.scope) {
+    case "ROLE":
+      return rule.subject === scope.role;
+    case "SESSION_TYPE":
+      return !!scope.session_type && rule.subject === String(scope.session_type).toUpperCase();
+    case "COMPANY_PREFIX":
+      return [scope.gtin, scope.sscc].some((key) => key && key.slice(1).startsWith(rule.subject));
+    case "ITEM":
+      return !!scope.item_no && rule.subject === scope.item_no;
+    case "GTIN":
+      return !!scope.gtin && rule.subject === scope.gtin;
+    default:
+      return false;
+  }
+}
+
+// rules: active rule rows, oldest first. scope: { role, session_type, gtin, sscc, item_no }, any of them null.
+// -> the policy with every matching rule merged in and matched_rules listing them in merge order.
+export function resolvePolicy(base, rules, scope = {}) {
+  const order = (r) => POLICY_RULE_SCOPES.indexOf(r.scope);
+  const matched = (rules || [])
+    .filter((r) => r.is_active !== false && ruleMatches(r, scope))
+    .sort((a, b) => order(a) - order(b) || (a.priority || 0) - (b.priority || 0));
+  const policy = matched.reduce((p, r) => mergePolicy(p, r.overrides), { ...base });
+  policy.matched_rules = matched.map(({ id, name, scope: s, subject, priority }) => ({ id, name, scope: s, subject, priority }));
+  return policy;
+}
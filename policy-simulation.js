@@ -0,0 +1,74 @@
+// ---------------- Policy what-if ----------------
+// Tallies how the decisions on a set of stored scans move between two policies: the one in force
+// and a draft. The server re-decides each scan under both (same parse, same day, same context), so
+// every difference here comes from the policy alone; this module only compares and counts.
+
+const DECISION_RANK = { PASS: 0, WARN: 1, BLOCK: 2 };
+
+// Check codes behind a change: raised only by the draft, cleared by it, or kept with another severity.
+function checkChanges(before, after) {
+  const sev = (checks) => new Map((checks || []).map((c) => [c.code, c.severity]));
+  const a = sev(before);
+  const b = sev(after);
+  const out = [];
+  for (const [code, s] of b) {
+    if (!a.has(code)) out.push({ code, change: "RAISED", severity: s });
+    else if (a.get(code) !== s) out.push({ code, change: "SEVERITY", from: a.get(code), to: s });
+  }
+  for (const [code, s] of a) if (!b.has(code)) out.push({ code, change: "CLEARED", severity: s });
+  return out;
+}
+
+function bucket(map, key, init) {
+  if (!map.has(key)) map.set(key, { ...init, count: 0, transitions: {}, sample_scan_ids: [] });
+  return map.get(key);
+}
+
+function tally(b, transition, scanId, sampleSize) {
+  b.count++;
+  b.transitions[transition] = (b.transitions[transition] || 0) + 1;
+  if (b.sample_scan_ids.length < sampleSize) b.sample_scan_ids.push(scanId);
+}
+
+const byCount = (a, b) => b.count - a.count;
+
+// rows: [{ scan_id, gtin, operator, before: { decision, checks }, after: { decision, checks } }]
+// -> { total, unchanged, changed, tightened, loosened, transitions, by_check, by_gtin, by_operator }
+// Only scans whose decision changes are bucketed; every bucket keeps up to sampleSize scan ids.
+export function summarizeSimulation(rows, { sampleSize = 5 } = {}) {
+  const transitions = new Map();
+  const checks = new Map();
+  const gtins = new Map();
+  const operators = new Map();
+  let tightened = 0;
+  let loosened = 0;
+
+  for (const r of rows) {
+    const from = r.before.decision;
+    const to = r.after.decision;
+    if (from === to) continue;
+    if (DECISION_RANK[to] > DECISION_RANK[from]) tightened++;
+    else loosened++;
+
+    const t = `${from}->${to}`;
+    tally(bucket(transitions, t, { from, to }), t, r.scan_id, sampleSize);
+    for (const c of checkChanges(r.before.checks, r.after.checks)) {
+      tally(bucket(checks, `${c.code}|${c.change}`, { code: c.code, change: c.change }), t, r.scan_id, sampleSize);
+    }
+    tally(bucket(gtins, r.gtin || "", { gtin: r.gtin || null }), t, r.scan_id, sampleSize);
+    tally(bucket(operators, r.operator || "", { operator: r.operator || null }), t, r.scan_id, sampleSize);
+  }
+
+  const list = (m) => [...m.values()].sort(byCount);
+  return {
+    total: rows.length,
+    unchanged: rows.length - tightened - loosened,
+    changed: tightened + loosened,
+    tightened,
+    loosened,
+    transitions: list(transitions).map(({ transitions: _, ...t }) => t),
+    by_check: list(checks),
+    by_gtin: list(gtins),
+    by_operator: list(operators),
+  };
+}
@@ -297,6 +297,7 @@
       if (r && r.user) {
         state.me = r.user;
         localStorage.setItem('gs1hub.me', JSON.stringify(state.me || {}));
+        loadLocalParser(); // parser + policy fetched while online, for offline scans
       }
     } catch (e) {
       // Token invalid/expired → logout safely
@@ -572,6 +573,8 @@ async function boot() {
 
         localStorage.setItem('gs1hub.token', state.token);
         localStorage.setItem('gs1hub.me', JSON.stringify(state.me || {}));
+        localParser = null;
+        loadLocalParser();
 
         toast('تم تسجيل الدخول', 'ok');
         try { window.SFX?.success?.(); } catch {}
@@ -885,8 +888,11 @@ state.scan.engine = ($('#engineSelect')?.value || 'auto').toLowerCase();
       decision = remote.decision || remote.status || remote.result?.decision || remote.verdict || null;
     }
 
-    if (!parsed) parsed = parseGS1(clean);
-    if (!decision) decision = localDecision(parsed);
+    if (!parsed || !decision) {
+      const local = await localParseValidate(clean);
+      if (!parsed) parsed = local.parsed;
+      if (!decision) decision = local.decision;
+    }
 
     applyScan({ raw: clean, parsed, status: String(decision).toUpperCase() });
   }
@@ -1234,97 +1240,26 @@ renderFields(parsed || {});
     }
   }
 
-  // ---- Local GS1 AI parse (best-effort)
-  function parseGS1(raw) {
-    const s = String(raw || '').trim();
-    if (!s) return {};
-
-    if (/\(\d{2,4}\)/.test(s)) {
-      const ai = {};
-      const re = /\((\d{2,4})\)/g;
-      const parts = [];
-      let m, lastIdx = 0, lastAI = null;
-
-      while ((m = re.exec(s))) {
-        const aiCode = m[1];
-        if (lastAI !== null) parts.push([lastAI, s.slice(lastIdx, m.index)]);
-        lastAI = aiCode;
-        lastIdx = re.lastIndex;
-      }
-      if (lastAI !== null) parts.push([lastAI, s.slice(lastIdx)]);
-
-      for (const [k, v] of parts) ai[k] = (v || '').trim();
-      return normalizeAI(ai, s);
+  // ---- Local parse/decide: the server's own parser module under the server's policy
+  let localParser = null;
+  function loadLocalParser() {
+    if (!localParser) {
+      localParser = Promise.all([
+        import(state.apiBase + '/lib/gs1-parser.js'),
+        apiGet('/api/parser/config').catch(() => null),
+      ]).then(([mod, config]) => ({ mod, config }));
+      localParser.catch(() => { localParser = null; });
     }
-
-    const GS = String.fromCharCode(29);
-    const ai = {};
-    let i = 0;
-
-    const fixed = { '01': 14, '02': 14, '11': 6, '13': 6, '15': 6, '17': 6, '20': 2 };
-    const variableMax = { '10': 20, '21': 20, '30': 8, '37': 8, '240': 30, '241': 30, '242': 6, '243': 20 };
-
-    while (i < s.length) {
-      const try4 = s.slice(i, i + 4);
-      const try3 = s.slice(i, i + 3);
-      const try2 = s.slice(i, i + 2);
-
-      const code =
-        (try4 in variableMax || try4 in fixed) ? try4 :
-        (try3 in variableMax || try3 in fixed) ? try3 :
-        try2;
-
-      const isFixed = Object.prototype.hasOwnProperty.call(fixed, code);
-      const isVar = Object.prototype.hasOwnProperty.call(variableMax, code);
-      if (!isFixed && !isVar) break;
-
-      i += code.length;
-
-      if (isFixed) {
-        ai[code] = s.slice(i, i + fixed[code]);
-        i += fixed[code];
-      } else {
-        const max = variableMax[code];
-        let end = s.indexOf(GS, i);
-        if (end === -1) end = Math.min(i + max, s.length);
-        ai[code] = s.slice(i, Math.min(end, i + max));
-        i = end + 1;
-      }
-    }
-    return normalizeAI(ai, s);
-  }
-
-  function normalizeAI(ai, raw) {
-    const out = { ai, raw };
-    if (ai['01']) out.gtin = ai['01'];
-    if (ai['17']) out.expiry = ai['17'];
-    if (ai['10']) out.lot = ai['10'];
-    if (ai['21']) out.serial = ai['21'];
-    if (ai['30'] || ai['37']) out.qty = ai['30'] || ai['37'];
-
-    if (out.expiry && /^\d{6}$/.test(out.expiry)) {
-      const yy = out.expiry.slice(0, 2);
-      const mm = out.expiry.slice(2, 4);
-      const dd = out.expiry.slice(4, 6);
-      out.expiry_iso = `20${yy}-${mm}-${dd}`;
-    }
-    return out;
+    return localParser;
   }
 
-  function localDecision(parsed) {
-    const gtin = parsed.gtin || '';
-    if (!gtin || gtin.length < 14) return 'WARN'; // NO-BLOCK mode
-
-    const exp = parsed.expiry_iso || '';
-    if (exp) {
-      const d = new Date(exp + 'T00:00:00Z');
-      if (!isNaN(d.valueOf())) {
-        const days = Math.floor((d - new Date()) / (1000 * 60 * 60 * 24));
-        if (days < 0) return 'WARN'; // NO-BLOCK mode
-        if (days <= 30) return 'WARN';
-      }
+  async function localParseValidate(raw) {
+    try {
+      const { mod, config } = await loadLocalParser();
+      return mod.localScan(raw, config, { compat: true });
+    } catch {
+      return { parsed: { ai: {}, raw }, decision: 'WARN' }; // parser module not reachable either
     }
-    return 'PASS';
   }
 
   // ---- API helpers
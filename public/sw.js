@@ -1,9 +1,13 @@
 /* Minimal SW (v4) — caches static assets (excluding HTML) to avoid update traps */
 // Updated cache version after changing assets (logo image). Increment version to bust old caches.
-const CACHE = 'gs1hub-shell-v10';
+const CACHE = 'gs1hub-shell-v11';
 const ASSETS = [
   './ui.css',
   './app.js',
+  '/lib/gs1-parser.js',
+  '/lib/gs1-keys.js',
+  '/lib/gs1-dates.js',
+  '/lib/scanner-profiles.js',
   './manifest.webmanifest',
   './responsive-enhancements.css',
   './assets/logo.svg',
@@ -108,6 +108,7 @@
   function clearSession() {
     state.token = '';
     state.me = null;
+    localParser = null;
     localStorage.removeItem(STORAGE.token);
     localStorage.removeItem(STORAGE.me);
   }
@@ -480,6 +481,18 @@
     if (v) v.srcObject = null;
   }
 
+  // The server's parser module and its settings, fetched while online so a scan can still be
+  // parsed and decided here when the server is unreachable.
+  let localParser = null;
+  function loadLocalParser() {
+    if (!localParser) {
+      localParser = Promise.all([import('/lib/gs1-parser.js'), api('/api/parser/config')])
+        .then(([mod, config]) => ({ mod, config }));
+      localParser.catch(() => { localParser = null; });
+    }
+    return localParser;
+  }
+
   async function handleScanRaw(raw, { source = 'manual' } = {}) {
     if (!raw) return;
     try {
@@ -499,14 +512,21 @@
         ts: new Date().toISOString(),
       };
 
-      const pv = await api('/api/scans/parse-validate', {
-        method: 'POST',
-        headers: { 'Idempotency-Key': idem },
-        json: { scan_id, raw_string: raw, context },
-      });
+      let pv;
+      try {
+        pv = await api('/api/scans/parse-validate', {
+          method: 'POST',
+          headers: { 'Idempotency-Key': idem },
+          json: { scan_id, raw_string: raw, context },
+        });
+      } catch (e) {
+        const local = e.status ? null : await loadLocalParser().catch(() => null);
+        if (!local) throw e;
+        pv = { ...local.mod.localScan(raw, local.config, { context }), scan_id, offline: true };
+      }
 
       state.lastScan = pv;
-      setText('lastResult', `${pv.decision}  •  ${summarizeScan(pv)}\n${scan_id}`);
+      setText('lastResult', `${pv.decision}  •  ${summarizeScan(pv)}\n${scan_id}${pv.offline ? '  •  OFFLINE (not recorded)' : ''}`);
 
       if (pv.decision === 'PASS') {
         try { window.sfx?.play?.('success'); } catch {}
@@ -515,20 +535,22 @@
         try { window.sfx?.play?.('warn'); } catch {}
         showToast('Scan Requires Review', `${pv.decision}: ${summarizeScan(pv)}`, 'warn');
 
-        // Create a case automatically (WARN/BLOCK)
-        try {
-          await api('/api/cases', {
-            method: 'POST',
-            json: {
-              scan_id: pv.scan_id,
-              raw_string: raw,
-              decision: pv.decision,
-              checks: pv.checks || [],
-              context: pv.context || context,
-            },
-          });
-        } catch {
-          // case creation best-effort
+        // Create a case automatically (WARN/BLOCK); an offline decision has no stored scan to attach it to
+        if (!pv.offline) {
+          try {
+            await api('/api/cases', {
+              method: 'POST',
+              json: {
+                scan_id: pv.scan_id,
+                raw_string: raw,
+                decision: pv.decision,
+                checks: pv.checks || [],
+                context: pv.context || context,
+              },
+            });
+          } catch {
+            // case creation best-effort
+          }
         }
       }
 
@@ -579,6 +601,7 @@
         showToast('Welcome Back', 'System Online.', 'success');
         setActiveNav('overview');
         loadOverview();
+        loadLocalParser().catch(() => {});
       } catch (e2) {
         showToast('Login failed', e2.message || 'ERROR', 'bad');
         const btn = el('loginBtn');
@@ -640,6 +663,7 @@
       setView('dashboard');
       setActiveNav('overview');
       loadOverview();
+      loadLocalParser().catch(() => {});
     } else {
       clearSession();
       setView('login');
@@ -4,7 +4,7 @@
    - Scan (idempotent + DB): /api/scans/parse-validate
    - Cases: /api/cases (create/list/detail/update)
    - Commit: /api/postings/commit (+ legacy /api/commit)
-   - Admin: /api/users, /api/audit, /api/policies/active, /api/gtin-map(/upsert), /api/items-cache, /api/work-sessions, /api/tx-log
+   - Admin: /api/users, /api/audit, /api/policies/active, /api/gtin-map(/upsert), /api/items-cache, /api/work-sessions, /api/tx-log, /api/scans/inspect
 */
 
 (function () {
@@ -122,10 +122,12 @@
     zxingReady: false,
     scannerBusy: false,
     pagesReady: false,
+    splitLabel: localStorage.getItem("ath_split_label") === "1", // compose the next scans as parts of one label
   };
 
   function setToken(tok) {
     state.token = tok || null;
+    localParser = null;
     if (tok) localStorage.setItem(storageKey, tok);
     else localStorage.removeItem(storageKey);
   }
@@ -312,6 +314,7 @@
               <div style="display:flex; gap:10px; flex-wrap:wrap;">
                 <button class="btn primary" id="commitPR"><i class="ph-bold ph-receipt"></i> Purchase Receipt</button>
                 <button class="btn secondary" id="commitTR"><i class="ph-bold ph-arrow-right"></i> Transfer Receipt</button>
+                <button class="btn secondary" id="commitZpl"><i class="ph-bold ph-printer"></i> Label (ZPL)</button>
               </div>
 
               <div style="font-size:12px; opacity:.75;">
@@ -484,6 +487,16 @@
               <textarea id="policyJson" rows="6" style="width:100%; padding:12px; border-radius:12px; border:1px solid var(--glass-border); background:rgba(255,255,255,.06); color:white; resize: vertical;" placeholder='{"expiry_required":false,"tracking_policy":"LOT_ONLY","missing_gs_behavior":"BLOCK","accept_numeric_as_gtin":true,"allow_commit_on_warn":true}'></textarea>
               <div style="font-size:12px; opacity:.8; margin-top:6px;">Admin only: POST <code>/api/policies/active</code></div>
             </div>
+
+            <div class="glass-panel" style="padding:16px; margin:0; display:none;" id="inspectorPanel">
+              <div style="font-weight:700; margin-bottom:10px;">Barcode Inspector</div>
+              <textarea id="inspectInput" rows="2" style="width:100%; padding:12px; border-radius:12px; border:1px solid var(--glass-border); background:rgba(255,255,255,.06); color:white; resize: vertical; font-family:monospace;" placeholder="Scan id, or a raw payload"></textarea>
+              <div style="display:flex; gap:10px; flex-wrap:wrap; margin:10px 0;">
+                <button class="btn secondary" id="inspectScanBtn"><i class="ph-bold ph-barcode"></i> Scan id</button>
+                <button class="btn secondary" id="inspectRawBtn"><i class="ph-bold ph-magnifying-glass"></i> Raw</button>
+              </div>
+              <div id="inspectOut" style="font-size:12px;"></div>
+            </div>
           </div>
         </div>
       </div>
@@ -704,28 +717,173 @@
     if (variant === "danger") st.classList.add("danger");
   }
 
-  async function submitScan(raw) {
-    const scan_id = `WOW-${Date.now()}-${String(Math.floor(Math.random() * 1e6)).padStart(6, "0")}`;
+  // Stable per-browser id so the server can pair split-label parts scanned here
+  function deviceId() {
+    let id = localStorage.getItem("ath_device_id");
+    if (!id) {
+      id = `WOW-${uuid()}`;
+      localStorage.setItem("ath_device_id", id);
+    }
+    return id;
+  }
+
+  // The server's parser module and its settings (policy, NO-BLOCK, scanner profile), fetched while
+  // online so a scan can still be parsed and decided here when the server is unreachable.
+  let localParser = null;
+  function loadLocalParser() {
+    if (!localParser) {
+      localParser = Promise.all([
+        import("/lib/gs1-parser.js"),
+        api(`/api/parser/config?device_id=${encodeURIComponent(deviceId())}`),
+      ]).then(([mod, config]) => ({ mod, config }));
+      localParser.catch(() => {
+        localParser = null;
+      });
+    }
+    return localParser;
+  }
+
+  // Missing-GS data that reads several ways: let the operator choose. Resolves to an hri or null.
+  function pickParseCandidate(candidates) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement("div");
+      overlay.style.cssText = "position:fixed; inset:0; z-index:9999; display:grid; place-items:center; background:rgba(0,0,0,.45);";
+      overlay.innerHTML = `
+        <div class="glass-panel" style="padding:18px; max-width:560px; width:92%;">
+          <div style="font-weight:800; margin-bottom:4px;">Which reading is on the label?</div>
+          <div style="font-size:12px; color:var(--text-muted); margin-bottom:12px;">A GS separator is missing, so the data can be split more than one way.</div>
+          ${candidates
+            .map(
+              (c, i) => `<button class="btn secondary" data-i="${i}" style="display:flex; justify-content:space-between; width:100%; margin-bottom:8px; font-family:monospace; font-size:12px;">
+                  <span>${escapeHtml(c.hri)}</span><span>${Math.round(Number(c.confidence || 0) * 100)}%</span>
+                </button>`
+            )
+            .join("")}
+          <button class="btn" data-i="-1" style="width:100%;">Keep best guess</button>
+        </div>`;
+      overlay.addEventListener("click", (e) => {
+        const b = e.target.closest("button[data-i]");
+        if (!b) return;
+        const i = Number(b.dataset.i);
+        overlay.remove();
+        resolve(i >= 0 ? candidates[i].hri : null);
+      });
+      document.body.appendChild(overlay);
+    });
+  }
+
+  // Camera not available or gave up: upload a photo of the label for the server to decode, or paste
+  // the payload. Resolves to the raw string to submit ("" when cancelled).
+  function scanFallback() {
+    return new Promise((resolve) => {
+      const overlay = document.createElement("div");
+      overlay.style.cssText = "position:fixed; inset:0; z-index:9999; display:grid; place-items:center; background:rgba(0,0,0,.45);";
+      overlay.innerHTML = `
+        <div class="glass-panel" style="padding:18px; max-width:560px; width:92%;">
+          <div style="font-weight:800; margin-bottom:4px;">Camera not available</div>
+          <div data-role="note" style="font-size:12px; color:var(--text-muted); margin-bottom:12px;">Upload a photo of the label (JPEG/PNG), or paste the barcode payload.</div>
+          <div data-role="symbols"></div>
+          <input type="file" accept="image/jpeg,image/png" capture="environment" style="display:none;" />
+          <button class="btn" data-act="photo" style="width:100%; margin-bottom:8px;">Upload label photo</button>
+          <button class="btn secondary" data-act="paste" style="width:100%; margin-bottom:8px;">Paste payload</button>
+          <button class="btn secondary" data-act="cancel" style="width:100%;">Cancel</button>
+        </div>`;
+      const note = overlay.querySelector("[data-role=note]");
+      const list = overlay.querySelector("[data-role=symbols]");
+      const file = overlay.querySelector("input[type=file]");
+      let symbols = [];
+      const done = (raw) => {
+        overlay.remove();
+        resolve(raw);
+      };
+
+      file.addEventListener("change", async () => {
+        const f = file.files && file.files[0];
+        if (!f) return;
+        note.textContent = "Decoding photo…";
+        list.innerHTML = "";
+        try {
+          const res = await fetch("/api/scans/decode-image?parse_validate=true", {
+            method: "POST",
+            headers: authHeaders({ "Content-Type": f.type || "application/octet-stream" }),
+            body: f,
+          });
+          const data = await res.json().catch(() => null);
+          if (!res.ok) throw new Error(data?.error || res.statusText);
+          symbols = data.symbols || [];
+        } catch (e) {
+          note.textContent = `Photo could not be decoded (${e.message}).`;
+          return;
+        } finally {
+          file.value = "";
+        }
+        if (symbols.length === 1) return done(symbols[0].raw);
+        if (!symbols.length) {
+          note.textContent = "No barcode found in the photo. Try a sharper, closer shot, or paste the payload.";
+          return;
+        }
+        note.textContent = `${symbols.length} barcodes in the photo. Which one?`;
+        list.innerHTML = symbols
+          .map(
+            (s, i) => `<button class="btn secondary" data-i="${i}" style="display:flex; justify-content:space-between; gap:8px; width:100%; margin-bottom:8px; font-family:monospace; font-size:12px;">
+                <span style="overflow:hidden; text-overflow:ellipsis;">${escapeHtml(s.data.split("\u001d").join("<GS>"))}</span>
+                <span>${escapeHtml(s.format)}${s.validation ? ` • ${escapeHtml(s.validation.decision)}` : ""}</span>
+              </button>`
+          )
+          .join("");
+      });
+
+      overlay.addEventListener("click", (e) => {
+        const b = e.target.closest("button");
+        if (!b) return;
+        if (b.dataset.i !== undefined) return done(symbols[Number(b.dataset.i)].raw);
+        if (b.dataset.act === "photo") file.click();
+        if (b.dataset.act === "paste") done(prompt("Paste barcode payload:", "") || "");
+        if (b.dataset.act === "cancel") done("");
+      });
+      document.body.appendChild(overlay);
+    });
+  }
+
+  // scanId: re-submit a scan already sent (the reading the operator picked), updating its stored row
+  async function submitScan(raw, extraContext = {}, scanId = null) {
+    const scan_id = scanId || `WOW-${Date.now()}-${String(Math.floor(Math.random() * 1e6)).padStart(6, "0")}`;
     const idem = uuid();
-    const context = { template: "WOW", client_ts: new Date().toISOString(), ui: "WOW" };
+    const context = { template: "WOW", client_ts: new Date().toISOString(), ui: "WOW", compose: state.splitLabel, device_id: deviceId(), ...extraContext };
     const payload = { scan_id, raw_string: raw, context };
 
-    const resp = await api("/api/scans/parse-validate", {
-      method: "POST",
-      headers: { "Idempotency-Key": idem },
-      body: payload,
-    });
+    let resp;
+    try {
+      resp = await api("/api/scans/parse-validate", {
+        method: "POST",
+        headers: { "Idempotency-Key": idem },
+        body: payload,
+      });
+    } catch (e) {
+      const local = e.status ? null : await loadLocalParser().catch(() => null);
+      if (!local) throw e;
+      // decided on this device only: nothing is stored, so no case and nothing to commit
+      resp = { ...local.mod.localScan(raw, local.config, { context }), scan_id, offline: true };
+      state.lastScan = { scan_id, raw_string: raw, result: resp };
+      return resp;
+    }
+
+    if (!extraContext.parse_candidate && (resp.checks || []).some((c) => c.code === "PARSE_AMBIGUOUS")) {
+      const hri = await pickParseCandidate(resp.parse_meta?.parse_candidates || []);
+      if (hri) return submitScan(raw, { parse_candidate: hri }, scan_id);
+    }
 
-    state.lastScan = { scan_id, raw_string: raw, result: resp };
+    // a merged split-label scan is stored under the id of its first part
+    state.lastScan = { scan_id: resp.scan_id || scan_id, raw_string: raw, result: resp };
 
-    // auto-create case for WARN/BLOCK (kept NO-BLOCK safe)
+    // auto-create case for WARN/BLOCK (kept NO-BLOCK safe); not while waiting for the next label part
     const decision = String(resp.decision || "WARN").toUpperCase();
-    if (decision === "WARN" || decision === "BLOCK") {
+    if ((decision === "WARN" || decision === "BLOCK") && resp.composition?.status !== "PENDING") {
       try {
         await api("/api/cases", {
           method: "POST",
           body: {
-            scan_id,
+            scan_id: state.lastScan.scan_id,
             raw_string: raw,
             decision,
             checks: Array.isArray(resp.checks) ? resp.checks : [],
@@ -752,8 +910,8 @@
       try {
         raw = await decodeOnce();
       } catch (e) {
-        // fallback prompt
-        raw = prompt("Camera not available. Paste barcode payload:", "") || "";
+        // fallback: label photo decoded on the server, or pasted payload
+        raw = await scanFallback();
       }
       raw = String(raw || "").trim();
       if (!raw) throw new Error("Empty scan");
@@ -764,22 +922,37 @@
       const decision = String(resp.decision || "WARN").toUpperCase();
       const checks = Array.isArray(resp.checks) ? resp.checks : [];
       const top = checks[0]?.message || checks[0]?.code || "";
+      const comp = resp.composition || null;
+      const ref = resp.offline ? `${resp.scan_id} • OFFLINE` : resp.scan_id || state.lastScan.scan_id;
+
+      if (comp?.discarded_scan_id) {
+        toast(`The earlier part was another item${comp.discarded_case_id ? ` (case ${comp.discarded_case_id})` : ""}.`, "warn", {
+          title: `DISCARDED • ${comp.discarded_scan_id}`,
+          ttl: 4200,
+        });
+      }
 
-      if (decision === "PASS") {
+      if (comp?.status === "PENDING") {
+        setScannerStatus(`PART ${comp.part_scan_ids.length}`, "warning");
+        toast("Scan the next label of this item to complete it.", "warn", {
+          title: `PENDING • ${resp.scan_id}`,
+          ttl: 4200,
+        });
+      } else if (decision === "PASS") {
         setScannerStatus("PASS", "success");
         if (window.sfx && window.sfx.play) window.sfx.play("success");
-        toast("Scan accepted.", "success", { title: `PASS • ${resp.scan_id || state.lastScan.scan_id}` });
+        toast("Scan accepted.", "success", { title: `PASS • ${ref}` });
       } else if (decision === "WARN") {
         setScannerStatus("WARN", "warning");
         if (window.sfx && window.sfx.play) window.sfx.play("warn");
         toast(top || "Warnings detected.", "warn", {
-          title: `WARN • ${resp.scan_id || state.lastScan.scan_id}`,
+          title: `WARN • ${ref}`,
           ttl: 4200,
         });
       } else {
         setScannerStatus("BLOCK", "danger");
         if (window.sfx && window.sfx.play) window.sfx.play("error");
-        toast(top || "Blocked (policy).", "error", { title: `BLOCK • ${resp.scan_id || state.lastScan.scan_id}`, ttl: 5200 });
+        toast(top || "Blocked (policy).", "error", { title: `BLOCK • ${ref}`, ttl: 5200 });
       }
 
       // prefill commit scan id
@@ -882,6 +1055,29 @@
     return r;
   }
 
+  // Label reprint for the scan: downloads ZPL II for the Zebra printers
+  async function downloadZpl(scan_id) {
+    const res = await fetch("/api/labels/zpl", {
+      method: "POST",
+      headers: authHeaders(),
+      body: JSON.stringify({ scan_id }),
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => null);
+      throw new Error(data?.error || res.statusText || "Label failed");
+    }
+    const blob = await res.blob();
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `label-${scan_id}.zpl`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    const out = el("commitOut");
+    if (out) out.innerHTML = `<div><b>ZPL</b> • label-${escapeHtml(scan_id)}.zpl downloaded</div>`;
+  }
+
   async function legacyCommit(raw, commitType) {
     const out = el("legacyOut");
     if (out) out.textContent = "Submitting…";
@@ -1060,6 +1256,7 @@
           <textarea id="caseEditResolution" ${canEdit ? "" : "disabled"} rows="2" style="width:100%; padding:10px; border-radius:12px; border:1px solid var(--glass-border); background:rgba(255,255,255,.06); color:white; resize: vertical;" placeholder="Resolution">${escapeHtml(c.resolution || "")}</textarea>
           <div style="display:flex; gap:10px; justify-content:flex-end; flex-wrap:wrap;">
             <button class="btn secondary" id="caseReloadBtn"><i class="ph-bold ph-arrow-clockwise"></i></button>
+            <button class="btn secondary" id="caseInspectBtn" style="display:${canEdit ? "inline-flex" : "none"};"><i class="ph-bold ph-magnifying-glass"></i> Inspect scan</button>
             <button class="btn primary" id="caseSaveBtn" style="display:${canEdit ? "inline-flex" : "none"};"><i class="ph-bold ph-check"></i> Save</button>
           </div>
         </div>
@@ -1067,6 +1264,12 @@
     `;
 
     $("#caseReloadBtn", box)?.addEventListener("click", () => openCase(caseId));
+    $("#caseInspectBtn", box)?.addEventListener("click", () => {
+      const input = el("inspectInput");
+      if (input) input.value = c.scan_id;
+      inspectScan({ scan_id: c.scan_id }).catch((e) => toast(e.message || "Inspect failed", "error"));
+      el("inspectorPanel")?.scrollIntoView({ behavior: "smooth" });
+    });
     $("#caseSaveBtn", box)?.addEventListener("click", async () => {
       try {
         const status = el("caseEditStatus")?.value || c.status;
@@ -1193,6 +1396,71 @@
     toast(`Policy activated v${r.version}`, "success");
   }
 
+  // ---------------- Barcode inspector ----------------
+  const INSPECT_ROLE_STYLE = {
+    SYMBOLOGY_ID: "color:var(--text-muted);",
+    AI: "color:var(--brand-primary); font-weight:800;",
+    VALUE: "",
+    SEPARATOR: "background:rgba(234,179,8,.25);",
+    IGNORED: "opacity:.45; text-decoration:line-through;",
+  };
+
+  function renderInspectedChars(chars, inferredAt = []) {
+    return `<div style="display:flex; flex-wrap:wrap; gap:2px; font-family:monospace;">${chars
+      .map((c) => {
+        let style = INSPECT_ROLE_STYLE[c.role] || "";
+        if (c.kind === "CONTROL" || c.kind === "NON_ASCII") style += "background:rgba(255,77,109,.25);";
+        if (inferredAt.includes(c.index)) style += "border-left:2px dashed #f59e0b;";
+        const shown = c.name || c.char;
+        return `<div title="#${c.index} ${c.code_point}${c.role ? " " + c.role : ""}${c.utf8 ? " UTF-8 " + c.utf8 : ""}" style="min-width:22px; padding:2px 3px; text-align:center; border:1px solid var(--glass-border); border-radius:6px; ${style}">
+          <div>${escapeHtml(shown)}</div><div style="font-size:9px; opacity:.6;">${c.hex}</div></div>`;
+      })
+      .join("")}</div>`;
+  }
+
+  function renderInspection(r) {
+    const inferredAt = (r.inferred_boundaries || []).map((b) => b.raw_at).filter((x) => x !== null);
+    const findings = (r.findings || []).map((f) => `<div>• <b>${escapeHtml(f.code)}</b> ${escapeHtml(f.message || "")}</div>`).join("");
+    const rows = (r.elements || [])
+      .map(
+        (e) => `<tr><td>${escapeHtml(e.ai)}</td><td>${escapeHtml(e.title || "")}</td><td style="font-family:monospace;">${escapeHtml(e.value)}</td>
+          <td>${e.raw_start ?? "—"}–${e.raw_end ?? "—"}</td><td>${escapeHtml(e.terminator || "—")}${(e.issues || []).length ? ` <span class="badge danger">${e.issues.length}</span>` : ""}</td></tr>`
+      )
+      .join("");
+    const cands = (r.parse_candidates || [])
+      .map((c) => `<div style="font-family:monospace;">${escapeHtml(c.hri)} • ${Math.round(Number(c.confidence || 0) * 100)}%${c.hri === r.parse_candidate_picked ? " (picked)" : ""}</div>`)
+      .join("");
+    return `
+      <div style="opacity:.85; margin-bottom:8px;">
+        ${escapeHtml(r.symbology ? `${r.symbology.id} ${r.symbology.symbology}` : "No symbology identifier")} •
+        ${escapeHtml(r.input_format || "—")} • ${r.length} chars • GS at ${escapeHtml((r.gs_positions || []).join(", ") || "—")}
+      </div>
+      ${renderInspectedChars(r.chars || [], inferredAt)}
+      ${findings ? `<div style="margin-top:8px;">${findings}</div>` : ""}
+      <table class="data-table" style="margin-top:8px;">
+        <thead><tr><th>AI</th><th>Title</th><th>Value</th><th>Raw</th><th>End</th></tr></thead>
+        <tbody>${rows || `<tr><td colspan="5" style="opacity:.7;">—</td></tr>`}</tbody>
+      </table>
+      ${cands ? `<div style="margin-top:8px;"><b>Readings</b>${cands}</div>` : ""}`;
+  }
+
+  async function inspectScan(body) {
+    const out = el("inspectOut");
+    if (!out) return;
+    out.innerHTML = `<div style="opacity:.7;">Inspecting…</div>`;
+    const r = await api("/api/scans/inspect", { method: "POST", body });
+    let html = r.scan ? `<div style="margin-bottom:8px;"><b>${escapeHtml(r.scan.id)}</b> • ${escapeHtml(r.scan.decision)} • ${escapeHtml(fmtDate(r.scan.created_at))}</div>` : "";
+    if (r.received) {
+      html += `<div style="margin-bottom:10px;"><div style="opacity:.8; margin-bottom:4px;">As received, before scanner profile ${escapeHtml(r.scanner_profile?.profile_name || "")}</div>${renderInspectedChars(r.received.chars)}</div>`;
+    }
+    if (r.parts) {
+      html += r.parts.map((p) => `<div style="margin-bottom:12px;"><div style="font-weight:700;">Part ${escapeHtml(p.scan_id)}</div>${renderInspection(p)}</div>`).join("");
+    } else {
+      html += renderInspection(r);
+    }
+    out.innerHTML = html;
+  }
+
   // ---------------- Wiring ----------------
   function bindNav() {
     const nav = $$(".nav-item");
@@ -1251,6 +1519,16 @@
     window.triggerScan = function () {
       doScanFlow().catch((e) => toast(e.message || "Scan failed", "error"));
     };
+
+    // Split-label mode: products with the GTIN on one symbol and lot/expiry on another
+    const split = el("splitLabelMode");
+    if (split) {
+      split.checked = state.splitLabel;
+      split.addEventListener("change", () => {
+        state.splitLabel = split.checked;
+        localStorage.setItem("ath_split_label", split.checked ? "1" : "0");
+      });
+    }
   }
 
   async function bindLogin() {
@@ -1318,6 +1596,7 @@
         await loadOverview();
 
         // Preload panel datasets
+        loadLocalParser().catch(()=>{});
         loadTop200("").catch(()=>{});
         loadWorkSessions("").catch(()=>{});
         loadCases().catch(()=>{});
@@ -1364,15 +1643,18 @@
     const usersWrap = el("usersWrap");
     const usersGate = el("usersGate");
     const policyPanel = el("policyPanel");
+    const inspectorPanel = el("inspectorPanel");
 
     if (state.role === "admin") {
       if (usersGate) usersGate.style.display = "none";
       if (usersWrap) usersWrap.style.display = "";
       if (policyPanel) policyPanel.style.display = "";
+      if (inspectorPanel) inspectorPanel.style.display = "";
     } else {
       if (usersGate) usersGate.style.display = "";
       if (usersWrap) usersWrap.style.display = "none";
       if (policyPanel) policyPanel.style.display = "none";
+      if (inspectorPanel) inspectorPanel.style.display = "none";
     }
   }
 
@@ -1419,6 +1701,11 @@
       if (!scan_id) return toast("Enter scan id", "warn");
       try { await commitPosting(scan_id, "TRANSFER_RECEIPT"); } catch (e) { toast(e.message || "Commit failed", "error"); }
     });
+    el("commitZpl")?.addEventListener("click", async () => {
+      const scan_id = el("commitScanId")?.value?.trim();
+      if (!scan_id) return toast("Enter scan id", "warn");
+      try { await downloadZpl(scan_id); } catch (e) { toast(e.message || "Label failed", "error"); }
+    });
     el("legacyCommitBtn")?.addEventListener("click", async () => {
       const raw = el("legacyRaw")?.value?.trim();
       if (!raw) return toast("Paste raw barcode payload", "warn");
@@ -1443,6 +1730,17 @@
 
     el("policyLoadBtn")?.addEventListener("click", () => loadPolicy().catch((e) => toast(e.message, "error")));
     el("policySaveBtn")?.addEventListener("click", () => savePolicy().catch((e) => toast(e.message, "error")));
+
+    el("inspectScanBtn")?.addEventListener("click", () => {
+      const id = el("inspectInput")?.value?.trim();
+      if (!id) return toast("Enter scan id", "warn");
+      inspectScan({ scan_id: id }).catch((e) => toast(e.message || "Inspect failed", "error"));
+    });
+    el("inspectRawBtn")?.addEventListener("click", () => {
+      const raw = el("inspectInput")?.value || "";
+      if (!raw) return toast("Paste raw barcode payload", "warn");
+      inspectScan({ raw }).catch((e) => toast(e.message || "Inspect failed", "error"));
+    });
   }
 
   // ---------------- Boot ----------------
@@ -1471,6 +1769,7 @@
         await loadOverview();
 
         // Preload panel datasets
+        loadLocalParser().catch(()=>{});
         loadTop200("").catch(()=>{});
         loadWorkSessions("").catch(()=>{});
         loadCases().catch(()=>{});
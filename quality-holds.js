@@ -0,0 +1,159 @@
+// ---------------- Recalls and quality holds ----------------
+// A hold stops units of one GTIN: a lot, a range of lots, every lot, or a list of serials (within a
+// lot or lot range when one is given). The server looks up the active holds of a scanned GTIN and
+// passes the matches to decide() as context.quality_holds, which turns them into RECALLED_LOT /
+// QUARANTINED_SERIAL checks that NO-BLOCK leaves as BLOCK.
+import { gtinTo14 } from "./gs1-parser.js";
+import { gs1CheckDigit } from "./gs1-keys.js";
+
+export const QUALITY_HOLD_KINDS = ["RECALL", "FIELD_SAFETY", "QUALITY_HOLD"];
+
+// AI 10 and AI 21 are at most 20 characters
+const MAX_LOT_SERIAL = 20;
+
+function validGtin(s) {
+  if (!/^(\d{8}|\d{12,14})$/.test(s)) return false;
+  const g = gtinTo14(s);
+  return gs1CheckDigit(g.slice(0, 13)) === Number(g[13]);
+}
+
+function text(v) {
+  const s = String(v ?? "").trim();
+  return s || null;
+}
+
+// Serials given as an array or as one string separated by spaces, commas, semicolons or "|"
+function serialList(v) {
+  const list = Array.isArray(v) ? v.map((x) => String(x).trim()) : String(v ?? "").split(/[\s,;|]+/);
+  return [...new Set(list.filter(Boolean))];
+}
+
+// Request body or CSV row -> { hold } with the stored column names, or { error }.
+// lot is shorthand for lot_from = lot_to; either bound alone leaves the range open on the other side.
+export function checkQualityHold(body) {
+  const b = body || {};
+  const kind = String(b.kind || "RECALL").trim().toUpperCase();
+  if (!QUALITY_HOLD_KINDS.includes(kind)) return { error: "INVALID_KIND", allowed: QUALITY_HOLD_KINDS };
+
+  const gtin = String(b.gtin ?? "").trim();
+  if (!validGtin(gtin)) return { error: "INVALID_GTIN" };
+
+  const lot_from = text(b.lot) ?? text(b.lot_from);
+  const lot_to = text(b.lot) ?? text(b.lot_to);
+  const serials = serialList(b.serials);
+  if ([lot_from, lot_to, ...serials].some((v) => v && v.length > MAX_LOT_SERIAL)) {
+    return { error: "INVALID_LOT_OR_SERIAL", details: `Lots and serials are at most ${MAX_LOT_SERIAL} characters` };
+  }
+  if (lot_from && lot_to && !lotInRange(lot_from, lot_from, lot_to)) {
+    return { error: "INVALID_LOT_RANGE", details: "lot_from must not sort after lot_to" };
+  }
+
+  return {
+    hold: {
+      kind,
+      reference: text(b.reference),
+      gtin: gtinTo14(gtin),
+      lot_from,
+      lot_to,
+      serials: serials.length ? serials : null,
+      reason: text(b.reason),
+      is_active: b.is_active === undefined ? true : b.is_active === true || String(b.is_active).toLowerCase() === "true",
+    },
+  };
+}
+
+// Lots compare as numbers when they are all digits, otherwise character by character, and then
+// only against bounds of the same length: "A1000".."A1999" holds A1500 but not A15.
+export function lotInRange(lot, from, to) {
+  const bounds = [from, to].filter((x) => x !== null && x !== undefined);
+  if (/^\d+$/.test(lot) && bounds.every((x) => /^\d+$/.test(x))) {
+    const n = BigInt(lot);
+    return (from == null || n >= BigInt(from)) && (to == null || n <= BigInt(to));
+  }
+  if (bounds.some((x) => x.length !== lot.length)) return false;
+  return (from == null || lot >= from) && (to == null || lot <= to);
+}
+
+// The unit a scan identifies: GTIN-14, lot and serial from its segments.
+export function unitOf(parsedResult) {
+  const segs = Array.isArray(parsedResult) ? parsedResult : parsedResult?.segments || [];
+  const value = (ai) => segs.find((x) => x.ai === ai)?.value || null;
+  const gtin = value("01");
+  return { gtin: gtin && /^\d{8,14}$/.test(gtin) ? gtinTo14(gtin) : null, lot: value("10"), serial: value("21") };
+}
+
+// holds: active hold rows of the unit's GTIN. -> the holds that stop it, as
+// [{ code, hold_id, kind, reference, reason, gtin, lot, serial }]
+export function matchQualityHolds(holds, unit) {
+  const out = [];
+  for (const h of holds || []) {
+    if (h.is_active === false || !unit.gtin || h.gtin !== unit.gtin) continue;
+    const ranged = h.lot_from != null || h.lot_to != null;
+    if (ranged && !(unit.lot && lotInRange(unit.lot, h.lot_from, h.lot_to))) continue;
+    if (h.serials?.length && !(unit.serial && h.serials.includes(unit.serial))) continue;
+    out.push({
+      code: h.serials?.length ? "QUARANTINED_SERIAL" : "RECALLED_LOT",
+      hold_id: h.id,
+      kind: h.kind,
+      reference: h.reference || null,
+      reason: h.reason || null,
+      gtin: unit.gtin,
+      lot: unit.lot,
+      serial: unit.serial,
+    });
+  }
+  return out;
+}
+
+// Minimal RFC 4180 reader: quoted fields, "" escapes, CRLF. The delimiter is whichever of "," and
+// ";" the header line uses (spreadsheets in many locales export with ";").
+function csvRows(csv) {
+  const src = String(csv ?? "").replace(/^\uFEFF/, "");
+  const header = src.split(/\r?\n/, 1)[0];
+  const delim = header.includes(";") && !header.includes(",") ? ";" : ",";
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') field += src[i++];
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delim) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      rows.push([...row, field]);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((x) => x.trim()));
+}
+
+export const QUALITY_HOLD_CSV_COLUMNS = ["kind", "reference", "gtin", "lot", "lot_from", "lot_to", "serials", "reason"];
+
+// CSV with a header row (any of QUALITY_HOLD_CSV_COLUMNS, gtin required) ->
+// { holds: [{ row, hold }], errors: [{ row, error, ... }] }; rows are numbered with the header as 1.
+export function parseQualityHoldCsv(csv) {
+  const [header, ...rows] = csvRows(csv);
+  if (!header) return { holds: [], errors: [{ row: 1, error: "EMPTY_CSV" }] };
+  const cols = header.map((h) => h.trim().toLowerCase());
+  const unknown = cols.filter((c) => !QUALITY_HOLD_CSV_COLUMNS.includes(c));
+  if (!cols.includes("gtin") || unknown.length) {
+    return { holds: [], errors: [{ row: 1, error: "INVALID_CSV_HEADER", unknown, allowed: QUALITY_HOLD_CSV_COLUMNS }] };
+  }
+  const holds = [];
+  const errors = [];
+  rows.forEach((cells, i) => {
+    const checked = checkQualityHold(Object.fromEntries(cols.map((c, j) => [c, cells[j]])));
+    if (checked.error) errors.push({ row: i + 2, ...checked });
+    else holds.push({ row: i + 2, hold: checked.hold });
+  });
+  return { holds, errors };
+}
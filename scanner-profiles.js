@@ -0,0 +1,97 @@
+// ---------------- Scanner device profiles ----------------
+// Keyboard-wedge scanners mangle what they transmit depending on model and keyboard layout:
+// a configured prefix/suffix around the data, the GS separator replaced by "~", "^]", "<GS>",
+// "{GS}" or an Alt+029 artefact, or dropped altogether. A profile describes one such setup and
+// turns the received string back into what the symbol encoded, before the parser sees it.
+
+const GS = String.fromCharCode(29);
+
+export const AIM_ID_MODES = ["PARSE", "STRIP"];
+
+// Tokens are stored as typed by an admin; \xHH, \uHHHH, \r, \n, \t stand for control characters.
+export function decodeToken(t) {
+  return String(t ?? "")
+    .replace(/\\x([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)))
+    .replace(/\\u([0-9a-fA-F]{4})/g, (_, h) => String.fromCharCode(parseInt(h, 16)))
+    .replace(/\\r/g, "\r")
+    .replace(/\\n/g, "\n")
+    .replace(/\\t/g, "\t");
+}
+
+function tokenList(v) {
+  if (v === undefined || v === null) return [];
+  if (!Array.isArray(v)) return null;
+  const out = v.map((x) => String(x ?? "")).filter((x) => x.length);
+  return out.length === v.length ? out : null;
+}
+
+// Request body -> { profile } with the stored column names, or { error }. partial: only the fields given.
+export function checkScannerProfile(body, { partial = false } = {}) {
+  const b = body || {};
+  const out = {};
+  if (!partial || b.name !== undefined) {
+    const name = String(b.name ?? "").trim();
+    if (!name) return { error: "MISSING_NAME" };
+    out.name = name;
+  }
+  if (b.description !== undefined) out.description = b.description || null;
+  for (const key of ["strip_prefixes", "strip_suffixes", "gs_substitutes"]) {
+    if (partial && b[key] === undefined) continue;
+    const list = tokenList(b[key]);
+    if (!list) return { error: "INVALID_TOKEN_LIST", field: key };
+    out[key] = list;
+  }
+  if (!partial || b.aim_id_mode !== undefined) {
+    const mode = String(b.aim_id_mode ?? "PARSE").toUpperCase();
+    if (!AIM_ID_MODES.includes(mode)) return { error: "INVALID_AIM_ID_MODE", allowed: AIM_ID_MODES };
+    out.aim_id_mode = mode;
+  }
+  if (!partial || b.gs_dropped !== undefined) out.gs_dropped = !!b.gs_dropped;
+  return { profile: out };
+}
+
+// raw as received -> { raw, applied }. applied records what was changed, for the scan record.
+export function applyScannerProfile(raw, profile) {
+  let s = String(raw ?? "");
+  if (!profile) return { raw: s, applied: null };
+  const applied = {
+    profile_id: profile.id || null,
+    profile_name: profile.name || null,
+    stripped_prefix: null,
+    stripped_suffix: null,
+    gs_substituted: 0,
+    aim_id_stripped: null,
+    gs_dropped: !!profile.gs_dropped,
+  };
+
+  // Longest first, so "<GS>" wins over "<" and a full prefix over a shorter one.
+  const byLength = (list) => (list || []).map(decodeToken).filter(Boolean).sort((a, b) => b.length - a.length);
+
+  for (const p of byLength(profile.strip_prefixes)) {
+    if (s.startsWith(p)) {
+      s = s.slice(p.length);
+      applied.stripped_prefix = p;
+      break;
+    }
+  }
+  for (const p of byLength(profile.strip_suffixes)) {
+    if (s.endsWith(p)) {
+      s = s.slice(0, -p.length);
+      applied.stripped_suffix = p;
+      break;
+    }
+  }
+  for (const t of byLength(profile.gs_substitutes)) {
+    const parts = s.split(t);
+    applied.gs_substituted += parts.length - 1;
+    s = parts.join(GS);
+  }
+  if (profile.aim_id_mode === "STRIP") {
+    const m = /^\s*(\][A-Za-z]\d)/.exec(s);
+    if (m) {
+      applied.aim_id_stripped = m[1];
+      s = s.slice(m[0].length);
+    }
+  }
+  return { raw: s, applied };
+}
@@ -7,6 +7,46 @@ import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import pg from "pg";
 import { fileURLToPath } from "url";
+import {
+  renderBarcode,
+  SYMBOLOGIES,
+  buildZpl,
+  zplPlaceholders,
+  ZPL_DEFAULT_TEMPLATE,
+  ZPL_TEXT_FIELDS,
+  ZPL_DATA_FIELDS,
+} from "./barcode-render.js";
+import { createImageDecoder, DECODE_FORMATS } from "./barcode-decode.js";
+import {
+  GS,
+  GS1_AI_TABLE,
+  DEFAULT_POLICY,
+  checkPolicyConfig,
+  gtinTo14,
+  gtinForms,
+  scanQuantity,
+  parseGs1,
+  parseScan,
+  PARSE_SCORE,
+  rankParseCandidates,
+  adoptParseCandidate,
+  buildElementString,
+  buildHri,
+  buildDigitalLink,
+  validateElements,
+  uiParsedFromSegments,
+  policyForScanner,
+  addDigitalLinkResolver,
+  hibcConcatenate,
+  inspectScan,
+  inspectChars,
+  decide as decideScan,
+} from "./gs1-parser.js";
+import { applyScannerProfile, checkScannerProfile, AIM_ID_MODES } from "./scanner-profiles.js";
+import { runConformance } from "./gs1-conformance.js";
+import { checkPolicyRule, resolvePolicy, productScopeOf, POLICY_RULE_SCOPES } from "./policy-rules.js";
+import { summarizeSimulation } from "./policy-simulation.js";
+import { checkQualityHold, matchQualityHolds, parseQualityHoldCsv, unitOf, QUALITY_HOLD_KINDS } from "./quality-holds.js";
 
 const { Pool } = pg;
 const __filename = fileURLToPath(import.meta.url);
@@ -27,6 +67,18 @@ if (!IS_PROD && !JWT_SECRET_EFFECTIVE) {
 
 const NO_BLOCK = String(process.env.NO_BLOCK ?? "true").toLowerCase() !== "false";
 
+// Label photos uploaded to /api/scans/decode-image (raw body; JSON bodies stay under the 2 MB limit)
+const DECODE_IMAGE_MAX_MB = Number(process.env.DECODE_IMAGE_MAX_MB || 15);
+// Photos decoded at once, each on its own worker thread; more wait in line (DECODE_BUSY beyond 16)
+const DECODE_IMAGE_CONCURRENCY = Math.max(1, Number(process.env.DECODE_IMAGE_CONCURRENCY || 1));
+const decodeImage = createImageDecoder({ concurrency: DECODE_IMAGE_CONCURRENCY });
+
+// Most stored scans one policy what-if run re-decides (/api/policies/simulate)
+const POLICY_SIMULATION_MAX_SCANS = Number(process.env.POLICY_SIMULATION_MAX_SCANS || 5000);
+
+// Compressed Digital Links are only read on id.gs1.org and this deployment's own resolver
+const DL_RESOLVERS = addDigitalLinkResolver(process.env.GS1_DL_BASE_URL || "https://id.gs1.org");
+
 // Supabase Postgres connection string (Project Settings → Database → Connection string)
 const DATABASE_URL = process.env.DATABASE_URL || process.env.SUPABASE_DATABASE_URL;
 if (!DATABASE_URL) {
@@ -108,6 +160,22 @@ async function q(text, params = []) {
   }
 }
 
+// Runs fn(query) on one client between BEGIN and COMMIT (ROLLBACK if it throws); query works like q().
+async function withTransaction(fn) {
+  const client = await getPool().connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn((text, params = []) => client.query(text, params));
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
 
 async function ensureSchema() {
   // Base schema (create-if-not-exists)
@@ -129,7 +197,14 @@ async function ensureSchema() {
       version int NOT NULL,
       is_active boolean NOT NULL,
       config jsonb NOT NULL,
-      created_at timestamptz NOT NULL DEFAULT now()
+      created_at timestamptz NOT NULL DEFAULT now(),
+      status text NOT NULL DEFAULT 'DRAFT' CHECK(status IN ('DRAFT','SCHEDULED','ACTIVE','RETIRED')),
+      note text,
+      based_on int,
+      created_by text,
+      activate_at timestamptz,
+      activated_at timestamptz,
+      activated_by text
     );
 
     CREATE TABLE IF NOT EXISTS scans (
@@ -141,7 +216,8 @@ async function ensureSchema() {
       decision text NOT NULL CHECK(decision IN ('PASS','WARN','BLOCK')),
       checks jsonb NOT NULL,
       parsed jsonb NOT NULL,
-      context jsonb NOT NULL
+      context jsonb NOT NULL,
+      symbology_id text
     );
 
     CREATE TABLE IF NOT EXISTS cases (
@@ -211,6 +287,7 @@ CREATE TABLE IF NOT EXISTS public.items_cache (
   item_no text PRIMARY KEY,
   item_name text NOT NULL,
   is_top200 boolean NOT NULL DEFAULT false,
+  shelf_life_days int CHECK(shelf_life_days > 0),
   updated_at timestamptz NOT NULL DEFAULT now()
 );
 
@@ -218,6 +295,7 @@ CREATE TABLE IF NOT EXISTS public.work_sessions (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
   session_type text NOT NULL CHECK(session_type IN ('RECEIVING','PICKING','CYCLE_COUNT','TRANSFER','OTHER')),
   reference_no text,
+  customer_no text,
   created_by text NOT NULL,
   status text NOT NULL DEFAULT 'OPEN' CHECK(status IN ('OPEN','CLOSED')),
   created_at timestamptz NOT NULL DEFAULT now(),
@@ -251,10 +329,116 @@ CREATE TABLE IF NOT EXISTS public.tx_log (
   expected_qty numeric
 );
 
+CREATE TABLE IF NOT EXISTS public.label_templates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text UNIQUE NOT NULL,
+  description text,
+  body text NOT NULL,
+  is_default boolean NOT NULL DEFAULT false,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.print_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  created_by text NOT NULL,
+  template_id uuid REFERENCES public.label_templates(id) ON DELETE SET NULL,
+  source_type text NOT NULL CHECK(source_type IN ('SCAN','WORK_LINE','SSCC')),
+  source_ref text NOT NULL,
+  printer text,
+  copies int NOT NULL DEFAULT 1 CHECK(copies > 0),
+  zpl text NOT NULL,
+  status text NOT NULL DEFAULT 'QUEUED' CHECK(status IN ('QUEUED','SENT','PRINTED','FAILED','CANCELLED')),
+  error text,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.scanner_profiles (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text UNIQUE NOT NULL,
+  description text,
+  strip_prefixes jsonb NOT NULL DEFAULT '[]',
+  strip_suffixes jsonb NOT NULL DEFAULT '[]',
+  gs_substitutes jsonb NOT NULL DEFAULT '[]',
+  aim_id_mode text NOT NULL DEFAULT 'PARSE' CHECK(aim_id_mode IN ('PARSE','STRIP')),
+  gs_dropped boolean NOT NULL DEFAULT false,
+  is_default boolean NOT NULL DEFAULT false,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.scanner_profile_assignments (
+  scope text NOT NULL CHECK(scope IN ('DEVICE','USER')),
+  subject text NOT NULL,
+  profile_id uuid NOT NULL REFERENCES public.scanner_profiles(id) ON DELETE CASCADE,
+  assigned_by text NOT NULL,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY(scope, subject)
+);
+
+CREATE TABLE IF NOT EXISTS public.policy_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  description text,
+  scope text NOT NULL CHECK(scope IN ('ROLE','SESSION_TYPE','COMPANY_PREFIX','ITEM','GTIN')),
+  subject text NOT NULL,
+  priority int NOT NULL DEFAULT 0,
+  overrides jsonb NOT NULL,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.quality_holds (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind text NOT NULL CHECK(kind IN ('RECALL','FIELD_SAFETY','QUALITY_HOLD')),
+  reference text,
+  gtin text NOT NULL,
+  lot_from text,
+  lot_to text,
+  serials text[],
+  reason text,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  released_by text,
+  released_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS public.serial_registry (
+  gtin text NOT NULL,
+  serial text NOT NULL,
+  status text NOT NULL DEFAULT 'IN_STOCK' CHECK(status IN ('IN_STOCK','RETURNED')),
+  receipt_count int NOT NULL DEFAULT 1,
+  first_received_at timestamptz NOT NULL DEFAULT now(),
+  last_received_at timestamptz NOT NULL DEFAULT now(),
+  last_source text NOT NULL CHECK(last_source IN ('POSTING','TX_LOG')),
+  last_source_ref text,
+  last_document_no text,
+  last_session_id text,
+  last_received_by text,
+  returned_at timestamptz,
+  returned_by text,
+  return_reference text,
+  PRIMARY KEY (gtin, serial)
+);
+
 CREATE INDEX IF NOT EXISTS idx_items_cache_top200 ON public.items_cache(is_top200);
 CREATE INDEX IF NOT EXISTS idx_work_sessions_status ON public.work_sessions(status);
 CREATE INDEX IF NOT EXISTS idx_work_lines_session ON public.work_lines(session_id);
 CREATE INDEX IF NOT EXISTS idx_tx_log_created_at ON public.tx_log(created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_label_templates_default ON public.label_templates(is_default) WHERE is_default;
+CREATE INDEX IF NOT EXISTS idx_print_jobs_status ON public.print_jobs(status, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_scanner_profiles_default ON public.scanner_profiles(is_default) WHERE is_default;
+CREATE INDEX IF NOT EXISTS idx_policy_rules_scope ON public.policy_rules(scope, subject) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_quality_holds_gtin ON public.quality_holds(gtin) WHERE is_active;
 
 -- -------- RPC helpers used by operator endpoints --------
 CREATE OR REPLACE FUNCTION public.rpc_qty_suggestion(p_session_id uuid, p_item_no text)
@@ -300,6 +484,16 @@ $$;
   await q(`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active boolean NOT NULL DEFAULT true;`);
   await q(`ALTER TABLE users ADD COLUMN IF NOT EXISTS created_at timestamptz NOT NULL DEFAULT now();`);
   await q(`ALTER TABLE gtin_map ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now();`);
+  await q(`ALTER TABLE public.items_cache ADD COLUMN IF NOT EXISTS shelf_life_days int CHECK(shelf_life_days > 0);`);
+  await q(`ALTER TABLE public.work_sessions ADD COLUMN IF NOT EXISTS customer_no text;`);
+  await q(`ALTER TABLE scans ADD COLUMN IF NOT EXISTS symbology_id text;`);
+  // Versions from before drafts and scheduling: the active one stays ACTIVE, the rest are RETIRED
+  await q(`ALTER TABLE policies ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'RETIRED' CHECK(status IN ('DRAFT','SCHEDULED','ACTIVE','RETIRED'));`);
+  await q(`ALTER TABLE policies ALTER COLUMN status SET DEFAULT 'DRAFT';`);
+  await q(`UPDATE policies SET status='ACTIVE' WHERE is_active AND status='RETIRED';`);
+  for (const col of ["note text", "based_on int", "created_by text", "activate_at timestamptz", "activated_at timestamptz", "activated_by text"]) {
+    await q(`ALTER TABLE policies ADD COLUMN IF NOT EXISTS ${col};`);
+  }
 }
 
 async function seed() {
@@ -487,270 +681,472 @@ async function audit({ actor, event_type, entity_type = null, entity_id = null,
 }
 
 // ---------------- GS1/UDI Parse/Validate ----------------
-export const GS = String.fromCharCode(29);
-
-export function normalizeInput(raw) {
-  if (!raw) return "";
-  let s = String(raw).trim();
-
-  // Strip common symbology identifiers (e.g., ]C1 for GS1-128, ]d2 for GS1 DataMatrix)
-  s = s.replace(/^\](C1|c1|d2|D2|Q3|q3|e0|E0)\s*/g, "");
-
-  // Remove whitespace/newlines (scanners sometimes inject them)
-  s = s.replace(/\s+/g, "");
+// Parsing and decide() live in gs1-parser.js, shared with the browser (served under /lib).
+export {
+  GS,
+  SYMBOLOGY_IDENTIFIERS,
+  readSymbologyId,
+  normalizeInput,
+  GS1_AI_TABLE,
+  parseGs1,
+  buildElementString,
+  buildHri,
+  decodeDigitalLink,
+  buildDigitalLink,
+  validateElements,
+  parseHibcc,
+  parseIsbt128,
+  detectIssuingAgency,
+  parseScan,
+} from "./gs1-parser.js";
+
+// decide() under this deployment's NO_BLOCK mode.
+export function decide(parsedResult, basePolicy, context = {}) {
+  return decideScan(parsedResult, basePolicy, context, { noBlock: NO_BLOCK });
+}
+// ---------------- Policy versions ----------------
+// Every policy change is a new row in policies; the one with is_active=true is in force. A version
+// is staged as a DRAFT (editable), may be SCHEDULED for a time, becomes ACTIVE, and is RETIRED when
+// another one takes over. Old versions are never changed: a rollback activates a copy.
+const POLICY_VERSION_COLUMNS =
+  "id, name, version, status, is_active, note, based_on, created_by, created_at, activate_at, activated_at, activated_by";
+
+// Next version number, allocated inside the INSERT so two saves cannot get the same one.
+async function insertPolicyVersion({ name, config, status, note = null, based_on = null, created_by = null }) {
+  const r = await q(
+    `INSERT INTO policies (id, name, version, is_active, config, status, note, based_on, created_by)
+     SELECT $1, $2, COALESCE(MAX(version),0) + 1, false, $3, $4, $5, $6, $7 FROM policies
+     RETURNING ${POLICY_VERSION_COLUMNS}, config`,
+    [uuid(), name, config, status, note, based_on, created_by]
+  );
+  return r.rows[0];
+}
 
-  // allow (01)(17) styles
-  s = s.replace(/\)\s*\(/g, "").replace(/[()]/g, "");
+// Puts a version in force and retires the one before it, in one statement.
+async function activatePolicyVersion(id, username) {
+  const r = await q(
+    `WITH retired AS (
+       UPDATE policies SET is_active=false, status='RETIRED' WHERE is_active AND id <> $1
+     )
+     UPDATE policies SET is_active=true, status='ACTIVE', activated_at=now(), activated_by=$2
+     WHERE id=$1
+     RETURNING ${POLICY_VERSION_COLUMNS}, config`,
+    [id, username]
+  );
+  return r.rows[0];
+}
 
-  // convert literal "\u001d" into GS (ASCII 29)
-  s = s.replace(/\\u001[dD]/g, GS);
+// Scheduled versions whose time has come. Checked whenever the active policy is read, so there is no
+// timer to run; the latest due one goes into force, any earlier due ones count as having been active
+// until it. The status conditions make a concurrent second run a no-op.
+async function promoteDuePolicy() {
+  const r = await q(
+    `WITH due AS (
+       SELECT id, row_number() OVER (ORDER BY activate_at DESC, version DESC) AS rn
+       FROM policies WHERE status='SCHEDULED' AND activate_at <= now()
+     ),
+     retired AS (
+       UPDATE policies SET is_active=false, status='RETIRED' WHERE is_active AND EXISTS (SELECT 1 FROM due)
+     ),
+     passed AS (
+       UPDATE policies p SET status='RETIRED', activated_at=p.activate_at
+       FROM due WHERE p.id=due.id AND due.rn > 1 AND p.status='SCHEDULED'
+     )
+     UPDATE policies p SET is_active=true, status='ACTIVE', activated_at=p.activate_at
+     FROM due WHERE p.id=due.id AND due.rn=1 AND p.status='SCHEDULED'
+     RETURNING p.version, p.activate_at, p.activated_by`
+  );
+  for (const row of r.rows) {
+    await audit({
+      actor: { username: row.activated_by, role: "admin" },
+      event_type: "POLICY_ACTIVATED",
+      entity_type: "policy",
+      entity_id: String(row.version),
+      payload: { scheduled: true, activate_at: row.activate_at },
+    });
+  }
+}
 
-  return s;
+// Field-by-field differences between two configs; nested blocks (shelf_life, date_rule_severity,
+// agency_overrides) are compared key by key, with dotted field names.
+function diffPolicyConfigs(from, to, prefix = "") {
+  const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+  const out = [];
+  const keys = [...new Set([...Object.keys(from || {}), ...Object.keys(to || {})])].sort();
+  for (const k of keys) {
+    const a = from?.[k];
+    const b = to?.[k];
+    if (isObj(a) && isObj(b)) {
+      out.push(...diffPolicyConfigs(a, b, `${prefix}${k}.`));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      out.push({
+        field: prefix + k,
+        change: a === undefined ? "ADDED" : b === undefined ? "REMOVED" : "CHANGED",
+        from: a ?? null,
+        to: b ?? null,
+      });
+    }
+  }
+  return out;
 }
 
-function gtinTo14(d) {
-  const s = String(d);
-  if (s.length === 14) return s;
-  if (s.length < 14) return s.padStart(14, "0");
-  return s.slice(-14);
+async function getActivePolicy() {
+  await promoteDuePolicy();
+  const r = await q("SELECT config FROM policies WHERE is_active=true ORDER BY version DESC LIMIT 1");
+  if (!r.rows.length) return { ...DEFAULT_POLICY };
+  return r.rows[0].config;
 }
 
-// GTIN-14 check digit validation (GS1)
-function isValidGtin14(gtin14) {
-  const s = String(gtin14 || "").replace(/\D/g, "");
-  if (s.length !== 14) return false;
-  const digits = s.split("").map((x) => Number(x));
-  const check = digits[13];
-  let sum = 0;
-  // weights from right (excluding check digit): 3,1,3,1...
-  let weight = 3;
-  for (let i = 12; i >= 0; i--) {
-    sum += digits[i] * weight;
-    weight = weight === 3 ? 1 : 3;
+// Context for the shelf-life rules: session type and customer (from the work session when one
+// is given, else from the request) and the item's total shelf life via gtin_map -> items_cache.
+// No lookups unless the policy has a shelf_life block.
+async function shelfLifeContext(policy, parsedResult, ctx = {}) {
+  if (!policy?.shelf_life) return {};
+  const out = {
+    session_type: ctx.session_type || null,
+    customer_no: ctx.customer_no || null,
+    shelf_life_days: null,
+  };
+  if (ctx.session_id) {
+    const r = await q("SELECT session_type, customer_no FROM public.work_sessions WHERE id::text=$1", [String(ctx.session_id)]);
+    if (r.rows.length) {
+      out.session_type = r.rows[0].session_type;
+      out.customer_no = r.rows[0].customer_no || out.customer_no;
+    }
+  }
+  const gtin = (parsedResult?.segments || []).find((x) => x.ai === "01")?.value;
+  if (gtin) {
+    const gtin14 = gtinTo14(gtin);
+    const r = await q(
+      `SELECT ic.shelf_life_days
+       FROM gtin_map gm
+       JOIN public.items_cache ic ON ic.item_no = gm.item_no
+       WHERE gm.gtin = ANY($1) AND gm.status = 'ACTIVE'
+       LIMIT 1`,
+      [gtinForms(gtin14)]
+    );
+    out.shelf_life_days = r.rows[0]?.shelf_life_days ?? null;
   }
-  const calc = (10 - (sum % 10)) % 10;
-  return calc === check;
+  return out;
 }
 
-function parseExpiryYYMMDD(v) {
-  // Returns { iso, y, m, d, expired, near } or { error }
-  const s = String(v || "");
-  if (!/^\d{6}$/.test(s)) return { error: "EXPIRY_FORMAT_INVALID" };
-  const yy = Number(s.slice(0, 2));
-  const mm = Number(s.slice(2, 4));
-  const dd = Number(s.slice(4, 6));
-  if (mm < 1 || mm > 12) return { error: "EXPIRY_MONTH_INVALID" };
-  const fullYear = 2000 + yy;
-  // DD=00 means end of month
-  let day = dd;
-  const lastDay = new Date(Date.UTC(fullYear, mm, 0)).getUTCDate(); // mm is 1-based; month=mm gives last day of previous -> use mm
-  if (dd === 0) day = lastDay;
-  if (day < 1 || day > lastDay) return { error: "EXPIRY_DAY_INVALID" };
-  const dt = new Date(Date.UTC(fullYear, mm - 1, day));
-  const iso = dt.toISOString().slice(0, 10);
-  return { iso, y: fullYear, m: mm, d: day };
+// Scanner profile for a scan: a DEVICE assignment beats a USER assignment, which beats the default profile.
+async function resolveScannerProfile(username, deviceId) {
+  const r = await q(
+    `SELECT sp.*, a.scope AS matched_by
+     FROM public.scanner_profile_assignments a
+     JOIN public.scanner_profiles sp ON sp.id = a.profile_id AND sp.is_active
+     WHERE (a.scope = 'DEVICE' AND a.subject = $1) OR (a.scope = 'USER' AND a.subject = $2)
+     ORDER BY (a.scope = 'DEVICE') DESC
+     LIMIT 1`,
+    [deviceId ? String(deviceId) : "", username]
+  );
+  if (r.rows.length) return r.rows[0];
+  const d = await q("SELECT *, 'DEFAULT' AS matched_by FROM public.scanner_profiles WHERE is_default AND is_active LIMIT 1");
+  return d.rows[0] || null;
 }
 
-export function parseGs1(norm, missingGsBehavior = "BLOCK") {
-  const segments = [];
-  const meta = {
-    used_lookahead: false,
-    missing_gs_detected: false,
-    missing_gs_fields: [],
+// Raw scan as received -> as encoded, per the scanner profile of the device/user. applied is null
+// without a profile; otherwise it is kept with the scan (context.scanner_profile), raw_received included.
+async function receiveScan(username, raw, deviceId) {
+  const profile = await resolveScannerProfile(username, deviceId);
+  if (!profile) return { raw, applied: null };
+  const out = applyScannerProfile(raw, profile);
+  return {
+    raw: out.raw,
+    applied: { ...out.applied, matched_by: profile.matched_by, device_id: deviceId || null, raw_received: raw },
   };
-  let i = 0;
-
-  const KNOWN = new Set(["01", "17", "00", "10", "21"]);
-  const isKnownAI = (ai) => KNOWN.has(ai);
-
-  // If it's pure digits, treat as GTIN only if allowed by policy (handled in decide)
-  // Numeric-only inputs can be a plain GTIN (from keyboard wedge scanners / manual entry).
-  // Treat as GTIN only for typical GTIN lengths, otherwise continue parsing as-is.
-  const isAllDigits = /^\d+$/.test(norm);
-  const numericAsGtin = isAllDigits && ([8, 12, 13, 14].includes(norm.length));
-
-
-  while (i < norm.length) {
-    const ai2 = norm.slice(i, i + 2);
-
-    if (numericAsGtin) {
-      segments.push({ ai: "01", value: gtinTo14(norm), source: "NUMERIC_AS_GTIN" });
-      break;
-    }
-
-    if (ai2 === "01") {
-      const v = norm.slice(i + 2, i + 16);
-      segments.push({ ai: "01", value: v });
-      i += 16;
-      continue;
-    }
-    if (ai2 === "17") {
-      const v = norm.slice(i + 2, i + 8);
-      segments.push({ ai: "17", value: v });
-      i += 8;
-      continue;
-    }
-    if (ai2 === "00") {
-      const v = norm.slice(i + 2, i + 20);
-      segments.push({ ai: "00", value: v });
-      i += 20;
-      continue;
-    }
-    if (ai2 === "10" || ai2 === "21") {
-      const ai = ai2;
-      i += 2;
-      let j = i;
-      let boundaryByAI = null;
-
-      // Scan until GS, or until next known AI (boundary inference)
-      while (j < norm.length) {
-        if (norm[j] === GS) break;
-        const next2 = norm.slice(j, j + 2);
-        if (isKnownAI(next2) && j > i) {
-          boundaryByAI = j;
-          break;
-        }
-        j++;
-      }
+}
 
-      if (boundaryByAI !== null) {
-        // We detected a next AI without GS separator => Missing GS situation.
-        meta.missing_gs_detected = true;
-        meta.missing_gs_fields.push(ai);
-        if (missingGsBehavior === "LOOKAHEAD") meta.used_lookahead = true;
+// ---------------- Scoped policy rules ----------------
+// Oldest first: resolvePolicy() merges rules of the same scope and priority in this order.
+async function activePolicyRules() {
+  const r = await q(
+    "SELECT id, name, scope, subject, priority, overrides FROM public.policy_rules WHERE is_active ORDER BY created_at, id"
+  );
+  return r.rows;
+}
 
-        // In BOTH modes, parse using the inferred boundary to keep visibility,
-        // but in BLOCK mode the validator will BLOCK explicitly.
-        segments.push({ ai, value: norm.slice(i, boundaryByAI), meta: { missing_gs: true } });
-        i = boundaryByAI; // do not consume boundary; next loop will parse next AI
-        continue;
+// The active policy as it applies to one scan, with the rules of policy-rules.js merged in. The request
+// gives the user's role and the session type (of ctx.session_id's work session, else ctx.session_type);
+// the parsed scan its GTIN, company prefix and item. The product is only known once the scan is parsed,
+// so parsing runs under parsePolicy; forScan(parsedResult) is the policy to decide with.
+// opts.base / opts.rules stand in for the active policy and rules (what-if runs over many scans).
+async function scanPolicy(user, ctx = {}, applied = null, opts = {}) {
+  const base = opts.base || (await getActivePolicy());
+  const rules = opts.rules || (await activePolicyRules());
+  const scope = { role: user?.role || null, session_type: ctx?.session_type || null };
+  if (ctx?.session_id && rules.some((r) => r.scope === "SESSION_TYPE")) {
+    const r = await q("SELECT session_type FROM public.work_sessions WHERE id::text=$1", [String(ctx.session_id)]);
+    if (r.rows.length) scope.session_type = r.rows[0].session_type;
+  }
+  const resolve = (product) => policyForScanner(resolvePolicy(base, rules, { ...scope, ...product }), applied);
+  return {
+    parsePolicy: resolve({}),
+    async forScan(parsedResult) {
+      const product = productScopeOf(parsedResult);
+      if (product.gtin && rules.some((r) => r.scope === "ITEM")) {
+        const r = await q(
+          "SELECT item_no FROM gtin_map WHERE gtin = ANY($1) AND status = 'ACTIVE' LIMIT 1",
+          [gtinForms(product.gtin)]
+        );
+        product.item_no = r.rows[0]?.item_no || null;
       }
+      return resolve(product);
+    },
+  };
+}
 
-      // No boundary by AI; consume until GS or end
-      segments.push({ ai, value: norm.slice(i, j) });
-      i = norm[j] === GS ? j + 1 : j;
-      continue;
-    }
+// ---------------- Recalls and quality holds ----------------
+// Active holds that stop the scanned unit, for decide()'s context.quality_holds.
+async function qualityHoldsFor(parsedResult) {
+  const unit = unitOf(parsedResult);
+  if (!unit.gtin) return [];
+  const r = await q("SELECT * FROM public.quality_holds WHERE gtin=$1 AND is_active", [unit.gtin]);
+  return matchQualityHolds(r.rows, unit);
+}
 
-    segments.push({ ai: "??", value: norm.slice(i) });
-    break;
-  }
+// ---------------- Serial registry ----------------
+// One row per GTIN + serial ever received. A serial is IN_STOCK from its receipt until it leaves stock
+// (status RETURNED); only then may it be received again. tx_log rows move it by tx_type: inbound types,
+// a customer return included, receive it; outbound types (shipment, issue, return to vendor) take it out.
+const SERIAL_INBOUND_TX_TYPES = ["RECEIPT", "RECEIVE", "PURCHASE_RECEIPT", "TRANSFER_RECEIPT", "RETURN", "CUSTOMER_RETURN", "SALES_RETURN"];
+const SERIAL_OUTBOUND_TX_TYPES = ["SHIPMENT", "SHIP", "SALES_SHIPMENT", "TRANSFER_SHIPMENT", "ISSUE", "CONSUMPTION", "RETURN_TO_VENDOR", "PURCHASE_RETURN"];
+
+// Registry entry of the scanned serial while it is in stock, else null.
+async function serialInStock(parsedResult) {
+  const unit = unitOf(parsedResult);
+  if (!unit.gtin || !unit.serial) return null;
+  const r = await q("SELECT * FROM public.serial_registry WHERE gtin=$1 AND serial=$2 AND status='IN_STOCK'", [unit.gtin, unit.serial]);
+  return r.rows[0] || null;
+}
+
+// Records the receipt of a unit -> { entry } or, for a serial still in stock, { duplicate: entry }.
+// The upsert only overwrites a RETURNED entry, so of two concurrent receipts one is refused. The same
+// receipt recorded again (same source and ref, e.g. a retried commit) is not a duplicate.
+// `query` runs it inside the caller's transaction (withTransaction).
+async function registerSerialReceipt(unit, { source, ref, document_no = null, session_id = null, username = null, at = new Date(), query = q }) {
+  if (!unit.gtin || !unit.serial) return { entry: null };
+  const r = await query(
+    `INSERT INTO public.serial_registry AS sr
+       (gtin, serial, first_received_at, last_received_at, last_source, last_source_ref, last_document_no, last_session_id, last_received_by)
+     VALUES ($1,$2,$3,$3,$4,$5,$6,$7,$8)
+     ON CONFLICT (gtin, serial) DO UPDATE SET
+       status='IN_STOCK',
+       receipt_count=sr.receipt_count + 1,
+       last_received_at=EXCLUDED.last_received_at,
+       last_source=EXCLUDED.last_source,
+       last_source_ref=EXCLUDED.last_source_ref,
+       last_document_no=EXCLUDED.last_document_no,
+       last_session_id=EXCLUDED.last_session_id,
+       last_received_by=EXCLUDED.last_received_by
+     WHERE sr.status='RETURNED'
+     RETURNING *`,
+    [unit.gtin, unit.serial, at, source, ref, document_no, session_id ? String(session_id) : null, username]
+  );
+  if (r.rows.length) return { entry: r.rows[0] };
+  const cur = (await query("SELECT * FROM public.serial_registry WHERE gtin=$1 AND serial=$2", [unit.gtin, unit.serial])).rows[0];
+  if (!cur || (cur.last_source === source && cur.last_source_ref === ref)) return { entry: cur || null };
+  return { duplicate: cur };
+}
 
-  return { segments, meta };
+// A serial in stock leaves it; the next receipt is a legitimate re-entry. -> the entry, or null if it was not in stock.
+async function serialOutbound(unit, { username = null, reference = null, at = new Date(), query = q } = {}) {
+  if (!unit.gtin || !unit.serial) return null;
+  const r = await query(
+    `UPDATE public.serial_registry SET status='RETURNED', returned_at=$3, returned_by=$4, return_reference=$5
+     WHERE gtin=$1 AND serial=$2 AND status='IN_STOCK'
+     RETURNING *`,
+    [unit.gtin, unit.serial, at, username, reference]
+  );
+  return r.rows[0] || null;
 }
 
-export function decide(parsedResult, policy) {
-  const checks = [];
-  const parsed = Array.isArray(parsedResult) ? parsedResult : parsedResult?.segments || [];
-  const meta = Array.isArray(parsedResult) ? {} : (parsedResult?.meta || {});
+// What decide() needs from the database for a scan: shelf-life context, the holds on the unit and
+// its serial registry entry. A serial in stock is only a duplicate when the scan receives it (opts.receipt,
+// or a RECEIVING session): picking, counting or moving it is expected. Otherwise serial_registry carries
+// the entry for the response without deciding on it.
+async function decisionContext(policy, parsedResult, ctx = {}, { receipt = false } = {}) {
+  const out = await shelfLifeContext(policy, parsedResult, ctx);
+  const entry = await serialInStock(parsedResult);
+  const receiving = receipt || out.session_type === "RECEIVING";
+  return {
+    ...out,
+    quality_holds: await qualityHoldsFor(parsedResult),
+    serial_seen: receiving ? entry : null,
+    serial_registry: entry,
+  };
+}
 
-  const map = {};
-  for (const p of parsed) {
-    if (p.ai !== "??") map[p.ai] = p.value;
+// Re-ranks lookahead candidates with what the warehouse already knows: items expected in the work
+// session (ctx.session_id) and lots recorded before for the GTIN. ctx.parse_candidate is the
+// operator's pick (an hri from parse_candidates) and wins outright.
+async function rankParseCandidatesInContext(parsedResult, ctx = {}) {
+  const meta = parsedResult?.meta;
+  if (!meta?.parse_candidates?.length) return parsedResult;
+
+  if (ctx.parse_candidate) {
+    const pick = meta.parse_candidates.find((c) => c.hri === ctx.parse_candidate);
+    if (pick) {
+      meta.parse_candidate_picked = pick.hri;
+      return adoptParseCandidate(parsedResult, pick);
+    }
   }
 
-  // Numeric-as-GTIN behavior
-  if (parsed.some((x) => x.source === "NUMERIC_AS_GTIN") && policy.accept_numeric_as_gtin === false) {
-    checks.push({ code: "NUMERIC_GTIN_NOT_ALLOWED", severity: "BLOCK", message: "Numeric-only payload treated as GTIN is disabled by policy." });
-  }
+  const gtins = [...new Set(meta.parse_candidates.map((c) => c.segments.find((x) => x.ai === "01")?.value).filter(Boolean))];
+  if (!gtins.length) return parsedResult;
+  const variants = gtins.flatMap(gtinForms);
 
-  // Missing GS explicit enforcement (matches runbook)
-  if (meta.missing_gs_detected) {
-    const sev = (policy.missing_gs_behavior || "BLOCK") === "LOOKAHEAD" ? "WARN" : "BLOCK";
-    checks.push({
-      code: "MISSING_GS_SEPARATOR",
-      severity: sev,
-      message: sev === "BLOCK" ? "Missing GS (ASCII 29) separator detected. Strict policy blocks this scan." : "Missing GS separator detected. Parsed via lookahead (WARN).",
-      details: { fields: meta.missing_gs_fields || [] },
-    });
+  const lotsR = await q(
+    "SELECT DISTINCT gtin, lot FROM public.tx_log WHERE gtin = ANY($1) AND lot IS NOT NULL LIMIT 500",
+    [variants]
+  );
+  const knownLots = new Set(lotsR.rows.map((r) => `${gtinTo14(r.gtin)}|${r.lot}`));
+  let expected = new Set();
+  if (ctx.session_id) {
+    const r = await q(
+      `SELECT gm.gtin
+       FROM public.work_lines wl
+       JOIN gtin_map gm ON gm.item_no = wl.item_no AND gm.status = 'ACTIVE'
+       WHERE wl.session_id::text = $1`,
+      [String(ctx.session_id)]
+    );
+    expected = new Set(r.rows.map((x) => gtinTo14(x.gtin)));
   }
+  if (!knownLots.size && !expected.size) return parsedResult;
+
+  const rescored = meta.parse_candidates.map((c) => {
+    const gtin = c.segments.find((x) => x.ai === "01")?.value;
+    const lot = c.segments.find((x) => x.ai === "10")?.value;
+    const extra = [];
+    if (gtin && expected.has(gtin)) extra.push({ factor: "SESSION_ITEM", ai: "01", delta: PARSE_SCORE.SESSION_ITEM });
+    if (gtin && lot && knownLots.has(`${gtin}|${lot}`)) extra.push({ factor: "KNOWN_LOT", ai: "10", delta: PARSE_SCORE.KNOWN_LOT });
+    return { ...c, score: c.score + extra.reduce((s, r) => s + r.delta, 0), reasons: [...c.reasons, ...extra] };
+  });
+  meta.parse_candidates = rankParseCandidates(rescored);
+  return adoptParseCandidate(parsedResult, meta.parse_candidates[0]);
+}
 
-  // Required AI checks
-  if (!map["01"]) checks.push({ code: "REQ_AI_01_MISSING", severity: "BLOCK", message: "Missing GTIN (AI 01)." });
+// ---------------- Split-label composition ----------------
+// Products that carry the GTIN on one symbol and lot/expiry on another are scanned as parts.
+// With context.compose (the UI's split-label mode), the parts one user scans on one device
+// (context.device_id) within the window are merged into one logical scan, stored in the scans row of
+// the first part. A part that is never completed, because the next scan was another item, the
+// window ran out or the operator cancelled it, gets the case its own WARN/BLOCK would have had.
+// Pending parts are held in the memory of this process only: they are not shared between instances
+// (a device's parts must reach the same one) and a restart drops them without a case. The sweep
+// started by startServer() expires them; takePendingComposition() also checks the one it takes.
+const SCAN_COMPOSE_WINDOW_MS = Number(process.env.SCAN_COMPOSE_WINDOW_SECONDS || 20) * 1000;
+const SCAN_COMPOSE_MAX_PARTS = 4;
+const _pendingCompositions = new Map(); // `${username}|${device_id}` -> { scan_id, parts, normalized, parsedResult, expiresAt, actor }
+
+function compositionKey(username, deviceId) {
+  return `${username}|${deviceId || "default"}`;
+}
 
-  // GTIN check digit
-  if (policy.enforce_gtin_checkdigit !== false && map["01"]) {
-    const gtin14 = gtinTo14(map["01"]);
-    if (!isValidGtin14(gtin14)) {
-      checks.push({ code: "GTIN_CHECKDIGIT_INVALID", severity: "BLOCK", message: "Invalid GTIN check digit for AI 01.", details: { gtin14 } });
-    }
-  }
+// A case for a stored scan that will not be completed, opened as the UI would for its WARN/BLOCK.
+// -> the case id, or null when the scan passed.
+async function openAbandonedPartCase(pending, reason) {
+  const r = await q("SELECT raw_string, decision, checks, context FROM scans WHERE id=$1", [`SCAN-${pending.scan_id}`]);
+  const row = r.rows[0];
+  if (!row || !["WARN", "BLOCK"].includes(row.decision)) return null;
+  const decision = NO_BLOCK ? "WARN" : row.decision;
+  const id = `CASE-${new Date().getFullYear()}-${String(Math.floor(Math.random() * 1000000)).padStart(6, "0")}`;
+  await q(
+    `INSERT INTO cases (id, status, decision, scan_id, user_id, raw_string, checks, context)
+     VALUES ($1,'NEW',$2,$3,$4,$5,$6,$7)`,
+    [id, decision, pending.scan_id, pending.actor.username, row.raw_string, row.checks, { ...row.context, composition_abandoned: reason }]
+  );
+  await audit({
+    actor: pending.actor,
+    event_type: "CASE_CREATED",
+    entity_type: "case",
+    entity_id: id,
+    payload: { scan_id: pending.scan_id, decision, checks_count: row.checks.length, composition_abandoned: reason },
+  });
+  return id;
+}
 
-  // Expiry
-  if (policy.expiry_required && !map["17"]) {
-    checks.push({ code: "REQ_AI_17_MISSING", severity: "BLOCK", message: "Missing Expiry (AI 17) per policy." });
+async function expirePendingCompositions() {
+  const now = Date.now();
+  for (const [k, v] of _pendingCompositions) {
+    if (v.expiresAt > now) continue;
+    _pendingCompositions.delete(k);
+    await openAbandonedPartCase(v, "EXPIRED");
   }
-  if (map["17"]) {
-    const pe = parseExpiryYYMMDD(map["17"]);
-    if (pe.error) {
-      checks.push({ code: pe.error, severity: "BLOCK", message: "Invalid expiry value for AI 17." });
-    } else {
-      // expired?
-      const today = new Date();
-      const exp = new Date(pe.iso + "T00:00:00Z");
-      const diffDays = Math.ceil((exp.getTime() - today.getTime()) / (1000 * 60 * 60 * 24));
-      if (diffDays < 0) {
-        checks.push({ code: "EXPIRY_EXPIRED", severity: "BLOCK", message: "Item is expired (AI 17)." });
-      } else {
-        const thr = Number(policy.near_expiry_threshold_days ?? 90);
-        if (!Number.isNaN(thr) && diffDays <= thr) {
-          const sev = (policy.near_expiry_severity || "WARN").toUpperCase() === "BLOCK" ? "BLOCK" : "WARN";
-          checks.push({
-            code: "EXPIRY_NEAR",
-            severity: sev,
-            message: `Expiry is within threshold (${thr} days).`,
-            details: { expiry_iso: pe.iso, days_left: diffDays, threshold_days: thr },
-          });
-        }
-      }
-    }
+}
+
+async function takePendingComposition(key) {
+  const p = _pendingCompositions.get(key) || null;
+  _pendingCompositions.delete(key);
+  if (p && p.expiresAt <= Date.now()) {
+    await openAbandonedPartCase(p, "EXPIRED");
+    return null;
   }
+  return p;
+}
 
-  // Tracking policy
-  const tp = policy.tracking_policy || "LOT_ONLY";
-  if ((tp === "LOT_ONLY" || tp === "LOT_AND_SERIAL") && !map["10"]) {
-    checks.push({ code: "REQ_AI_10_MISSING", severity: "BLOCK", message: "Missing Lot (AI 10) per policy." });
+// Merges the segments of two parsed parts. The same AI with the same value is kept once; the same
+// AI with a different value is a conflict (the parts belong to different items) and nothing is merged.
+export function mergeParsedScans(a, b) {
+  const agencies = [a.meta?.issuing_agency || "GS1", b.meta?.issuing_agency || "GS1"];
+  if (agencies[0] !== agencies[1]) return { parsedResult: null, conflicts: [{ ai: "ISSUING_AGENCY", values: agencies }] };
+
+  const segments = [...(a.segments || [])];
+  const conflicts = [];
+  for (const seg of b.segments || []) {
+    const prev = seg.ai === "??" ? null : segments.find((x) => x.ai === seg.ai);
+    if (!prev) segments.push(seg);
+    else if (prev.value !== seg.value) conflicts.push({ ai: seg.ai, values: [prev.value, seg.value] });
   }
-  if ((tp === "SERIAL_ONLY" || tp === "LOT_AND_SERIAL") && !map["21"]) {
-    checks.push({ code: "REQ_AI_21_MISSING", severity: "BLOCK", message: "Missing Serial (AI 21) per policy." });
+  if (conflicts.length) return { parsedResult: null, conflicts };
+
+  const ma = a.meta || {};
+  const mb = b.meta || {};
+  // candidates describe one part only; they cannot be picked on the merged scan
+  const { parse_candidates, parse_candidate_picked, ...meta } = { ...ma, ...mb };
+  if (ma.missing_gs_detected || mb.missing_gs_detected) {
+    meta.missing_gs_detected = true;
+    meta.missing_gs_fields = [...(ma.missing_gs_fields || []), ...(mb.missing_gs_fields || [])];
   }
+  if (ma.hibcc && mb.hibcc) meta.hibcc = mergeHibccInfo(ma.hibcc, mb.hibcc);
+  return { parsedResult: { segments, meta }, conflicts };
+}
 
-  if (parsed.some((x) => x.ai === "??")) {
-    checks.push({ code: "UNKNOWN_PAYLOAD", severity: "WARN", message: "Unrecognized payload after parsing." });
+// A stored scan parsed again -> { normalized, parsedResult } as parseScan() returns them. A composed
+// scan keeps its parts one per line in raw_string; they are merged again as they were when scanned.
+function reparseStoredScan(raw, missingGs = "LOOKAHEAD") {
+  const [first, ...rest] = String(raw).split("\n");
+  let { normalized, parsedResult } = parseScan(first, missingGs);
+  for (const part of rest) {
+    const next = parseScan(part, missingGs);
+    const merged = mergeParsedScans(parsedResult, next.parsedResult);
+    if (!merged.parsedResult) break;
+    normalized += GS + next.normalized;
+    parsedResult = merged.parsedResult;
   }
+  return { normalized, parsedResult };
+}
 
-  const hasBlock = checks.some((c) => c.severity === "BLOCK");
-  const decisionRaw = hasBlock ? "BLOCK" : checks.length ? "WARN" : "PASS";
-
-  // ✅ NO-BLOCK mode (default): NEVER return BLOCK. Convert BLOCK → WARN and keep transparency in meta.
-  if (NO_BLOCK) {
-    const block_codes = checks.filter((c) => c.severity === "BLOCK").map((c) => c.code);
-    const checks_nb = checks.map((c) =>
-      c.severity === "BLOCK" ? { ...c, severity: "WARN", originally: "BLOCK" } : c
-    );
-    const decision = decisionRaw === "BLOCK" ? "WARN" : decisionRaw;
-    const meta_nb = { ...(meta || {}), no_block: true, would_block: hasBlock, would_block_codes: block_codes };
-    return { decision, checks: checks_nb, meta: meta_nb };
+// HIBC split label: a primary and a secondary whose last data character (link_char) repeats the
+// primary's check character. decide() compares the two; a bad check character on either part stays.
+function mergeHibccInfo(a, b) {
+  const [primary, secondary] = b.structure === "SECONDARY" ? [a, b] : [b, a];
+  const info = { ...secondary, ...primary };
+  const invalid = [a, b].find((p) => !p.check_valid);
+  if (invalid) {
+    Object.assign(info, { check_char: invalid.check_char, check_valid: false, expected_check_char: invalid.expected_check_char ?? null });
   }
-
-  return { decision: decisionRaw, checks, meta };
+  if (primary.structure === "PRIMARY" && secondary.structure === "SECONDARY") {
+    Object.assign(info, { structure: "SPLIT", link_char: secondary.link_char, primary_check_char: primary.check_char });
+  }
+  return info;
 }
 
-async function getActivePolicy() {
-  const r = await q("SELECT config FROM policies WHERE is_active=true ORDER BY version DESC LIMIT 1");
-  if (!r.rows.length) {
-    return {
-      expiry_required: true,
-      tracking_policy: "LOT_ONLY",
-      missing_gs_behavior: "BLOCK",
-      accept_numeric_as_gtin: true,
-      enforce_gtin_checkdigit: true,
-      near_expiry_threshold_days: 90,
-      near_expiry_severity: "WARN",
-      allow_commit_on_warn: true,
-    };
-  }
-  return r.rows[0].config;
+// GS1 data (element strings, Digital Link) and HIBC split primary/secondary labels are composed;
+// ISBT 128 concatenates its data structures in one symbol.
+function isComposable(parsedResult) {
+  return ["GS1", "HIBCC"].includes(parsedResult?.meta?.issuing_agency || "GS1");
 }
 
 // ---------------- Idempotency ----------------
@@ -1153,35 +1549,111 @@ app.post("/api/scans/parse-validate", parseRateLimit, auth, requireRole("operato
       return res.json(cached.response);
     }
 
-    const policy = await getActivePolicy();
-    const normalized = normalizeInput(raw_string);
-    const parsedResult = parseGs1(normalized, policy.missing_gs_behavior || "BLOCK");
-    const { decision, checks, meta } = decide(parsedResult, policy);
+    // Undo what the device's scanner profile says the scanner does to the data (prefix, GS substitutes, ...)
+    const received = await receiveScan(req.user.username, String(raw_string), context?.device_id || req.header("X-Device-Id"));
+    const policies = await scanPolicy(req.user, context, received.applied);
+    const part = parseScan(received.raw, policies.parsePolicy.missing_gs_behavior || "BLOCK");
+    await rankParseCandidatesInContext(part.parsedResult, context || {});
 
-    const resp = {
+    // Split-label composition: a follow-up part merges into the pending scan of this user/device
+    let row = {
       scan_id,
+      raw_string: received.raw,
+      normalized: part.normalized,
+      parsedResult: part.parsedResult,
+      parts: [{ scan_id, raw_string: received.raw }],
+    };
+    let composition = null;
+    const composeKey = context?.compose && isComposable(part.parsedResult) ? compositionKey(req.user.username, context.device_id) : null;
+    if (composeKey) {
+      composition = { discarded_scan_id: null, discarded_case_id: null, conflicts: [] };
+      // The same scan sent again (with the reading the operator picked) replaces its own pending part
+      const pending = await takePendingComposition(composeKey);
+      if (pending && pending.scan_id !== scan_id) {
+        const merged = mergeParsedScans(pending.parsedResult, part.parsedResult);
+        if (merged.parsedResult) {
+          const parts = [...pending.parts, { scan_id, raw_string: received.raw }];
+          row = {
+            scan_id: pending.scan_id,
+            raw_string: parts.map((p) => p.raw_string).join("\n"),
+            normalized: pending.normalized + GS + part.normalized,
+            parsedResult: merged.parsedResult,
+            parts,
+          };
+        } else {
+          // Different item: the pending part is left as scanned, with its case, and this scan starts over
+          composition.discarded_scan_id = pending.scan_id;
+          composition.discarded_case_id = await openAbandonedPartCase(pending, "DISCARDED");
+          composition.conflicts = merged.conflicts;
+        }
+      }
+    }
+
+    const { normalized, parsedResult } = row;
+    const policy = await policies.forScan(parsedResult);
+    const dctx = await decisionContext(policy, parsedResult, context);
+    const { decision, checks, meta } = decide(parsedResult, policy, dctx);
+
+    if (composeKey) {
+      // Still missing required data: hold the scan for the next part
+      const missing = checks.filter((c) => /^REQ_/.test(c.code)).map((c) => c.code);
+      const expiresAt = Date.now() + SCAN_COMPOSE_WINDOW_MS;
+      const isPending = missing.length > 0 && row.parts.length < SCAN_COMPOSE_MAX_PARTS;
+      if (isPending) {
+        _pendingCompositions.set(composeKey, { ...row, expiresAt, actor: { username: req.user.username, role: req.user.role } });
+      }
+      composition = {
+        status: isPending ? "PENDING" : "COMPLETE",
+        part_scan_ids: row.parts.map((p) => p.scan_id),
+        missing,
+        expires_at: isPending ? new Date(expiresAt).toISOString() : null,
+        ...composition,
+      };
+    }
+
+    const resp = {
+      scan_id: row.scan_id,
       decision,
       normalized,
       parsed: parsedResult.segments,
       parse_meta: meta,
       checks,
       policy_applied: policy,
+      ...(dctx.serial_registry ? { serial_registry: dctx.serial_registry } : {}),
+      ...(composition ? { composition } : {}),
+      ...(received.applied ? { scanner_profile: received.applied } : {}),
     };
 
-    const scanRowId = `SCAN-${scan_id}`;
+    const rowContext = { ...context };
+    if (received.applied) rowContext.scanner_profile = received.applied;
+    if (row.parts.length > 1) rowContext.composition = { parts: row.parts };
+    if (policy.matched_rules.length) rowContext.policy_rules = policy.matched_rules.map((r) => r.id);
+
+    const scanRowId = `SCAN-${row.scan_id}`;
     await q(
       `
-      INSERT INTO scans (id, scan_id, raw_string, normalized, decision, checks, parsed, context)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+      INSERT INTO scans (id, scan_id, raw_string, normalized, decision, checks, parsed, context, symbology_id)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
       ON CONFLICT (id) DO UPDATE SET
         raw_string=EXCLUDED.raw_string,
         normalized=EXCLUDED.normalized,
         decision=EXCLUDED.decision,
         checks=EXCLUDED.checks,
         parsed=EXCLUDED.parsed,
-        context=EXCLUDED.context
+        context=EXCLUDED.context,
+        symbology_id=EXCLUDED.symbology_id
     `,
-      [scanRowId, scan_id, raw_string, normalized, decision, checks, parsedResult.segments, context]
+      [
+        scanRowId,
+        row.scan_id,
+        row.raw_string,
+        normalized,
+        decision,
+        checks,
+        parsedResult.segments,
+        rowContext,
+        parsedResult.meta?.symbology?.id || null,
+      ]
     );
 
     await putIdemRecord({ key: idem, request_hash, response: resp });
@@ -1191,12 +1663,46 @@ app.post("/api/scans/parse-validate", parseRateLimit, auth, requireRole("operato
       event_type: "SCAN_PARSE_VALIDATE",
       entity_type: "scan",
       entity_id: scanRowId,
-      payload: { scan_id, decision, checks_count: checks.length, template: context?.template || null },
+      payload: {
+        scan_id,
+        decision,
+        checks_count: checks.length,
+        template: context?.template || null,
+        composition: composition ? { status: composition.status, parts: row.parts.length } : null,
+      },
     });
 
     res.json(resp);
   });
 
+  // Pending split-label composition of the caller on a device (?device_id=)
+  app.get("/api/scans/compose", auth, requireRole("operator", "admin"), async (req, res) => {
+    const key = compositionKey(req.user.username, req.query.device_id);
+    const p = _pendingCompositions.get(key);
+    if (!p || p.expiresAt <= Date.now()) return res.json({ ok: true, pending: null });
+    res.json({
+      ok: true,
+      pending: {
+        scan_id: p.scan_id,
+        part_scan_ids: p.parts.map((x) => x.scan_id),
+        parsed: p.parsedResult.segments,
+        expires_at: new Date(p.expiresAt).toISOString(),
+      },
+    });
+  });
+
+  // Cancel it; the scans row of the parts so far stays as validated, with its case if it warned or blocked
+  app.delete("/api/scans/compose", auth, requireRole("operator", "admin"), async (req, res) => {
+    try {
+      const p = await takePendingComposition(compositionKey(req.user.username, req.query.device_id));
+      const caseId = p ? await openAbandonedPartCase(p, "CANCELLED") : null;
+      res.json({ ok: true, cancelled_scan_id: p?.scan_id || null, case_id: caseId });
+    } catch (e) {
+      console.error('Cancel composition error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
   // Commit workflow (SIMULATED/LIVE). Purchase Receipt then Transfer.
   app.post("/api/postings/commit", auth, requireRole("operator", "admin"), async (req, res) => {
     const idem = req.header("Idempotency-Key");
@@ -1235,6 +1741,19 @@ if (existing.rows.length) {
     const scan = scanR.rows[0];
     const policy = await getActivePolicy();
 
+    // A recall or hold may have come in since the scan was validated: checked again, never waived
+    const quality_holds = await qualityHoldsFor({ segments: scan.parsed });
+    if (quality_holds.length) {
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: "COMMIT_REFUSED_QUALITY_HOLD",
+        entity_type: "scan",
+        entity_id: scanRowId,
+        payload: { scan_id, posting_intent: pi, holds: quality_holds.map((h) => h.hold_id) },
+      });
+      return res.status(409).json({ error: "QUALITY_HOLD", scan_id, holds: quality_holds });
+    }
+
 // ✅ NO-BLOCK: never stop commit because of scan decision.
 // We keep checks as warnings so the operator can see WHY it was flagged.
 const commit_warnings = Array.isArray(scan.checks) ? scan.checks : [];
@@ -1261,6 +1780,25 @@ const commit_warnings = Array.isArray(scan.checks) ? scan.checks : [];
           : "SIMULATED commit. Wire BC APIs later.",
     };
 
+    // A serialized unit is received once; the registry entry is made here, before anything is posted
+    const serial = await registerSerialReceipt(unitOf(scan.parsed), {
+      source: "POSTING",
+      ref: scan_id,
+      document_no: simulatedDocNo,
+      session_id: context.session_id || scan.context?.session_id,
+      username: req.user.username,
+    });
+    if (serial.duplicate) {
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: "COMMIT_REFUSED_DUPLICATE_SERIAL",
+        entity_type: "scan",
+        entity_id: scanRowId,
+        payload: { scan_id, posting_intent: pi, gtin: serial.duplicate.gtin, serial: serial.duplicate.serial, previous: serial.duplicate.last_source_ref },
+      });
+      return res.status(409).json({ error: "DUPLICATE_SERIAL", scan_id, previous: serial.duplicate });
+    }
+
     // Store idempotency response + bc_postings
     await putIdemRecord({ key: idem, request_hash, response });
 
@@ -1655,34 +2193,40 @@ app.post("/api/gtin-map/upsert", auth, requireRole("admin"), async (req, res) =>
     res.json({ policy: await getActivePolicy() });
   });
 
-  app.post("/api/policies/active", auth, requireRole("admin"), async (req, res) => {
-    const cfg = req.body || {};
-    const next = {
-      expiry_required: !!cfg.expiry_required,
-      tracking_policy: String(cfg.tracking_policy || "LOT_ONLY"),
-      missing_gs_behavior: String(cfg.missing_gs_behavior || "BLOCK"),
-      accept_numeric_as_gtin: cfg.accept_numeric_as_gtin !== false,
-      allow_commit_on_warn: cfg.allow_commit_on_warn !== false,
-    };
+  // What the front-ends need to parse and decide locally with gs1-parser.js (see localScan there).
+  // Policy rules scoped to the user's role apply; product-scoped ones need the server.
+  app.get("/api/parser/config", auth, requireRole("operator", "admin", "auditor"), async (req, res) => {
+    const profile = await resolveScannerProfile(req.user.username, req.query.device_id || req.header("X-Device-Id"));
+    res.json({
+      policy: (await scanPolicy(req.user, {}, profile)).parsePolicy,
+      no_block: NO_BLOCK,
+      scanner_profile: profile,
+      dl_resolvers: DL_RESOLVERS,
+    });
+  });
 
-    await q("UPDATE policies SET is_active=false WHERE is_active=true");
-    const prev = (await q("SELECT COALESCE(MAX(version),0)::int AS v FROM policies")).rows[0].v;
-    await q("INSERT INTO policies (id, name, version, is_active, config) VALUES ($1,$2,$3,true,$4)", [
-      uuid(),
-      "Active Policy",
-      prev + 1,
-      next,
-    ]);
+  // Body: the complete policy config. Fields left out get their defaults; unknown fields are refused.
+  app.post("/api/policies/active", auth, requireRole("admin"), async (req, res) => {
+    const checked = checkPolicyConfig(req.body);
+    if (checked.error) return res.status(400).json({ ok: false, ...checked });
+
+    const saved = await insertPolicyVersion({
+      name: "Active Policy",
+      config: checked.config,
+      status: "DRAFT",
+      created_by: req.user.username,
+    });
+    await activatePolicyVersion(saved.id, req.user.username);
 
     await audit({
       actor: { username: req.user.username, role: req.user.role },
       event_type: "POLICY_ACTIVATED",
       entity_type: "policy",
-      entity_id: String(prev + 1),
-      payload: next,
+      entity_id: String(saved.version),
+      payload: checked.config,
     });
 
-    res.json({ ok: true, policy: next, version: prev + 1 });
+    res.json({ ok: true, policy: checked.config, version: saved.version });
   });
 
   // ---------------- Audit listing ----------------
@@ -1720,7 +2264,7 @@ app.post("/api/gtin-map/upsert", auth, requireRole("admin"), async (req, res) =>
   app.get('/api/items-cache', auth, requireRole('operator', 'admin'), async (req, res) => {
     try {
       const result = await q(
-        'SELECT item_no, item_name, is_top200, updated_at FROM public.items_cache ORDER BY item_name',
+        'SELECT item_no, item_name, is_top200, shelf_life_days, updated_at FROM public.items_cache ORDER BY item_name',
         []
       );
       res.json({ ok: true, items: result.rows });
@@ -1744,6 +2288,42 @@ app.post("/api/gtin-map/upsert", auth, requireRole("admin"), async (req, res) =>
     }
   });
 
+  // PATCH /api/items-cache/:item_no - Set master data kept locally (admin)
+  // Body: { shelf_life_days } - total shelf life in days, null to clear; used by the shelf_life policy
+  app.patch('/api/items-cache/:item_no', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const { item_no } = req.params;
+      const raw = req.body?.shelf_life_days;
+      const shelf_life_days = raw === null || raw === '' ? null : Number(raw);
+      if (shelf_life_days !== null && (!Number.isInteger(shelf_life_days) || shelf_life_days <= 0)) {
+        return res.status(400).json({ ok: false, error: 'INVALID_SHELF_LIFE_DAYS' });
+      }
+
+      const result = await q(
+        `UPDATE public.items_cache SET shelf_life_days = $2, updated_at = now()
+         WHERE item_no = $1
+         RETURNING item_no, item_name, is_top200, shelf_life_days, updated_at`,
+        [item_no, shelf_life_days]
+      );
+      if (!result.rows.length) {
+        return res.status(404).json({ ok: false, error: 'ITEM_NOT_FOUND' });
+      }
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'ITEM_SHELF_LIFE_SET',
+        entity_type: 'ITEM',
+        entity_id: item_no,
+        payload: { shelf_life_days }
+      });
+
+      res.json({ ok: true, item: result.rows[0] });
+    } catch (e) {
+      console.error('items-cache update error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
   // POST /api/items-cache/sync - Sync from BC (admin only, placeholder)
   app.post('/api/items-cache/sync', auth, requireRole('admin'), async (req, res) => {
     try {
@@ -1773,16 +2353,16 @@ app.post("/api/gtin-map/upsert", auth, requireRole("admin"), async (req, res) =>
   // POST /api/work-sessions - Create new session (admin)
   app.post('/api/work-sessions', auth, requireRole('admin'), async (req, res) => {
     try {
-      const { session_type, reference_no } = req.body;
+      const { session_type, reference_no, customer_no } = req.body;
       if (!session_type) {
         return res.status(400).json({ ok: false, error: 'MISSING_SESSION_TYPE' });
       }
       
       const result = await q(
-        `INSERT INTO public.work_sessions (session_type, reference_no, created_by, status)
-         VALUES ($1, $2, $3, 'OPEN')
-         RETURNING id, session_type, reference_no, status, created_at`,
-        [session_type, reference_no || null, req.user.username]
+        `INSERT INTO public.work_sessions (session_type, reference_no, customer_no, created_by, status)
+         VALUES ($1, $2, $3, $4, 'OPEN')
+         RETURNING id, session_type, reference_no, customer_no, status, created_at`,
+        [session_type, reference_no || null, customer_no || null, req.user.username]
       );
       
       await audit({
@@ -1790,7 +2370,7 @@ app.post("/api/gtin-map/upsert", auth, requireRole("admin"), async (req, res) =>
         event_type: 'WORK_SESSION_CREATED',
         entity_type: 'SESSION',
         entity_id: result.rows[0].id,
-        payload: { session_type, reference_no }
+        payload: { session_type, reference_no, customer_no: customer_no || null }
       });
       
       res.json({ ok: true, session: result.rows[0] });
@@ -1944,7 +2524,29 @@ app.post("/api/gtin-map/upsert", auth, requireRole("admin"), async (req, res) =>
   app.patch('/api/work-sessions/:id/lines/:line_id', auth, requireRole('operator', 'admin'), async (req, res) => {
     try {
       const { id, line_id } = req.params;
-      const { scanned_qty } = req.body;
+      const { scanned_qty, raw_scan } = req.body;
+      
+      // { raw_scan } without scanned_qty adds the quantity carried by the scan to the line
+      if (scanned_qty === undefined && raw_scan) {
+        const qty_source = scanQuantity(parseScan(raw_scan, 'LOOKAHEAD').parsedResult.segments);
+        if (!qty_source || qty_source.qty <= 0) {
+          return res.status(400).json({ ok: false, error: 'QTY_NOT_IN_SCAN' });
+        }
+        
+        const result = await q(
+          `UPDATE public.work_lines 
+           SET scanned_qty = scanned_qty + $1, updated_at = NOW()
+           WHERE id = $2 AND session_id = $3
+           RETURNING *`,
+          [qty_source.qty, line_id, id]
+        );
+        
+        if (result.rows.length === 0) {
+          return res.status(404).json({ ok: false, error: 'LINE_NOT_FOUND' });
+        }
+        
+        return res.json({ ok: true, line: result.rows[0], qty_source });
+      }
       
       if (scanned_qty === undefined || scanned_qty < 0) {
         return res.status(400).json({ ok: false, error: 'INVALID_SCANNED_QTY' });
@@ -2076,7 +2678,7 @@ app.post("/api/gtin-map/upsert", auth, requireRole("admin"), async (req, res) =>
   // POST /api/tx-log - Record transaction
   app.post('/api/tx-log', auth, requireRole('operator', 'admin'), async (req, res) => {
     try {
-      const {
+      let {
         tx_type,
         gtin,
         item_no,
@@ -2089,39 +2691,82 @@ app.post("/api/gtin-map/upsert", auth, requireRole("admin"), async (req, res) =>
         expected_qty
       } = req.body;
       
+      // Quantity may come from the scan itself (AI 30/37 count or a 310n–369n measure)
+      let qty_source = null;
+      if (qty === undefined && raw_scan) {
+        qty_source = scanQuantity(parseScan(raw_scan, 'LOOKAHEAD').parsedResult.segments);
+        if (!qty_source) {
+          return res.status(400).json({ ok: false, error: 'QTY_NOT_IN_SCAN' });
+        }
+        qty = qty_source.qty;
+      }
+
       if (!tx_type || !gtin || !item_no || !qty || qty <= 0) {
         return res.status(400).json({ ok: false, error: 'MISSING_REQUIRED_FIELDS' });
       }
-      
-      const result = await q(
-        `INSERT INTO public.tx_log 
-         (created_by, tx_type, gtin, item_no, qty, lot, exp, raw_scan, session_id, status, expected_qty)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-         RETURNING *`,
-        [
-          req.user.username,
-          tx_type,
-          gtin,
-          item_no,
-          qty,
-          lot || null,
-          exp || null,
-          raw_scan || null,
-          session_id || null,
-          status || 'COMPLETE',
-          expected_qty || null
-        ]
-      );
-      
+
+      // Serial registry: receipts of a serial still in stock are refused, outbound movements take it out.
+      // The registry write and the tx_log row commit together, so a failed insert leaves no registry change.
+      const txId = uuid();
+      const txType = String(tx_type).toUpperCase();
+      const unit = raw_scan && (SERIAL_INBOUND_TX_TYPES.includes(txType) || SERIAL_OUTBOUND_TX_TYPES.includes(txType))
+        ? unitOf(parseScan(raw_scan, 'LOOKAHEAD').parsedResult)
+        : null;
+      if (unit && !unit.gtin && /^\d{8,14}$/.test(String(gtin))) unit.gtin = gtinTo14(String(gtin));
+      const recorded = await withTransaction(async (query) => {
+        let serial_registry = null;
+        if (unit && SERIAL_OUTBOUND_TX_TYPES.includes(txType)) {
+          serial_registry = await serialOutbound(unit, { username: req.user.username, reference: txId, query });
+        } else if (unit) {
+          const reg = await registerSerialReceipt(unit, { source: 'TX_LOG', ref: txId, session_id, username: req.user.username, query });
+          if (reg.duplicate) return { duplicate: reg.duplicate };
+          serial_registry = reg.entry;
+        }
+        const result = await query(
+          `INSERT INTO public.tx_log 
+           (id, created_by, tx_type, gtin, item_no, qty, lot, exp, raw_scan, session_id, status, expected_qty)
+           VALUES ($12, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           RETURNING *`,
+          [
+            req.user.username,
+            tx_type,
+            gtin,
+            item_no,
+            qty,
+            lot || null,
+            exp || null,
+            raw_scan || null,
+            session_id || null,
+            status || 'COMPLETE',
+            expected_qty || null,
+            txId
+          ]
+        );
+        return { tx: result.rows[0], serial_registry };
+      });
+
+      if (recorded.duplicate) {
+        const dup = recorded.duplicate;
+        await audit({
+          actor: { username: req.user.username, role: req.user.role },
+          event_type: 'TX_REFUSED_DUPLICATE_SERIAL',
+          entity_type: 'TX',
+          entity_id: txId,
+          payload: { tx_type, gtin: dup.gtin, serial: dup.serial, previous: dup.last_source_ref }
+        });
+        return res.status(409).json({ ok: false, error: 'DUPLICATE_SERIAL', previous: dup });
+      }
+      const { tx, serial_registry } = recorded;
+
       await audit({
         actor: { username: req.user.username, role: req.user.role },
         event_type: 'TX_RECORDED',
         entity_type: 'TX',
-        entity_id: result.rows[0].id,
-        payload: { tx_type, item_no, qty }
+        entity_id: tx.id,
+        payload: { tx_type, item_no, qty, qty_source }
       });
       
-      res.json({ ok: true, tx: result.rows[0] });
+      res.json({ ok: true, tx, qty_source, serial_registry });
     } catch (e) {
       console.error('tx-log create error:', e);
       res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
@@ -2282,38 +2927,1851 @@ app.post("/api/gtin-map/upsert", auth, requireRole("admin"), async (req, res) =>
     }
   });
 
-  // ============================================================================
-  // End of New APIs
-  // ============================================================================
+  // ----------------------------------------------------------------------------
+  // 7) GS1 Encode
+  // ----------------------------------------------------------------------------
 
+  // POST /api/gs1/encode - Build element string / HRI / Digital Link from AI values
+  // Body: { elements: [{ ai, value }] } or { ai: { "01": "...", "17": "..." } }, optional dl_base
+  // Returns the element string (GS = ASCII 29), HRI "(01)…(17)…" and a Digital Link URI.
+  app.post('/api/gs1/encode', auth, requireRole('operator', 'admin'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const elements = Array.isArray(body.elements)
+        ? body.elements.map((e) => ({ ai: String(e?.ai ?? '').trim(), value: String(e?.value ?? '') }))
+        : Object.entries(body.ai || {}).map(([ai, value]) => ({ ai: String(ai).trim(), value: String(value ?? '') }));
 
-// ============================================================================
-// Compatibility APIs for the static UI (No-Block friendly)
-// These routes exist because some static UIs call /api/parse-validate and /api/commit.
-// They do NOT require Idempotency-Key and they NEVER BLOCK; they return WARN with reasons.
-// ============================================================================
+      if (!elements.length) {
+        return res.status(400).json({ ok: false, error: 'MISSING_ELEMENTS' });
+      }
 
-function uiParsedFromSegments(segments, raw) {
-  const ai = {};
-  for (const s of (segments || [])) {
-    if (s && s.ai && s.ai !== "??") ai[s.ai] = s.value;
-  }
-  const out = { ai, raw: String(raw || "") };
-  if (ai["01"]) out.gtin = ai["01"];
-  if (ai["10"]) out.lot = ai["10"];
-  if (ai["17"]) out.expiry = ai["17"];
-  if (ai["21"]) out.serial = ai["21"];
-  if (ai["30"] || ai["37"]) out.qty = ai["30"] || ai["37"];
-  if (out.expiry && /^\d{6}$/.test(out.expiry)) {
-    const pe = parseExpiryYYMMDD(out.expiry);
-    if (!pe.error) out.expiry_iso = pe.iso;
-  }
-  return out;
-}
+      const errors = validateElements(elements);
+      if (errors.length) {
+        return res.status(422).json({ ok: false, error: 'INVALID_ELEMENTS', errors });
+      }
+
+      const element_string = buildElementString(elements);
+      const hri = buildHri(elements);
+      const digital_link = buildDigitalLink(elements, body.dl_base || process.env.GS1_DL_BASE_URL || 'https://id.gs1.org');
+
+      // Round-trip through the parser so the result gets the same decision/checks as a scan would
+      const policy = await getActivePolicy();
+      const parsedResult = parseGs1(element_string, 'BLOCK');
+      const d = decide(parsedResult, policy);
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'GS1_ENCODE',
+        entity_type: 'gs1',
+        entity_id: elements.find((e) => e.ai === '01')?.value || null,
+        payload: { ais: elements.map((e) => e.ai), decision: d.decision }
+      });
+
+      res.json({
+        ok: true,
+        element_string,
+        hri,
+        digital_link,
+        parsed: parsedResult.segments,
+        decision: d.decision,
+        checks: d.checks
+      });
+    } catch (e) {
+      console.error('gs1/encode error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ----------------------------------------------------------------------------
+  // 8) Label Rendering
+  // ----------------------------------------------------------------------------
+
+  // Works out what goes into the symbol for a reprint. GS1 data is rebuilt from its AIs so the
+  // new label carries proper FNC1 separators; HIBCC / ISBT 128 data is re-encoded as scanned, a
+  // composed HIBC split label as one concatenated symbol.
+  function labelContent({ elements, normalized, parsedResult }, { content, dlBase }) {
+    if (!elements) {
+      const agency = parsedResult.meta?.issuing_agency || 'GS1';
+      if (agency === 'HIBCC' && parsedResult.meta.hibcc?.structure === 'SPLIT') {
+        const data = hibcConcatenate(...normalized.split(GS));
+        return { data, hri: data, gs1: false, agency };
+      }
+      if (agency !== 'GS1') {
+        return { data: normalized, hri: normalized, gs1: false, agency };
+      }
+      elements = parsedResult.segments
+        .filter((s) => s && GS1_AI_TABLE[s.ai])
+        .map((s) => ({ ai: s.ai, value: s.value }));
+    }
+    if (!elements.length) return { error: 'NOTHING_TO_ENCODE' };
+
+    const errors = validateElements(elements);
+    if (errors.length) return { error: 'INVALID_ELEMENTS', errors };
+
+    const hri = buildHri(elements);
+    if (content === 'digital_link') {
+      return { data: buildDigitalLink(elements, dlBase), hri, gs1: false, agency: 'GS1', elements };
+    }
+    return { data: buildElementString(elements), hri, gs1: true, agency: 'GS1', elements };
+  }
+
+  // Shared by both label routes: validates options, renders and streams the image.
+  async function sendLabel(req, res, source, opts) {
+    const symbology = String(opts.symbology || 'datamatrix').toLowerCase();
+    const format = String(opts.format || 'svg').toLowerCase();
+    const content = String(opts.content || 'element_string').toLowerCase();
+    if (!SYMBOLOGIES.includes(symbology)) {
+      return res.status(400).json({ ok: false, error: 'INVALID_SYMBOLOGY', allowed: SYMBOLOGIES });
+    }
+    if (!['svg', 'png'].includes(format)) {
+      return res.status(400).json({ ok: false, error: 'INVALID_FORMAT', allowed: ['svg', 'png'] });
+    }
+    if (content === 'digital_link' && symbology !== 'qr') {
+      return res.status(400).json({ ok: false, error: 'DIGITAL_LINK_REQUIRES_QR' });
+    }
+
+    const dlBase = opts.dl_base || process.env.GS1_DL_BASE_URL || 'https://id.gs1.org';
+    const label = labelContent(source, { content, dlBase });
+    if (label.error) {
+      return res.status(422).json({ ok: false, error: label.error, errors: label.errors });
+    }
+
+    let out;
+    try {
+      out = renderBarcode(label.data, {
+        symbology,
+        format,
+        scale: opts.scale,
+        hri: opts.hri === false || opts.hri === 'false' ? null : label.hri,
+        gs1: label.gs1
+      });
+    } catch (e) {
+      // Encoder refusals (data too long for GS1-128, unsupported characters) are client errors
+      return res.status(422).json({ ok: false, error: e.message });
+    }
+
+    await audit({
+      actor: { username: req.user.username, role: req.user.role },
+      event_type: 'LABEL_RENDER',
+      entity_type: source.scanRowId ? 'scan' : 'label',
+      entity_id: source.scanRowId || label.elements?.find((e) => e.ai === '01')?.value || null,
+      payload: { symbology, format, content, agency: label.agency, hri: label.hri }
+    });
+
+    res.set('Content-Type', out.content_type);
+    res.set('Cache-Control', 'no-store');
+    res.send(out.body);
+  }
+
+  // POST /api/labels/render - Render a GS1 DataMatrix / GS1-128 / GS1 QR label as SVG or PNG
+  // Body: one of { scan_id } (scans row), { raw } (scan payload) or { elements: [{ ai, value }] } / { ai: {...} }
+  //       plus { symbology: datamatrix|gs1-128|qr, format: svg|png, scale, hri: true|false, content: element_string|digital_link }
+  app.post('/api/labels/render', auth, requireRole('operator', 'admin'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      let source;
+
+      if (Array.isArray(body.elements) || (body.ai && typeof body.ai === 'object')) {
+        const elements = Array.isArray(body.elements)
+          ? body.elements.map((e) => ({ ai: String(e?.ai ?? '').trim(), value: String(e?.value ?? '') }))
+          : Object.entries(body.ai).map(([ai, value]) => ({ ai: String(ai).trim(), value: String(value ?? '') }));
+        source = { elements };
+      } else if (body.scan_id) {
+        const id = String(body.scan_id);
+        const r = await q('SELECT id, raw_string FROM scans WHERE id=$1 OR id=$2 LIMIT 1', [id, `SCAN-${id}`]);
+        if (!r.rows.length) {
+          return res.status(404).json({ ok: false, error: 'SCAN_NOT_FOUND' });
+        }
+        source = { scanRowId: r.rows[0].id, ...reparseStoredScan(r.rows[0].raw_string) };
+      } else if (body.raw) {
+        source = parseScan(String(body.raw).trim(), 'LOOKAHEAD');
+      } else {
+        return res.status(400).json({ ok: false, error: 'MISSING_SOURCE' });
+      }
+
+      await sendLabel(req, res, source, body);
+    } catch (e) {
+      console.error('labels/render error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // GET /api/scans/:id/label - Reprint label for a stored scan (id = scans row id or scan_id)
+  // Query: ?symbology=datamatrix|gs1-128|qr&format=svg|png&scale=4&hri=false&content=digital_link
+  app.get('/api/scans/:id/label', auth, requireRole('operator', 'admin'), async (req, res) => {
+    try {
+      const id = String(req.params.id);
+      const r = await q('SELECT id, raw_string FROM scans WHERE id=$1 OR id=$2 LIMIT 1', [id, `SCAN-${id}`]);
+      if (!r.rows.length) {
+        return res.status(404).json({ ok: false, error: 'SCAN_NOT_FOUND' });
+      }
+      const source = { scanRowId: r.rows[0].id, ...reparseStoredScan(r.rows[0].raw_string) };
+      await sendLabel(req, res, source, req.query || {});
+    } catch (e) {
+      console.error('scans/:id/label error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ----------------------------------------------------------------------------
+  // 9) ZPL Labels & Print Queue
+  // ----------------------------------------------------------------------------
+
+  const PRINT_JOB_STATUSES = ['QUEUED', 'SENT', 'PRINTED', 'FAILED', 'CANCELLED'];
+
+  function checkZplTemplate(body) {
+    const text = String(body || '').trim();
+    if (!/^\^XA/.test(text) || !/\^XZ$/.test(text)) return { error: 'TEMPLATE_MUST_START_XA_END_XZ' };
+    const unknown = zplPlaceholders(text).filter((p) => !ZPL_TEXT_FIELDS.includes(p) && !ZPL_DATA_FIELDS.includes(p));
+    if (unknown.length) return { error: 'UNKNOWN_PLACEHOLDERS', unknown };
+    return { body: text };
+  }
+
+  async function itemForGtin(gtin) {
+    if (!gtin) return null;
+    const r = await q(
+      `SELECT ic.item_no, ic.item_name
+       FROM gtin_map gm
+       LEFT JOIN public.items_cache ic ON ic.item_no = gm.item_no
+       WHERE gm.gtin = ANY($1) AND gm.status = 'ACTIVE'
+       LIMIT 1`,
+      [gtinForms(gtin)]
+    );
+    return r.rows[0] || null;
+  }
+
+  // Resolves { scan_id } | { session_id, line_id } | { sscc } into label fields for buildZpl.
+  async function zplLabelSource(body) {
+    const dlBase = process.env.GS1_DL_BASE_URL || 'https://id.gs1.org';
+
+    if (body.scan_id) {
+      const id = String(body.scan_id);
+      const r = await q('SELECT id, raw_string FROM scans WHERE id=$1 OR id=$2 LIMIT 1', [id, `SCAN-${id}`]);
+      if (!r.rows.length) return { status: 404, error: 'SCAN_NOT_FOUND' };
+      const scanned = reparseStoredScan(r.rows[0].raw_string);
+      const label = labelContent(scanned, { content: 'element_string' });
+      if (label.error) return { status: 422, error: label.error, errors: label.errors };
+      const item = await itemForGtin(label.elements?.find((e) => e.ai === '01')?.value);
+      const sq = scanQuantity(scanned.parsedResult.segments);
+      return {
+        source_type: 'SCAN',
+        source_ref: r.rows[0].id,
+        label: {
+          ...label,
+          digital_link: label.elements ? buildDigitalLink(label.elements, dlBase) : null,
+          item_no: item?.item_no,
+          item_name: item?.item_name,
+          qty: sq?.qty
+        }
+      };
+    }
+
+    if (body.session_id && body.line_id) {
+      const r = await q(
+        `SELECT wl.id, wl.item_no, wl.expected_qty, wl.scanned_qty, ws.reference_no, ws.session_type, ic.item_name
+         FROM public.work_lines wl
+         JOIN public.work_sessions ws ON ws.id = wl.session_id
+         LEFT JOIN public.items_cache ic ON ic.item_no = wl.item_no
+         WHERE wl.id = $1 AND wl.session_id = $2`,
+        [body.line_id, body.session_id]
+      );
+      if (!r.rows.length) return { status: 404, error: 'LINE_NOT_FOUND' };
+      const line = r.rows[0];
+
+      // Prefer the last scan booked against this line (carries lot/expiry); fall back to the mapped GTIN
+      const tx = await q(
+        `SELECT raw_scan FROM public.tx_log
+         WHERE session_id = $1 AND item_no = $2 AND raw_scan IS NOT NULL
+         ORDER BY created_at DESC LIMIT 1`,
+        [body.session_id, line.item_no]
+      );
+      let source;
+      if (tx.rows.length) {
+        source = parseScan(tx.rows[0].raw_scan, 'LOOKAHEAD');
+      } else {
+        const gm = await q(
+          `SELECT gtin FROM gtin_map WHERE item_no = $1 AND status = 'ACTIVE' ORDER BY updated_at DESC LIMIT 1`,
+          [line.item_no]
+        );
+        if (!gm.rows.length) return { status: 422, error: 'NO_GTIN_FOR_ITEM' };
+        source = { elements: [{ ai: '01', value: gtinTo14(gm.rows[0].gtin) }] };
+      }
+      const label = labelContent(source, { content: 'element_string' });
+      if (label.error) return { status: 422, error: label.error, errors: label.errors };
+      return {
+        source_type: 'WORK_LINE',
+        source_ref: line.id,
+        label: {
+          ...label,
+          digital_link: label.elements ? buildDigitalLink(label.elements, dlBase) : null,
+          item_no: line.item_no,
+          item_name: line.item_name,
+          qty: Number(line.scanned_qty) > 0 ? line.scanned_qty : line.expected_qty,
+          session_ref: line.reference_no,
+          session_type: line.session_type
+        }
+      };
+    }
+
+    if (body.sscc) {
+      const label = labelContent({ elements: [{ ai: '00', value: String(body.sscc).trim() }] }, { content: 'element_string' });
+      if (label.error) return { status: 422, error: label.error, errors: label.errors };
+      return { source_type: 'SSCC', source_ref: label.elements[0].value, label };
+    }
+
+    return { status: 400, error: 'MISSING_SOURCE' };
+  }
+
+  // GET /api/label-templates - List ZPL templates (the built-in default is listed when none is marked default)
+  app.get('/api/label-templates', auth, requireRole('operator', 'admin'), async (req, res) => {
+    try {
+      const r = await q(
+        `SELECT id, name, description, body, is_default, is_active, created_by, created_at, updated_at
+         FROM public.label_templates
+         ORDER BY is_default DESC, name`
+      );
+      res.json({
+        ok: true,
+        templates: r.rows,
+        builtin_default: ZPL_DEFAULT_TEMPLATE,
+        placeholders: [...ZPL_TEXT_FIELDS, ...ZPL_DATA_FIELDS]
+      });
+    } catch (e) {
+      console.error('label-templates list error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/label-templates - Create template (admin)
+  // Body: { name, description?, body, is_default? }
+  app.post('/api/label-templates', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const { name, description, is_default } = req.body || {};
+      if (!name || !req.body?.body) {
+        return res.status(400).json({ ok: false, error: 'MISSING_REQUIRED_FIELDS' });
+      }
+      const checked = checkZplTemplate(req.body.body);
+      if (checked.error) {
+        return res.status(400).json({ ok: false, ...checked });
+      }
+
+      if (is_default) await q('UPDATE public.label_templates SET is_default = false WHERE is_default');
+      const r = await q(
+        `INSERT INTO public.label_templates (name, description, body, is_default, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [String(name).trim(), description || null, checked.body, !!is_default, req.user.username]
+      );
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'LABEL_TEMPLATE_CREATED',
+        entity_type: 'label_template',
+        entity_id: r.rows[0].id,
+        payload: { name: r.rows[0].name, is_default: !!is_default }
+      });
+
+      res.json({ ok: true, template: r.rows[0] });
+    } catch (e) {
+      if (e.code === '23505') {
+        return res.status(409).json({ ok: false, error: 'TEMPLATE_NAME_EXISTS' });
+      }
+      console.error('label-templates create error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // PATCH /api/label-templates/:id - Update / deactivate template (admin)
+  // Body: any of { name, description, body, is_default, is_active }
+  app.patch('/api/label-templates/:id', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const patch = req.body || {};
+      const sets = [];
+      const params = [id];
+      const add = (col, val) => { params.push(val); sets.push(`${col}=$${params.length}`); };
+
+      if (patch.name !== undefined) add('name', String(patch.name).trim());
+      if (patch.description !== undefined) add('description', patch.description || null);
+      if (patch.body !== undefined) {
+        const checked = checkZplTemplate(patch.body);
+        if (checked.error) {
+          return res.status(400).json({ ok: false, ...checked });
+        }
+        add('body', checked.body);
+      }
+      if (patch.is_active !== undefined) add('is_active', !!patch.is_active);
+      if (patch.is_default !== undefined) add('is_default', !!patch.is_default);
+      if (!sets.length) {
+        return res.status(400).json({ ok: false, error: 'NOTHING_TO_UPDATE' });
+      }
+
+      if (patch.is_default) await q('UPDATE public.label_templates SET is_default = false WHERE is_default AND id <> $1', [id]);
+      const r = await q(
+        `UPDATE public.label_templates SET ${sets.join(', ')}, updated_at = now() WHERE id = $1 RETURNING *`,
+        params
+      );
+      if (!r.rows.length) {
+        return res.status(404).json({ ok: false, error: 'TEMPLATE_NOT_FOUND' });
+      }
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'LABEL_TEMPLATE_UPDATED',
+        entity_type: 'label_template',
+        entity_id: id,
+        payload: { fields: Object.keys(patch) }
+      });
+
+      res.json({ ok: true, template: r.rows[0] });
+    } catch (e) {
+      if (e.code === '23505') {
+        return res.status(409).json({ ok: false, error: 'TEMPLATE_NAME_EXISTS' });
+      }
+      console.error('label-templates update error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/labels/zpl - Generate ZPL II for a scan, a work session line or an SSCC
+  // Body: { scan_id } | { session_id, line_id } | { sscc }, plus optional { template_id, copies, queue, printer }
+  // Without queue the ZPL is returned as a .zpl download; with queue=true it is stored as a print job.
+  app.post('/api/labels/zpl', auth, requireRole('operator', 'admin'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const copies = Math.min(Math.max(Math.floor(Number(body.copies) || 1), 1), 999);
+
+      const src = await zplLabelSource(body);
+      if (src.error) {
+        return res.status(src.status).json({ ok: false, error: src.error, errors: src.errors });
+      }
+
+      const t = body.template_id
+        ? await q('SELECT id, body FROM public.label_templates WHERE id = $1 AND is_active', [body.template_id])
+        : await q('SELECT id, body FROM public.label_templates WHERE is_default AND is_active LIMIT 1');
+      if (body.template_id && !t.rows.length) {
+        return res.status(404).json({ ok: false, error: 'TEMPLATE_NOT_FOUND' });
+      }
+      const template = t.rows[0] || { id: null, body: ZPL_DEFAULT_TEMPLATE };
+
+      const zpl = buildZpl(
+        template.body,
+        { ...src.label, printed_by: req.user.username, printed_at: nowIso() },
+        { copies }
+      );
+
+      let job = null;
+      if (body.queue) {
+        const r = await q(
+          `INSERT INTO public.print_jobs (created_by, template_id, source_type, source_ref, printer, copies, zpl)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id, status, created_at, printer, copies`,
+          [req.user.username, template.id, src.source_type, String(src.source_ref), body.printer || null, copies, zpl]
+        );
+        job = r.rows[0];
+      }
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: job ? 'PRINT_JOB_QUEUED' : 'LABEL_ZPL_GENERATED',
+        entity_type: job ? 'print_job' : src.source_type.toLowerCase(),
+        entity_id: job ? job.id : String(src.source_ref),
+        payload: { source_type: src.source_type, source_ref: src.source_ref, template_id: template.id, copies }
+      });
+
+      if (job) {
+        return res.json({ ok: true, job, zpl });
+      }
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="label-${String(src.source_ref).replace(/[^\w.-]/g, '_')}.zpl"`);
+      res.send(zpl);
+    } catch (e) {
+      console.error('labels/zpl error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // GET /api/print-jobs - Print queue (?status=QUEUED&printer=...)
+  app.get('/api/print-jobs', auth, requireRole('operator', 'admin'), async (req, res) => {
+    try {
+      const { status, printer } = req.query;
+      const where = [];
+      const params = [];
+      if (status) {
+        params.push(String(status).toUpperCase());
+        where.push(`status = $${params.length}`);
+      }
+      if (printer) {
+        params.push(String(printer));
+        where.push(`printer = $${params.length}`);
+      }
+      const r = await q(
+        `SELECT id, created_at, created_by, template_id, source_type, source_ref, printer, copies, status, error, updated_at
+         FROM public.print_jobs
+         ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+         ORDER BY created_at
+         LIMIT 200`,
+        params
+      );
+      res.json({ ok: true, jobs: r.rows });
+    } catch (e) {
+      console.error('print-jobs list error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // GET /api/print-jobs/:id/zpl - Raw ZPL for a queued job (for a print agent or manual download)
+  app.get('/api/print-jobs/:id/zpl', auth, requireRole('operator', 'admin'), async (req, res) => {
+    try {
+      const r = await q('SELECT id, zpl FROM public.print_jobs WHERE id = $1', [req.params.id]);
+      if (!r.rows.length) {
+        return res.status(404).json({ ok: false, error: 'JOB_NOT_FOUND' });
+      }
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="print-job-${r.rows[0].id}.zpl"`);
+      res.send(r.rows[0].zpl);
+    } catch (e) {
+      console.error('print-jobs zpl error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // PATCH /api/print-jobs/:id - Report job progress { status: SENT|PRINTED|FAILED|CANCELLED, error? }
+  app.patch('/api/print-jobs/:id', auth, requireRole('operator', 'admin'), async (req, res) => {
+    try {
+      const status = String(req.body?.status || '').toUpperCase();
+      if (!PRINT_JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, error: 'INVALID_STATUS', allowed: PRINT_JOB_STATUSES });
+      }
+      const r = await q(
+        `UPDATE public.print_jobs SET status = $2, error = $3, updated_at = now()
+         WHERE id = $1
+         RETURNING id, status, error, updated_at`,
+        [req.params.id, status, req.body?.error || null]
+      );
+      if (!r.rows.length) {
+        return res.status(404).json({ ok: false, error: 'JOB_NOT_FOUND' });
+      }
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'PRINT_JOB_UPDATED',
+        entity_type: 'print_job',
+        entity_id: req.params.id,
+        payload: { status, error: req.body?.error || null }
+      });
+
+      res.json({ ok: true, job: r.rows[0] });
+    } catch (e) {
+      console.error('print-jobs update error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ----------------------------------------------------------------------------
+  // 10) Scanner Device Profiles
+  // ----------------------------------------------------------------------------
+
+  const SCANNER_ASSIGNMENT_SCOPES = ['DEVICE', 'USER'];
+
+  // GET /api/scanner-profiles - List profiles and their device/user assignments (admin)
+  app.get('/api/scanner-profiles', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const profiles = await q('SELECT * FROM public.scanner_profiles ORDER BY is_default DESC, name');
+      const assignments = await q(
+        `SELECT a.scope, a.subject, a.profile_id, sp.name AS profile_name, a.assigned_by, a.updated_at
+         FROM public.scanner_profile_assignments a
+         JOIN public.scanner_profiles sp ON sp.id = a.profile_id
+         ORDER BY a.scope, a.subject`
+      );
+      res.json({ ok: true, profiles: profiles.rows, assignments: assignments.rows, aim_id_modes: AIM_ID_MODES });
+    } catch (e) {
+      console.error('scanner-profiles list error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/scanner-profiles - Create profile (admin)
+  // Body: { name, description?, strip_prefixes?, strip_suffixes?, gs_substitutes?, aim_id_mode?, gs_dropped?, is_default? }
+  // Token lists are strings as typed; \xHH / \uHHHH stand for control characters (e.g. "\x02" STX).
+  app.post('/api/scanner-profiles', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const checked = checkScannerProfile(req.body);
+      if (checked.error) {
+        return res.status(400).json({ ok: false, ...checked });
+      }
+      const p = checked.profile;
+      const is_default = !!req.body?.is_default;
+
+      if (is_default) await q('UPDATE public.scanner_profiles SET is_default = false WHERE is_default');
+      const r = await q(
+        `INSERT INTO public.scanner_profiles
+         (name, description, strip_prefixes, strip_suffixes, gs_substitutes, aim_id_mode, gs_dropped, is_default, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          p.name,
+          p.description || null,
+          JSON.stringify(p.strip_prefixes),
+          JSON.stringify(p.strip_suffixes),
+          JSON.stringify(p.gs_substitutes),
+          p.aim_id_mode,
+          p.gs_dropped,
+          is_default,
+          req.user.username
+        ]
+      );
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'SCANNER_PROFILE_CREATED',
+        entity_type: 'scanner_profile',
+        entity_id: r.rows[0].id,
+        payload: { name: p.name, is_default }
+      });
+
+      res.json({ ok: true, profile: r.rows[0] });
+    } catch (e) {
+      if (e.code === '23505') {
+        return res.status(409).json({ ok: false, error: 'PROFILE_NAME_EXISTS' });
+      }
+      console.error('scanner-profiles create error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // PATCH /api/scanner-profiles/:id - Update / deactivate profile (admin)
+  app.patch('/api/scanner-profiles/:id', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const patch = req.body || {};
+      const checked = checkScannerProfile(patch, { partial: true });
+      if (checked.error) {
+        return res.status(400).json({ ok: false, ...checked });
+      }
+      const sets = [];
+      const params = [id];
+      const add = (col, val) => { params.push(val); sets.push(`${col}=$${params.length}`); };
+
+      for (const [col, val] of Object.entries(checked.profile)) {
+        add(col, Array.isArray(val) ? JSON.stringify(val) : val);
+      }
+      if (patch.is_active !== undefined) add('is_active', !!patch.is_active);
+      if (patch.is_default !== undefined) add('is_default', !!patch.is_default);
+      if (!sets.length) {
+        return res.status(400).json({ ok: false, error: 'NOTHING_TO_UPDATE' });
+      }
+
+      if (patch.is_default) await q('UPDATE public.scanner_profiles SET is_default = false WHERE is_default AND id <> $1', [id]);
+      const r = await q(
+        `UPDATE public.scanner_profiles SET ${sets.join(', ')}, updated_at = now() WHERE id = $1 RETURNING *`,
+        params
+      );
+      if (!r.rows.length) {
+        return res.status(404).json({ ok: false, error: 'PROFILE_NOT_FOUND' });
+      }
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'SCANNER_PROFILE_UPDATED',
+        entity_type: 'scanner_profile',
+        entity_id: id,
+        payload: { fields: Object.keys(patch) }
+      });
+
+      res.json({ ok: true, profile: r.rows[0] });
+    } catch (e) {
+      if (e.code === '23505') {
+        return res.status(409).json({ ok: false, error: 'PROFILE_NAME_EXISTS' });
+      }
+      console.error('scanner-profiles update error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // PUT /api/scanner-profiles/assignments - Assign a profile to a device or a user (admin)
+  // Body: { scope: 'DEVICE'|'USER', subject: device_id|username, profile_id } - profile_id null removes it
+  app.put('/api/scanner-profiles/assignments', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const scope = String(req.body?.scope || '').toUpperCase();
+      const subject = String(req.body?.subject || '').trim();
+      const profile_id = req.body?.profile_id || null;
+      if (!SCANNER_ASSIGNMENT_SCOPES.includes(scope) || !subject) {
+        return res.status(400).json({ ok: false, error: 'INVALID_ASSIGNMENT', allowed_scopes: SCANNER_ASSIGNMENT_SCOPES });
+      }
+
+      let assignment = null;
+      if (profile_id) {
+        const p = await q('SELECT id FROM public.scanner_profiles WHERE id = $1', [profile_id]);
+        if (!p.rows.length) {
+          return res.status(404).json({ ok: false, error: 'PROFILE_NOT_FOUND' });
+        }
+        const r = await q(
+          `INSERT INTO public.scanner_profile_assignments (scope, subject, profile_id, assigned_by)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (scope, subject) DO UPDATE SET
+             profile_id = EXCLUDED.profile_id,
+             assigned_by = EXCLUDED.assigned_by,
+             updated_at = now()
+           RETURNING *`,
+          [scope, subject, profile_id, req.user.username]
+        );
+        assignment = r.rows[0];
+      } else {
+        await q('DELETE FROM public.scanner_profile_assignments WHERE scope = $1 AND subject = $2', [scope, subject]);
+      }
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: profile_id ? 'SCANNER_PROFILE_ASSIGNED' : 'SCANNER_PROFILE_UNASSIGNED',
+        entity_type: 'scanner_profile',
+        entity_id: profile_id,
+        payload: { scope, subject }
+      });
+
+      res.json({ ok: true, assignment });
+    } catch (e) {
+      console.error('scanner-profiles assign error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/scanner-profiles/preview - What a profile makes of a raw scan, and how it then parses
+  // Body: { raw, profile_id } or { raw, profile: { ...unsaved fields } } or { raw, device_id } (the profile that would apply)
+  app.post('/api/scanner-profiles/preview', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const raw = String(req.body?.raw ?? '');
+      let profile = null;
+      if (req.body?.profile_id) {
+        const r = await q('SELECT * FROM public.scanner_profiles WHERE id = $1', [req.body.profile_id]);
+        profile = r.rows[0] || null;
+        if (!profile) {
+          return res.status(404).json({ ok: false, error: 'PROFILE_NOT_FOUND' });
+        }
+      } else if (req.body?.profile) {
+        const checked = checkScannerProfile({ name: 'preview', ...req.body.profile });
+        if (checked.error) {
+          return res.status(400).json({ ok: false, ...checked });
+        }
+        profile = checked.profile;
+      } else {
+        profile = await resolveScannerProfile(req.body?.username || req.user.username, req.body?.device_id);
+      }
+
+      const out = applyScannerProfile(raw, profile);
+      const policy = policyForScanner(await getActivePolicy(), out.applied);
+      const { normalized, parsedResult } = parseScan(out.raw, policy.missing_gs_behavior || 'BLOCK');
+      res.json({
+        ok: true,
+        profile: profile ? { id: profile.id || null, name: profile.name, matched_by: profile.matched_by || null } : null,
+        raw_received: raw,
+        raw: out.raw,
+        applied: out.applied,
+        normalized,
+        parsed: parsedResult.segments,
+        parse_meta: parsedResult.meta
+      });
+    } catch (e) {
+      console.error('scanner-profiles preview error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ----------------------------------------------------------------------------
+  // 11) Barcode Inspector
+  // ----------------------------------------------------------------------------
+
+  // A stored scan as the parser saw it (raw_string is after the scanner profile); what the scanner
+  // sent before that is under received. A split-label scan is inspected part by part.
+  async function inspectStoredScan(id) {
+    const r = await q(
+      'SELECT id, scan_id, created_at, raw_string, decision, context FROM scans WHERE id=$1 OR id=$2 LIMIT 1',
+      [id, `SCAN-${id}`]
+    );
+    if (!r.rows.length) return null;
+    const row = r.rows[0];
+    const ctx = row.context || {};
+    const out = {
+      scan: { id: row.id, scan_id: row.scan_id, created_at: row.created_at, decision: row.decision },
+      scanner_profile: ctx.scanner_profile || null,
+    };
+
+    if (ctx.composition?.parts?.length > 1) {
+      out.parts = ctx.composition.parts.map((p) => ({ scan_id: p.scan_id, ...inspectScan(p.raw_string) }));
+      return out;
+    }
+
+    const scanned = parseScan(row.raw_string, 'LOOKAHEAD');
+    await rankParseCandidatesInContext(scanned.parsedResult, ctx);
+    const raw_received = ctx.scanner_profile?.raw_received;
+    if (raw_received != null && raw_received !== row.raw_string) {
+      out.received = { raw: raw_received, length: raw_received.length, chars: inspectChars(raw_received) };
+    }
+    return { ...out, ...inspectScan(row.raw_string, scanned) };
+  }
+
+  // POST /api/scans/inspect - Byte-by-byte breakdown of a scan: character codes, GS and control
+  // characters, symbology identifier, where each AI starts and ends, boundaries inferred by lookahead
+  // Body: { scan_id } (scans row id or scan_id) or { raw }
+  app.post('/api/scans/inspect', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      if (body.scan_id) {
+        const out = await inspectStoredScan(String(body.scan_id));
+        if (!out) {
+          return res.status(404).json({ ok: false, error: 'SCAN_NOT_FOUND' });
+        }
+        return res.json({ ok: true, ...out });
+      }
+      if (body.raw === undefined || body.raw === null || body.raw === '') {
+        return res.status(400).json({ ok: false, error: 'MISSING_SOURCE' });
+      }
+      res.json({ ok: true, ...inspectScan(String(body.raw)) });
+    } catch (e) {
+      console.error('scans/inspect error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // GET /api/scans/:id/inspect - Same for a stored scan (id = scans row id or scan_id)
+  app.get('/api/scans/:id/inspect', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const out = await inspectStoredScan(String(req.params.id));
+      if (!out) {
+        return res.status(404).json({ ok: false, error: 'SCAN_NOT_FOUND' });
+      }
+      res.json({ ok: true, ...out });
+    } catch (e) {
+      console.error('scans/:id/inspect error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ----------------------------------------------------------------------------
+  // 12) Parser Self-Test
+  // ----------------------------------------------------------------------------
+
+  // GET /api/parse/selftest - Conformance corpus (gs1-conformance.json) against the active policy
+  // Query: ?failed=true to list only the failing cases
+  app.get('/api/parse/selftest', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const report = runConformance(await getActivePolicy());
+      if (String(req.query.failed) === 'true') report.cases = report.cases.filter((c) => !c.pass);
+      res.json({ ok: true, ...report });
+    } catch (e) {
+      console.error('parse/selftest error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ----------------------------------------------------------------------------
+  // 13) Image Decode
+  // ----------------------------------------------------------------------------
+
+  // POST /api/scans/decode-image - Decode the DataMatrix / QR / GS1-128 symbols in a label photo,
+  // for desktops without a camera and labels the camera decode gives up on
+  // Body: the JPEG/PNG itself (Content-Type image/jpeg or image/png, options in the query), or JSON
+  //       { image: base64 or data: URL, formats: [datamatrix|qr|gs1-128], parse_validate: true, context }
+  // parse_validate adds each symbol's parse-validate result under the policy that applies to it.
+  // Nothing is stored; the operator submits the symbol they meant as a scan.
+  // Decoding runs on a worker thread; 503 DECODE_BUSY when too many photos are already waiting.
+  app.post('/api/scans/decode-image', parseRateLimit, auth, requireRole('operator', 'admin'), express.raw({ type: ['image/jpeg', 'image/png'], limit: `${DECODE_IMAGE_MAX_MB}mb` }), async (req, res) => {
+    try {
+      const uploaded = Buffer.isBuffer(req.body);
+      const opts = uploaded ? req.query : req.body || {};
+      const image = uploaded
+        ? req.body
+        : Buffer.from(String(opts.image || '').replace(/^data:[^,]*;base64,/, ''), 'base64');
+      if (!image.length) {
+        return res.status(400).json({ ok: false, error: 'MISSING_IMAGE' });
+      }
+
+      let formats;
+      if (opts.formats !== undefined && opts.formats !== '') {
+        formats = (Array.isArray(opts.formats) ? opts.formats : String(opts.formats).split(','))
+          .map((f) => String(f).trim().toLowerCase())
+          .filter(Boolean);
+        if (!formats.length || formats.some((f) => !DECODE_FORMATS[f])) {
+          return res.status(400).json({ ok: false, error: 'INVALID_FORMATS', allowed: Object.keys(DECODE_FORMATS) });
+        }
+      }
+
+      let out;
+      try {
+        out = await decodeImage(image, { formats });
+      } catch (e) {
+        // Not a JPEG/PNG, corrupt, or more pixels than we decode
+        if (/^IMAGE_/.test(e.message)) return res.status(422).json({ ok: false, error: e.message });
+        if (e.message === 'DECODE_BUSY') return res.status(503).json({ ok: false, error: 'DECODE_BUSY' });
+        throw e;
+      }
+
+      if (opts.parse_validate === true || opts.parse_validate === 'true') {
+        const context = (!uploaded && opts.context) || {};
+        const policies = await scanPolicy(req.user, context);
+        for (const symbol of out.symbols) {
+          const { normalized, parsedResult } = parseScan(symbol.raw, policies.parsePolicy.missing_gs_behavior || 'BLOCK');
+          await rankParseCandidatesInContext(parsedResult, context);
+          const symbolPolicy = await policies.forScan(parsedResult);
+          const dctx = await decisionContext(symbolPolicy, parsedResult, context);
+          const d = decide(parsedResult, symbolPolicy, dctx);
+          symbol.validation = {
+            decision: d.decision,
+            normalized,
+            parsed: parsedResult.segments,
+            parse_meta: d.meta,
+            checks: d.checks,
+            policy_applied: symbolPolicy,
+            ...(dctx.serial_registry ? { serial_registry: dctx.serial_registry } : {})
+          };
+        }
+      }
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'SCAN_IMAGE_DECODE',
+        entity_type: 'scan_image',
+        entity_id: null,
+        payload: {
+          content_type: out.content_type,
+          bytes: image.length,
+          width: out.width,
+          height: out.height,
+          formats: formats || Object.keys(DECODE_FORMATS),
+          symbols: out.symbols.map((s) => ({ format: s.format, raw: s.raw, decision: s.validation?.decision || null }))
+        }
+      });
+
+      res.json({ ok: true, ...out, count: out.symbols.length });
+    } catch (e) {
+      console.error('scans/decode-image error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ----------------------------------------------------------------------------
+  // 14) Scoped Policy Rules
+  // ----------------------------------------------------------------------------
+
+  // GET /api/policy-rules - List rules, broadest scope first (admin)
+  // Query: ?scope=GTIN&subject=09501101020917, ?active=true
+  app.get('/api/policy-rules', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const { scope, subject, active } = req.query;
+      const params = [];
+      let where = 'WHERE 1=1';
+      if (scope) {
+        params.push(String(scope).toUpperCase());
+        where += ` AND scope = $${params.length}`;
+      }
+      if (subject) {
+        params.push(String(subject));
+        where += ` AND subject = $${params.length}`;
+      }
+      if (active !== undefined) {
+        params.push(String(active) === 'true');
+        where += ` AND is_active = $${params.length}`;
+      }
+      const r = await q(
+        `SELECT * FROM public.policy_rules ${where}
+         ORDER BY array_position($${params.length + 1}::text[], scope), priority, created_at`,
+        [...params, POLICY_RULE_SCOPES]
+      );
+      res.json({ ok: true, rules: r.rows, scopes: POLICY_RULE_SCOPES });
+    } catch (e) {
+      console.error('policy-rules list error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/policy-rules - Create rule (admin)
+  // Body: { name, description?, scope: ROLE|SESSION_TYPE|COMPANY_PREFIX|ITEM|GTIN, subject, priority?, overrides: { policy fields }, is_active? }
+  app.post('/api/policy-rules', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const checked = checkPolicyRule(req.body);
+      if (checked.error) {
+        return res.status(400).json({ ok: false, ...checked });
+      }
+      const p = checked.rule;
+      const r = await q(
+        `INSERT INTO public.policy_rules (name, description, scope, subject, priority, overrides, is_active, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [p.name, p.description, p.scope, p.subject, p.priority, JSON.stringify(p.overrides), p.is_active, req.user.username]
+      );
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'POLICY_RULE_CREATED',
+        entity_type: 'policy_rule',
+        entity_id: r.rows[0].id,
+        payload: { name: p.name, scope: p.scope, subject: p.subject, priority: p.priority, overrides: p.overrides }
+      });
+
+      res.json({ ok: true, rule: r.rows[0] });
+    } catch (e) {
+      console.error('policy-rules create error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // PATCH /api/policy-rules/:id - Update / deactivate rule (admin); overrides, when given, replace the old ones
+  app.patch('/api/policy-rules/:id', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const patch = req.body || {};
+      const cur = await q('SELECT * FROM public.policy_rules WHERE id::text = $1', [id]);
+      if (!cur.rows.length) {
+        return res.status(404).json({ ok: false, error: 'RULE_NOT_FOUND' });
+      }
+      const checked = checkPolicyRule({ ...cur.rows[0], ...patch });
+      if (checked.error) {
+        return res.status(400).json({ ok: false, ...checked });
+      }
+      const p = checked.rule;
+      const r = await q(
+        `UPDATE public.policy_rules
+         SET name = $2, description = $3, scope = $4, subject = $5, priority = $6, overrides = $7, is_active = $8, updated_at = now()
+         WHERE id = $1
+         RETURNING *`,
+        [cur.rows[0].id, p.name, p.description, p.scope, p.subject, p.priority, JSON.stringify(p.overrides), p.is_active]
+      );
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'POLICY_RULE_UPDATED',
+        entity_type: 'policy_rule',
+        entity_id: cur.rows[0].id,
+        payload: { fields: Object.keys(patch), before: cur.rows[0].overrides, after: p.overrides, is_active: p.is_active }
+      });
+
+      res.json({ ok: true, rule: r.rows[0] });
+    } catch (e) {
+      console.error('policy-rules update error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/policy-rules/resolve - The policy a scan would be decided under, and which rules made it (admin)
+  // Body: { raw } or { gtin }, plus { role, session_type | session_id } - role defaults to operator
+  app.post('/api/policy-rules/resolve', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const ctx = { session_type: body.session_type || null, session_id: body.session_id || null };
+      const policies = await scanPolicy({ role: String(body.role || 'operator').toLowerCase() }, ctx);
+      let parsedResult = { segments: [] };
+      if (body.raw) {
+        parsedResult = parseScan(String(body.raw), policies.parsePolicy.missing_gs_behavior || 'BLOCK').parsedResult;
+      } else if (body.gtin) {
+        parsedResult = { segments: [{ ai: '01', value: String(body.gtin).trim() }] };
+      }
+      const policy = await policies.forScan(parsedResult);
+      res.json({ ok: true, scope: productScopeOf(parsedResult), policy, matched_rules: policy.matched_rules });
+    } catch (e) {
+      console.error('policy-rules resolve error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ----------------------------------------------------------------------------
+  // 15) Policy Versions
+  // ----------------------------------------------------------------------------
+
+  // :version / ?from / ?to - a version number, or "active" for the one in force
+  async function findPolicyVersion(ref) {
+    if (String(ref) === 'active') {
+      await promoteDuePolicy();
+      const r = await q(`SELECT ${POLICY_VERSION_COLUMNS}, config FROM policies WHERE is_active ORDER BY version DESC LIMIT 1`);
+      return r.rows[0] || null;
+    }
+    if (!/^\d+$/.test(String(ref))) return null;
+    const r = await q(`SELECT ${POLICY_VERSION_COLUMNS}, config FROM policies WHERE version = $1 ORDER BY created_at LIMIT 1`, [
+      Number(ref)
+    ]);
+    return r.rows[0] || null;
+  }
+
+  // GET /api/policies/versions - List versions, newest first, without their configs (admin)
+  // Query: ?status=DRAFT|SCHEDULED|ACTIVE|RETIRED
+  app.get('/api/policies/versions', auth, requireRole('admin'), async (req, res) => {
+    try {
+      await promoteDuePolicy();
+      const { status } = req.query;
+      const params = [];
+      let where = '';
+      if (status) {
+        params.push(String(status).toUpperCase());
+        where = 'WHERE status = $1';
+      }
+      const r = await q(`SELECT ${POLICY_VERSION_COLUMNS} FROM policies ${where} ORDER BY version DESC`, params);
+      res.json({ ok: true, versions: r.rows });
+    } catch (e) {
+      console.error('policy versions list error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // GET /api/policies/versions/:version - One version with its config (admin)
+  app.get('/api/policies/versions/:version', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const row = await findPolicyVersion(req.params.version);
+      if (!row) {
+        return res.status(404).json({ ok: false, error: 'POLICY_VERSION_NOT_FOUND' });
+      }
+      res.json({ ok: true, version: row });
+    } catch (e) {
+      console.error('policy version get error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // GET /api/policies/diff?from=3&to=5 - Field-level differences between two versions (admin); to defaults to active
+  app.get('/api/policies/diff', auth, requireRole('admin'), async (req, res) => {
+    try {
+      if (!req.query.from) {
+        return res.status(400).json({ ok: false, error: 'MISSING_FROM' });
+      }
+      const from = await findPolicyVersion(req.query.from);
+      const to = await findPolicyVersion(req.query.to || 'active');
+      if (!from || !to) {
+        return res.status(404).json({ ok: false, error: 'POLICY_VERSION_NOT_FOUND', missing: !from ? req.query.from : req.query.to || 'active' });
+      }
+      const changes = diffPolicyConfigs(from.config, to.config);
+      res.json({ ok: true, from: from.version, to: to.version, identical: changes.length === 0, changes });
+    } catch (e) {
+      console.error('policy diff error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/policies/drafts - Stage a new version without putting it in force (admin)
+  // Body: { config: { policy fields }, based_on?: version (default: active), name?, note? }
+  // config holds the changes; every field it leaves out is taken from the based_on version.
+  app.post('/api/policies/drafts', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const base = await findPolicyVersion(body.based_on ?? 'active');
+      if (body.based_on !== undefined && !base) {
+        return res.status(404).json({ ok: false, error: 'POLICY_VERSION_NOT_FOUND' });
+      }
+      const changes = checkPolicyConfig(body.config || {}, { partial: true });
+      if (changes.error) {
+        return res.status(400).json({ ok: false, ...changes });
+      }
+      const checked = checkPolicyConfig({ ...(base?.config || {}), ...changes.config });
+      if (checked.error) {
+        return res.status(400).json({ ok: false, ...checked });
+      }
+      const row = await insertPolicyVersion({
+        name: String(body.name || '').trim() || 'Draft Policy',
+        config: checked.config,
+        status: 'DRAFT',
+        note: body.note || null,
+        based_on: base?.version ?? null,
+        created_by: req.user.username
+      });
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'POLICY_DRAFT_CREATED',
+        entity_type: 'policy',
+        entity_id: String(row.version),
+        payload: { based_on: row.based_on, changes: diffPolicyConfigs(base?.config || {}, checked.config) }
+      });
+
+      res.json({ ok: true, version: row });
+    } catch (e) {
+      console.error('policy draft create error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // PATCH /api/policies/versions/:version - Edit a draft (admin)
+  // Body: { config?: { changed policy fields }, name?, note? }
+  app.patch('/api/policies/versions/:version', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const cur = await findPolicyVersion(req.params.version);
+      if (!cur) {
+        return res.status(404).json({ ok: false, error: 'POLICY_VERSION_NOT_FOUND' });
+      }
+      if (cur.status !== 'DRAFT') {
+        return res.status(409).json({ ok: false, error: 'POLICY_NOT_DRAFT', status: cur.status });
+      }
+      const changes = checkPolicyConfig(body.config || {}, { partial: true });
+      if (changes.error) {
+        return res.status(400).json({ ok: false, ...changes });
+      }
+      const checked = checkPolicyConfig({ ...cur.config, ...changes.config });
+      if (checked.error) {
+        return res.status(400).json({ ok: false, ...checked });
+      }
+      const r = await q(
+        `UPDATE policies SET config = $2, name = $3, note = $4
+         WHERE id = $1 AND status = 'DRAFT'
+         RETURNING ${POLICY_VERSION_COLUMNS}, config`,
+        [cur.id, checked.config, String(body.name || '').trim() || cur.name, body.note !== undefined ? body.note : cur.note]
+      );
+      if (!r.rows.length) {
+        return res.status(409).json({ ok: false, error: 'POLICY_NOT_DRAFT' });
+      }
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'POLICY_DRAFT_UPDATED',
+        entity_type: 'policy',
+        entity_id: String(cur.version),
+        payload: { changes: diffPolicyConfigs(cur.config, checked.config) }
+      });
+
+      res.json({ ok: true, version: r.rows[0] });
+    } catch (e) {
+      console.error('policy draft update error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/policies/versions/:version/activate - Put a draft in force now, or at activate_at (admin)
+  // Body: { activate_at?: ISO time in the future } - a scheduled version can also be activated early
+  app.post('/api/policies/versions/:version/activate', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const cur = await findPolicyVersion(req.params.version);
+      if (!cur) {
+        return res.status(404).json({ ok: false, error: 'POLICY_VERSION_NOT_FOUND' });
+      }
+      if (cur.status !== 'DRAFT' && cur.status !== 'SCHEDULED') {
+        // RETIRED versions come back through rollback, which keeps the history intact
+        return res.status(409).json({ ok: false, error: 'POLICY_NOT_ACTIVATABLE', status: cur.status });
+      }
+      const actor = { username: req.user.username, role: req.user.role };
+
+      const at = req.body?.activate_at;
+      if (at) {
+        const when = new Date(at);
+        if (Number.isNaN(when.getTime()) || when.getTime() <= Date.now()) {
+          return res.status(400).json({ ok: false, error: 'INVALID_ACTIVATE_AT', details: 'activate_at must be a time in the future' });
+        }
+        const r = await q(
+          `UPDATE policies SET status = 'SCHEDULED', activate_at = $2, activated_by = $3
+           WHERE id = $1 AND status IN ('DRAFT','SCHEDULED')
+           RETURNING ${POLICY_VERSION_COLUMNS}`,
+          [cur.id, when, req.user.username]
+        );
+        if (!r.rows.length) {
+          return res.status(409).json({ ok: false, error: 'POLICY_NOT_ACTIVATABLE' });
+        }
+        await audit({
+          actor,
+          event_type: 'POLICY_SCHEDULED',
+          entity_type: 'policy',
+          entity_id: String(cur.version),
+          payload: { activate_at: when.toISOString(), previous_activate_at: cur.activate_at }
+        });
+        return res.json({ ok: true, scheduled: true, version: r.rows[0] });
+      }
+
+      const row = await activatePolicyVersion(cur.id, req.user.username);
+      await audit({
+        actor,
+        event_type: 'POLICY_ACTIVATED',
+        entity_type: 'policy',
+        entity_id: String(cur.version),
+        payload: row.config
+      });
+      res.json({ ok: true, scheduled: false, version: row });
+    } catch (e) {
+      console.error('policy activate error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/policies/versions/:version/unschedule - Call off a scheduled activation; the version is a draft again (admin)
+  app.post('/api/policies/versions/:version/unschedule', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const cur = await findPolicyVersion(req.params.version);
+      if (!cur) {
+        return res.status(404).json({ ok: false, error: 'POLICY_VERSION_NOT_FOUND' });
+      }
+      const r = await q(
+        `UPDATE policies SET status = 'DRAFT', activate_at = NULL, activated_by = NULL
+         WHERE id = $1 AND status = 'SCHEDULED'
+         RETURNING ${POLICY_VERSION_COLUMNS}`,
+        [cur.id]
+      );
+      if (!r.rows.length) {
+        return res.status(409).json({ ok: false, error: 'POLICY_NOT_SCHEDULED', status: cur.status });
+      }
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'POLICY_UNSCHEDULED',
+        entity_type: 'policy',
+        entity_id: String(cur.version),
+        payload: { activate_at: cur.activate_at }
+      });
+
+      res.json({ ok: true, version: r.rows[0] });
+    } catch (e) {
+      console.error('policy unschedule error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/policies/versions/:version/rollback - Bring a retired version back into force (admin)
+  // Body: { note? }. Its config is copied to a new version, so the version list stays in order.
+  app.post('/api/policies/versions/:version/rollback', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const src = await findPolicyVersion(req.params.version);
+      if (!src) {
+        return res.status(404).json({ ok: false, error: 'POLICY_VERSION_NOT_FOUND' });
+      }
+      if (src.status !== 'RETIRED') {
+        return res.status(409).json({ ok: false, error: 'POLICY_NOT_RETIRED', status: src.status });
+      }
+      const previous = await findPolicyVersion('active');
+      const copy = await insertPolicyVersion({
+        name: src.name,
+        config: src.config,
+        status: 'DRAFT',
+        note: req.body?.note || `Rollback to version ${src.version}`,
+        based_on: src.version,
+        created_by: req.user.username
+      });
+      const row = await activatePolicyVersion(copy.id, req.user.username);
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'POLICY_ROLLED_BACK',
+        entity_type: 'policy',
+        entity_id: String(row.version),
+        payload: {
+          restored_version: src.version,
+          replaced_version: previous?.version ?? null,
+          changes: diffPolicyConfigs(previous?.config || {}, src.config)
+        }
+      });
+
+      res.json({ ok: true, version: row, restored_version: src.version, replaced_version: previous?.version ?? null });
+    } catch (e) {
+      console.error('policy rollback error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ----------------------------------------------------------------------------
+  // 16) Policy Simulation
+  // ----------------------------------------------------------------------------
+
+  // One stored scan decided under base (plus the scoped rules) as of the day it was scanned.
+  // NO-BLOCK is left out so the report shows the BLOCKs a policy would raise.
+  async function redecideStoredScan(row, base, rules) {
+    const ctx = row.context || {};
+    const policies = await scanPolicy({ role: row.actor_role || 'operator' }, ctx, ctx.scanner_profile || null, { base, rules });
+    const { parsedResult } = reparseStoredScan(row.raw_string, policies.parsePolicy.missing_gs_behavior || 'BLOCK');
+    await rankParseCandidatesInContext(parsedResult, ctx);
+    const policy = await policies.forScan(parsedResult);
+    const d = decideScan(parsedResult, policy, await shelfLifeContext(policy, parsedResult, ctx), { today: new Date(row.created_at) });
+    return { decision: d.decision, checks: d.checks.map(({ code, severity }) => ({ code, severity })), parsedResult };
+  }
+
+  // POST /api/policies/simulate - What a draft policy would have decided on past scans, against the active policy (admin)
+  // Body: { version } (a stored version) or { config } (changed fields over the active policy),
+  //       from?, to? (ISO; default the last 7 days), sample_size? (scan ids per bucket, default 5)
+  // Scans are re-parsed from raw_string and re-decided under both policies; the newest
+  // POLICY_SIMULATION_MAX_SCANS of the window are used (truncated: true when there were more).
+  app.post('/api/policies/simulate', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const active = await findPolicyVersion('active');
+      const baseline = active?.config || { ...DEFAULT_POLICY };
+
+      let draft;
+      let draftVersion = null;
+      if (body.version !== undefined && body.version !== null) {
+        const row = await findPolicyVersion(body.version);
+        if (!row) {
+          return res.status(404).json({ ok: false, error: 'POLICY_VERSION_NOT_FOUND' });
+        }
+        draft = row.config;
+        draftVersion = row.version;
+      } else if (body.config) {
+        const changes = checkPolicyConfig(body.config, { partial: true });
+        if (changes.error) {
+          return res.status(400).json({ ok: false, ...changes });
+        }
+        const checked = checkPolicyConfig({ ...baseline, ...changes.config });
+        if (checked.error) {
+          return res.status(400).json({ ok: false, ...checked });
+        }
+        draft = checked.config;
+      } else {
+        return res.status(400).json({ ok: false, error: 'MISSING_POLICY', details: 'Give version or config' });
+      }
+
+      const to = body.to ? new Date(body.to) : new Date();
+      const from = body.from ? new Date(body.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+        return res.status(400).json({ ok: false, error: 'INVALID_WINDOW', details: 'from and to must be ISO times, from before to' });
+      }
+      const sampleSize = Math.min(Math.max(parseInt(body.sample_size, 10) || 5, 1), 50);
+
+      // Who scanned: the audit event written with the scan row
+      const r = await q(
+        `SELECT s.id, s.created_at, s.raw_string, s.context, a.actor_username, a.actor_role
+         FROM scans s
+         LEFT JOIN (
+           SELECT DISTINCT ON (entity_id) entity_id, actor_username, actor_role
+           FROM audit_events
+           WHERE entity_type = 'scan' AND event_type IN ('SCAN_PARSE_VALIDATE', 'UI_COMMIT') AND created_at >= $1
+           ORDER BY entity_id, created_at
+         ) a ON a.entity_id = s.id
+         WHERE s.created_at >= $1 AND s.created_at < $2 AND s.raw_string <> ''
+         ORDER BY s.created_at DESC
+         LIMIT $3`,
+        [from, to, POLICY_SIMULATION_MAX_SCANS + 1]
+      );
+      const truncated = r.rows.length > POLICY_SIMULATION_MAX_SCANS;
+      const scans = r.rows.slice(0, POLICY_SIMULATION_MAX_SCANS);
+
+      const rules = await activePolicyRules();
+      const results = [];
+      const skipped = [];
+      for (const row of scans) {
+        try {
+          const before = await redecideStoredScan(row, baseline, rules);
+          const after = await redecideStoredScan(row, draft, rules);
+          results.push({
+            scan_id: row.id,
+            gtin: productScopeOf(after.parsedResult).gtin,
+            operator: row.actor_username || null,
+            before,
+            after
+          });
+        } catch (e) {
+          skipped.push({ scan_id: row.id, error: e?.message || String(e) });
+        }
+      }
+      const summary = summarizeSimulation(results, { sampleSize });
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'POLICY_SIMULATED',
+        entity_type: 'policy',
+        entity_id: draftVersion !== null ? String(draftVersion) : null,
+        payload: {
+          from: from.toISOString(),
+          to: to.toISOString(),
+          baseline_version: active?.version ?? null,
+          scanned: summary.total,
+          changed: summary.changed
+        }
+      });
+
+      res.json({
+        ok: true,
+        window: { from: from.toISOString(), to: to.toISOString() },
+        baseline_version: active?.version ?? null,
+        draft_version: draftVersion,
+        policy_changes: diffPolicyConfigs(baseline, draft),
+        truncated,
+        skipped: skipped.length,
+        skipped_samples: skipped.slice(0, sampleSize),
+        ...summary
+      });
+    } catch (e) {
+      console.error('policy simulate error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ----------------------------------------------------------------------------
+  // 17) Recalls & Quality Holds
+  // ----------------------------------------------------------------------------
+
+  // Stock already received that each hold covers: committed receipts (bc_postings -> scans) and inbound
+  // tx_log rows of its GTIN, with the outbound tx_log rows that took some of it out again listed apart;
+  // totals.qty is what is left (received - outbound). tx_log keeps no serial column, so for serial holds
+  // it comes from raw_scan. One query per source for all the holds, however many a recall list brings.
+  async function affectedStockOf(holds) {
+    const gtins = [...new Set(holds.map((h) => h.gtin))];
+    if (!gtins.length) return [];
+
+    const p = await q(
+      `SELECT p.scan_id, p.posting_intent, p.status, p.response->'bc_result'->>'document_no' AS document_no,
+              p.actor_username, p.created_at AS posted_at, s.parsed
+       FROM bc_postings p
+       JOIN scans s ON s.id = 'SCAN-' || p.scan_id
+       WHERE s.parsed @> ANY($1::jsonb[])
+       ORDER BY p.created_at DESC`,
+      [gtins.map((g) => JSON.stringify([{ ai: '01', value: g }]))]
+    );
+    const postingUnits = p.rows.map(({ parsed, ...row }) => ({ row, unit: unitOf(parsed) }));
+
+    const t = await q(
+      `SELECT id, created_at, created_by, tx_type, gtin, item_no, qty, lot, raw_scan, session_id, status
+       FROM public.tx_log
+       WHERE gtin = ANY($1) AND upper(tx_type) = ANY($2)
+       ORDER BY created_at DESC`,
+      [gtins.flatMap(gtinForms), [...SERIAL_INBOUND_TX_TYPES, ...SERIAL_OUTBOUND_TX_TYPES]]
+    );
+    const serialGtins = new Set(holds.filter((h) => h.serials?.length).map((h) => h.gtin));
+    const txUnits = t.rows.map((row) => {
+      const gtin = gtinTo14(row.gtin);
+      const serial = serialGtins.has(gtin) && row.raw_scan ? unitOf(parseScan(row.raw_scan, 'LOOKAHEAD').parsedResult).serial : null;
+      return { row, unit: { gtin, lot: row.lot, serial } };
+    });
+
+    return holds.map((hold) => {
+      const covers = ({ unit }) => matchQualityHolds([{ ...hold, is_active: true }], unit).length > 0;
+      const postings = postingUnits.filter(covers).map(({ row, unit }) => ({ ...row, lot: unit.lot, serial: unit.serial }));
+      const covered = txUnits.filter(covers).map(({ row, unit }) => ({ ...row, serial: unit.serial }));
+      const transactions = covered.filter((x) => SERIAL_INBOUND_TX_TYPES.includes(x.tx_type.toUpperCase()));
+      const outbound = covered.filter((x) => SERIAL_OUTBOUND_TX_TYPES.includes(x.tx_type.toUpperCase()));
+      const sumQty = (rows) => rows.reduce((sum, x) => sum + Number(x.qty || 0), 0);
+      return {
+        postings,
+        transactions,
+        outbound,
+        totals: {
+          postings: postings.length,
+          transactions: transactions.length,
+          outbound: outbound.length,
+          received_qty: sumQty(transactions),
+          outbound_qty: sumQty(outbound),
+          qty: sumQty(transactions) - sumQty(outbound)
+        }
+      };
+    });
+  }
+
+  async function affectedStock(hold) {
+    return (await affectedStockOf([hold]))[0];
+  }
+
+  // GET /api/quality-holds - List holds, newest first (admin, auditor)
+  // Query: ?gtin=09501101020917, ?kind=RECALL, ?active=true
+  app.get('/api/quality-holds', auth, requireRole('admin', 'auditor'), async (req, res) => {
+    try {
+      const { gtin, kind, active } = req.query;
+      const params = [];
+      let where = 'WHERE 1=1';
+      if (gtin) {
+        params.push(gtinTo14(String(gtin).trim()));
+        where += ` AND gtin = $${params.length}`;
+      }
+      if (kind) {
+        params.push(String(kind).toUpperCase());
+        where += ` AND kind = $${params.length}`;
+      }
+      if (active !== undefined) {
+        params.push(String(active) === 'true');
+        where += ` AND is_active = $${params.length}`;
+      }
+      const r = await q(`SELECT * FROM public.quality_holds ${where} ORDER BY created_at DESC`, params);
+      res.json({ ok: true, holds: r.rows, kinds: QUALITY_HOLD_KINDS });
+    } catch (e) {
+      console.error('quality-holds list error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/quality-holds - Create hold (admin); the response lists the stock already received that it covers
+  // Body: { kind?: RECALL|FIELD_SAFETY|QUALITY_HOLD, reference?, gtin, lot? | lot_from?, lot_to?, serials?, reason? }
+  app.post('/api/quality-holds', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const checked = checkQualityHold(req.body);
+      if (checked.error) {
+        return res.status(400).json({ ok: false, ...checked });
+      }
+      const h = checked.hold;
+      const r = await q(
+        `INSERT INTO public.quality_holds (kind, reference, gtin, lot_from, lot_to, serials, reason, is_active, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [h.kind, h.reference, h.gtin, h.lot_from, h.lot_to, h.serials, h.reason, h.is_active, req.user.username]
+      );
+      const affected_stock = await affectedStock(r.rows[0]);
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'QUALITY_HOLD_CREATED',
+        entity_type: 'quality_hold',
+        entity_id: r.rows[0].id,
+        payload: { ...h, affected: affected_stock.totals }
+      });
+
+      res.json({ ok: true, hold: r.rows[0], affected_stock });
+    } catch (e) {
+      console.error('quality-holds create error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/quality-holds/import - Create holds from a CSV notice list (admin)
+  // Body: text/csv, or JSON { csv }. Header row with columns from kind, reference, gtin, lot, lot_from,
+  // lot_to, serials, reason. ?dry_run=true only checks. One bad row and nothing is imported.
+  app.post('/api/quality-holds/import', auth, requireRole('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    try {
+      const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+      if (!csv || !String(csv).trim()) {
+        return res.status(400).json({ ok: false, error: 'MISSING_CSV' });
+      }
+      const { holds, errors } = parseQualityHoldCsv(csv);
+      if (errors.length || !holds.length) {
+        return res.status(400).json({ ok: false, error: errors.length ? 'INVALID_CSV' : 'EMPTY_CSV', errors, valid: holds.length });
+      }
+      const dryRun = String(req.query.dry_run || req.body?.dry_run || '') === 'true';
+      if (dryRun) {
+        return res.json({ ok: true, dry_run: true, holds: holds.map((x) => ({ row: x.row, ...x.hold })) });
+      }
+
+      // One statement, so the list goes in whole or not at all
+      const r = await q(
+        `INSERT INTO public.quality_holds (kind, reference, gtin, lot_from, lot_to, serials, reason, is_active, created_by)
+         SELECT kind, reference, gtin, lot_from, lot_to, serials, reason, is_active, $2
+         FROM jsonb_to_recordset($1::jsonb)
+           AS x(kind text, reference text, gtin text, lot_from text, lot_to text, serials text[], reason text, is_active boolean)
+         RETURNING *`,
+        [JSON.stringify(holds.map((x) => x.hold)), req.user.username]
+      );
+      const affected = await affectedStockOf(r.rows);
+      const imported = r.rows.map((hold, i) => ({ ...hold, affected: affected[i].totals }));
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'QUALITY_HOLDS_IMPORTED',
+        entity_type: 'quality_hold',
+        entity_id: null,
+        payload: { count: imported.length, ids: imported.map((x) => x.id), affected: imported.filter((x) => x.affected.postings || x.affected.transactions).length }
+      });
+
+      res.json({ ok: true, imported: imported.length, holds: imported });
+    } catch (e) {
+      console.error('quality-holds import error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // PATCH /api/quality-holds/:id - Update a hold; { is_active: false } releases it (admin)
+  app.patch('/api/quality-holds/:id', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const patch = req.body || {};
+      const cur = await q('SELECT * FROM public.quality_holds WHERE id::text = $1', [req.params.id]);
+      if (!cur.rows.length) {
+        return res.status(404).json({ ok: false, error: 'HOLD_NOT_FOUND' });
+      }
+      const before = cur.rows[0];
+      const checked = checkQualityHold({ ...before, ...patch });
+      if (checked.error) {
+        return res.status(400).json({ ok: false, ...checked });
+      }
+      const h = checked.hold;
+      const released = before.is_active && !h.is_active;
+      const r = await q(
+        `UPDATE public.quality_holds
+         SET kind = $2, reference = $3, gtin = $4, lot_from = $5, lot_to = $6, serials = $7, reason = $8, is_active = $9,
+             released_by = CASE WHEN $9 THEN NULL WHEN is_active THEN $10 ELSE released_by END,
+             released_at = CASE WHEN $9 THEN NULL WHEN is_active THEN now() ELSE released_at END,
+             updated_at = now()
+         WHERE id = $1
+         RETURNING *`,
+        [before.id, h.kind, h.reference, h.gtin, h.lot_from, h.lot_to, h.serials, h.reason, h.is_active, req.user.username]
+      );
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: released ? 'QUALITY_HOLD_RELEASED' : 'QUALITY_HOLD_UPDATED',
+        entity_type: 'quality_hold',
+        entity_id: before.id,
+        payload: { fields: Object.keys(patch), before, after: h }
+      });
+
+      res.json({ ok: true, hold: r.rows[0] });
+    } catch (e) {
+      console.error('quality-holds update error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // GET /api/quality-holds/:id/affected-stock - Received stock the hold covers (admin, auditor)
+  app.get('/api/quality-holds/:id/affected-stock', auth, requireRole('admin', 'auditor'), async (req, res) => {
+    try {
+      const r = await q('SELECT * FROM public.quality_holds WHERE id::text = $1', [req.params.id]);
+      if (!r.rows.length) {
+        return res.status(404).json({ ok: false, error: 'HOLD_NOT_FOUND' });
+      }
+      res.json({ ok: true, hold: r.rows[0], ...(await affectedStock(r.rows[0])) });
+    } catch (e) {
+      console.error('quality-holds affected-stock error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ----------------------------------------------------------------------------
+  // 18) Serial Registry
+  // ----------------------------------------------------------------------------
+
+  // GET /api/serial-registry - Registered serials, last received first (admin, auditor)
+  // Query: ?gtin=09501101020917, ?serial=SN1, ?status=IN_STOCK|RETURNED, ?limit=200 (max 1000)
+  app.get('/api/serial-registry', auth, requireRole('admin', 'auditor'), async (req, res) => {
+    try {
+      const { gtin, serial, status } = req.query;
+      const params = [];
+      let where = 'WHERE 1=1';
+      if (gtin) {
+        params.push(gtinTo14(String(gtin).trim()));
+        where += ` AND gtin = $${params.length}`;
+      }
+      if (serial) {
+        params.push(String(serial));
+        where += ` AND serial = $${params.length}`;
+      }
+      if (status) {
+        params.push(String(status).toUpperCase());
+        where += ` AND status = $${params.length}`;
+      }
+      params.push(Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000));
+      const r = await q(`SELECT * FROM public.serial_registry ${where} ORDER BY last_received_at DESC LIMIT $${params.length}`, params);
+      res.json({ ok: true, serials: r.rows });
+    } catch (e) {
+      console.error('serial-registry list error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/serial-registry/outbound - Record that a serialized unit left stock outside tx_log, so it can be received again
+  // Body: { raw } (a scan of the unit) or { gtin, serial }, reference? (shipment / RTV document)
+  app.post('/api/serial-registry/outbound', auth, requireRole('operator', 'admin'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const unit = body.raw
+        ? unitOf(parseScan(String(body.raw), 'LOOKAHEAD').parsedResult)
+        : { gtin: /^\d{8,14}$/.test(String(body.gtin || '')) ? gtinTo14(String(body.gtin)) : null, serial: body.serial ? String(body.serial).trim() : null };
+      if (!unit.gtin || !unit.serial) {
+        return res.status(400).json({ ok: false, error: 'MISSING_GTIN_OR_SERIAL' });
+      }
+      const entry = await serialOutbound(unit, { username: req.user.username, reference: body.reference || null });
+      if (!entry) {
+        const cur = await q('SELECT * FROM public.serial_registry WHERE gtin = $1 AND serial = $2', [unit.gtin, unit.serial]);
+        return cur.rows.length
+          ? res.status(409).json({ ok: false, error: 'SERIAL_NOT_IN_STOCK', entry: cur.rows[0] })
+          : res.status(404).json({ ok: false, error: 'SERIAL_NOT_REGISTERED' });
+      }
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'SERIAL_OUTBOUND',
+        entity_type: 'serial',
+        entity_id: `${unit.gtin}/${unit.serial}`,
+        payload: { reference: body.reference || null, receipt_count: entry.receipt_count }
+      });
+
+      res.json({ ok: true, entry });
+    } catch (e) {
+      console.error('serial-registry outbound error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // POST /api/serial-registry/backfill - Register the serials of past receipts (admin)
+  // Committed postings and inbound/outbound tx_log rows are replayed oldest first for the serials the
+  // registry does not know yet, so it can be run again. Serials received twice without leaving stock in
+  // between are listed under duplicates (the earlier receipt stays registered).
+  app.post('/api/serial-registry/backfill', auth, requireRole('admin'), async (req, res) => {
+    try {
+      const postings = await q(
+        `SELECT DISTINCT ON (p.scan_id) p.scan_id AS ref, p.created_at AS at, p.actor_username AS username,
+                p.response->'bc_result'->>'document_no' AS document_no, s.parsed, s.context->>'session_id' AS session_id
+         FROM bc_postings p
+         JOIN scans s ON s.id = 'SCAN-' || p.scan_id
+         WHERE s.parsed @> '[{"ai":"21"}]'::jsonb
+         ORDER BY p.scan_id, p.created_at`
+      );
+      const txs = await q(
+        `SELECT id::text AS ref, created_at AS at, created_by AS username, upper(tx_type) AS tx_type, gtin, raw_scan,
+                session_id::text AS session_id
+         FROM public.tx_log
+         WHERE raw_scan IS NOT NULL AND upper(tx_type) = ANY($1)`,
+        [[...SERIAL_INBOUND_TX_TYPES, ...SERIAL_OUTBOUND_TX_TYPES]]
+      );
+
+      const known = new Set((await q('SELECT gtin, serial FROM public.serial_registry')).rows.map((x) => `${x.gtin}|${x.serial}`));
+      const events = [
+        ...postings.rows.map((x) => ({ ...x, source: 'POSTING', unit: unitOf(x.parsed) })),
+        ...txs.rows.map((x) => {
+          const unit = unitOf(parseScan(x.raw_scan, 'LOOKAHEAD').parsedResult);
+          if (!unit.gtin && /^\d{8,14}$/.test(String(x.gtin))) unit.gtin = gtinTo14(String(x.gtin));
+          return { ...x, source: 'TX_LOG', unit };
+        })
+      ]
+        .filter((x) => x.unit.gtin && x.unit.serial && !known.has(`${x.unit.gtin}|${x.unit.serial}`))
+        .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+      let receipts = 0;
+      let outbound = 0;
+      const duplicates = [];
+      for (const ev of events) {
+        if (SERIAL_OUTBOUND_TX_TYPES.includes(ev.tx_type)) {
+          if (await serialOutbound(ev.unit, { username: ev.username, reference: ev.ref, at: ev.at })) outbound++;
+          continue;
+        }
+        const reg = await registerSerialReceipt(ev.unit, {
+          source: ev.source,
+          ref: ev.ref,
+          document_no: ev.document_no || null,
+          session_id: ev.session_id,
+          username: ev.username,
+          at: ev.at
+        });
+        if (reg.duplicate) {
+          duplicates.push({
+            gtin: ev.unit.gtin,
+            serial: ev.unit.serial,
+            source: ev.source,
+            ref: ev.ref,
+            at: ev.at,
+            previous: { source: reg.duplicate.last_source, ref: reg.duplicate.last_source_ref, at: reg.duplicate.last_received_at }
+          });
+        } else {
+          receipts++;
+        }
+      }
+
+      await audit({
+        actor: { username: req.user.username, role: req.user.role },
+        event_type: 'SERIAL_REGISTRY_BACKFILL',
+        entity_type: 'serial',
+        entity_id: null,
+        payload: { events: events.length, receipts, outbound, duplicates: duplicates.length }
+      });
+
+      res.json({ ok: true, events: events.length, receipts, outbound, duplicates });
+    } catch (e) {
+      console.error('serial-registry backfill error:', e);
+      res.status(500).json({ ok: false, error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ============================================================================
+  // End of New APIs
+  // ============================================================================
+
+
+// ============================================================================
+// Compatibility APIs for the static UI (No-Block friendly)
+// These routes exist because some static UIs call /api/parse-validate and /api/commit.
+// They do NOT require Idempotency-Key and they NEVER BLOCK; they return WARN with reasons.
+// Units that must not be received are the exception: RECALLED_LOT, QUARANTINED_SERIAL and DUPLICATE_SERIAL stay BLOCK.
+// ============================================================================
 
 app.post("/api/parse-validate", auth, requireRole("operator", "admin", "auditor"), async (req, res) => {
-  const raw = String(req.body?.raw ?? req.body?.raw_string ?? "").trim();
-  const policy = await getActivePolicy();
+  const received = await receiveScan(
+    req.user.username,
+    String(req.body?.raw ?? req.body?.raw_string ?? "").trim(),
+    req.body?.context?.device_id || req.header("X-Device-Id")
+  );
+  const raw = received.raw;
+  const policies = await scanPolicy(req.user, req.body?.context, received.applied);
 
   if (!raw) {
     return res.json({
@@ -2322,13 +4780,15 @@ app.post("/api/parse-validate", auth, requireRole("operator", "admin", "auditor"
       parsed: uiParsedFromSegments([], ""),
       parse_meta: { no_block: NO_BLOCK, empty: true },
       checks: [{ code: "EMPTY_INPUT", severity: "WARN", message: "Empty barcode payload." }],
-      policy_applied: policy,
+      policy_applied: policies.parsePolicy,
     });
   }
 
-  const normalized = normalizeInput(raw);
-  const parsedResult = parseGs1(normalized, NO_BLOCK ? "LOOKAHEAD" : (policy.missing_gs_behavior || "BLOCK"));
-  const d = decide(parsedResult, policy);
+  const { normalized, parsedResult } = parseScan(raw, NO_BLOCK ? "LOOKAHEAD" : (policies.parsePolicy.missing_gs_behavior || "BLOCK"));
+  await rankParseCandidatesInContext(parsedResult, req.body?.context || {});
+  const policy = await policies.forScan(parsedResult);
+  const dctx = await decisionContext(policy, parsedResult, req.body?.context || {});
+  const d = decide(parsedResult, policy, dctx);
 
   res.json({
     decision: d.decision,
@@ -2337,53 +4797,71 @@ app.post("/api/parse-validate", auth, requireRole("operator", "admin", "auditor"
     parse_meta: d.meta,
     checks: d.checks,
     policy_applied: policy,
+    scanner_profile: received.applied,
+    ...(dctx.serial_registry ? { serial_registry: dctx.serial_registry } : {}),
   });
 });
 
 
 // Compatibility endpoints used by the UI (parse / validate split)
 app.post("/api/parse", auth, requireRole("operator", "admin", "auditor"), async (req, res) => {
-  const raw = String(req.body?.raw ?? req.body?.raw_string ?? "").trim();
-  const policy = await getActivePolicy();
+  const received = await receiveScan(
+    req.user.username,
+    String(req.body?.raw ?? req.body?.raw_string ?? "").trim(),
+    req.body?.context?.device_id || req.header("X-Device-Id")
+  );
+  const raw = received.raw;
+  const policies = await scanPolicy(req.user, req.body?.context, received.applied);
   if (!raw) {
     return res.json({
       normalized: "",
       parsed: uiParsedFromSegments([], ""),
       parse_meta: { no_block: NO_BLOCK, empty: true },
-      policy_applied: policy,
+      policy_applied: policies.parsePolicy,
     });
   }
-  const normalized = normalizeInput(raw);
-  const parsedResult = parseGs1(normalized, NO_BLOCK ? "LOOKAHEAD" : (policy.missing_gs_behavior || "BLOCK"));
+  const { normalized, parsedResult } = parseScan(raw, NO_BLOCK ? "LOOKAHEAD" : (policies.parsePolicy.missing_gs_behavior || "BLOCK"));
+  await rankParseCandidatesInContext(parsedResult, req.body?.context || {});
+  const policy = await policies.forScan(parsedResult);
   return res.json({
     normalized,
     parsed: uiParsedFromSegments(parsedResult.segments, raw),
     parse_meta: parsedResult.meta || {},
     policy_applied: policy,
+    scanner_profile: received.applied,
   });
 });
 
 app.post("/api/validate", auth, requireRole("operator", "admin", "auditor"), async (req, res) => {
-  const raw = String(req.body?.raw ?? req.body?.raw_string ?? "").trim();
-  const policy = await getActivePolicy();
+  const received = await receiveScan(
+    req.user.username,
+    String(req.body?.raw ?? req.body?.raw_string ?? "").trim(),
+    req.body?.context?.device_id || req.header("X-Device-Id")
+  );
+  const raw = received.raw;
+  const policies = await scanPolicy(req.user, req.body?.context, received.applied);
   if (!raw) {
     return res.json({
       decision: "WARN",
       normalized: "",
       checks: [{ code: "EMPTY_INPUT", severity: "WARN", message: "Empty barcode payload." }],
       parse_meta: { no_block: NO_BLOCK, empty: true },
-      policy_applied: policy,
+      policy_applied: policies.parsePolicy,
     });
   }
-  const normalized = normalizeInput(raw);
-  const parsedResult = parseGs1(normalized, NO_BLOCK ? "LOOKAHEAD" : (policy.missing_gs_behavior || "BLOCK"));
-  const d = decide(parsedResult, policy);
+  const { normalized, parsedResult } = parseScan(raw, NO_BLOCK ? "LOOKAHEAD" : (policies.parsePolicy.missing_gs_behavior || "BLOCK"));
+  await rankParseCandidatesInContext(parsedResult, req.body?.context || {});
+  const policy = await policies.forScan(parsedResult);
+  const dctx = await decisionContext(policy, parsedResult, req.body?.context || {});
+  const d = decide(parsedResult, policy, dctx);
   return res.json({
     decision: d.decision,
     normalized,
     checks: d.checks,
     parse_meta: d.meta,
     policy_applied: policy,
+    scanner_profile: received.applied,
+    ...(dctx.serial_registry ? { serial_registry: dctx.serial_registry } : {}),
   });
 });
 
@@ -2396,7 +4874,8 @@ app.post("/api/scan/validate", auth, requireRole("operator", "admin", "auditor")
 });
 
 
-// Legacy commit for static UI: always succeeds (SIMULATED) and returns warnings.
+// Legacy commit for static UI: always succeeds (SIMULATED) and returns warnings, unless the unit is recalled,
+// on hold, or a serial already in stock. context (session_id, customer_no, ...) is read as by parse-validate.
 app.post("/api/commit", auth, requireRole("operator", "admin", "auditor"), async (req, res) => {
   const raw = String(req.body?.raw ?? "").trim();
   const commitType = String(req.body?.commitType ?? "RECEIPT").toUpperCase();
@@ -2407,29 +4886,48 @@ app.post("/api/commit", auth, requireRole("operator", "admin", "auditor"), async
 
   // Create/Upsert a scan row (so dashboards/audit work)
   const scan_id = `UI-${Date.now()}-${String(Math.floor(Math.random() * 1e6)).padStart(6, "0")}`;
-  const policy = await getActivePolicy();
-  const normalized = normalizeInput(raw);
-  const parsedResult = raw ? parseGs1(normalized, NO_BLOCK ? "LOOKAHEAD" : (policy.missing_gs_behavior || "BLOCK")) : { segments: [], meta: {} };
-  const d = decide(parsedResult, policy);
+  const received = raw ? await receiveScan(req.user.username, raw, req.header("X-Device-Id")) : { raw, applied: null };
+  const policies = await scanPolicy(req.user, req.body?.context || {}, received.applied);
+  const { normalized, parsedResult } = raw
+    ? parseScan(received.raw, NO_BLOCK ? "LOOKAHEAD" : (policies.parsePolicy.missing_gs_behavior || "BLOCK"))
+    : { normalized: "", parsedResult: { segments: [], meta: {} } };
+  const policy = await policies.forScan(parsedResult);
+  const dctx = await decisionContext(policy, parsedResult, req.body?.context || {}, { receipt: true });
+  const { quality_holds } = dctx;
+  const d = decide(parsedResult, policy, dctx);
 
   const scanRowId = `SCAN-${scan_id}`;
   const context = { source: "ui_commit", template, client_ts: req.body?.client_ts || nowIso(), commitType };
+  if (received.applied) context.scanner_profile = received.applied;
 
   await q(
     `
-    INSERT INTO scans (id, scan_id, raw_string, normalized, decision, checks, parsed, context)
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+    INSERT INTO scans (id, scan_id, raw_string, normalized, decision, checks, parsed, context, symbology_id)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
     ON CONFLICT (id) DO UPDATE SET
       raw_string=EXCLUDED.raw_string,
       normalized=EXCLUDED.normalized,
       decision=EXCLUDED.decision,
       checks=EXCLUDED.checks,
       parsed=EXCLUDED.parsed,
-      context=EXCLUDED.context
+      context=EXCLUDED.context,
+      symbology_id=EXCLUDED.symbology_id
   `,
-    [scanRowId, scan_id, raw, normalized, d.decision, d.checks, parsedResult.segments, context]
+    [scanRowId, scan_id, received.raw, normalized, d.decision, d.checks, parsedResult.segments, context, parsedResult.meta?.symbology?.id || null]
   );
 
+  // Recalled / quarantined: the scan is kept, nothing is posted
+  if (quality_holds.length) {
+    await audit({
+      actor: { username: req.user.username, role: req.user.role },
+      event_type: "COMMIT_REFUSED_QUALITY_HOLD",
+      entity_type: "scan",
+      entity_id: scanRowId,
+      payload: { scan_id, posting_intent, holds: quality_holds.map((h) => h.hold_id) },
+    });
+    return res.status(409).json({ ok: false, error: "QUALITY_HOLD", scan_id, holds: quality_holds, warnings: d.checks });
+  }
+
   // Simulated BC result (same format as /api/postings/commit)
   const simulatedDocNo = `SIM-${posting_intent === "PURCHASE_RECEIPT" ? "PR" : "TR"}-${new Date().getFullYear()}-${String(
     Math.floor(Math.random() * 1000000)
@@ -2449,6 +4947,23 @@ app.post("/api/commit", auth, requireRole("operator", "admin", "auditor"), async
     notes: "SIMULATED commit via /api/commit (UI compatibility).",
   };
 
+  const serial = await registerSerialReceipt(unitOf(parsedResult), {
+    source: "POSTING",
+    ref: scan_id,
+    document_no: simulatedDocNo,
+    username: req.user.username,
+  });
+  if (serial.duplicate) {
+    await audit({
+      actor: { username: req.user.username, role: req.user.role },
+      event_type: "COMMIT_REFUSED_DUPLICATE_SERIAL",
+      entity_type: "scan",
+      entity_id: scanRowId,
+      payload: { scan_id, posting_intent, gtin: serial.duplicate.gtin, serial: serial.duplicate.serial, previous: serial.duplicate.last_source_ref },
+    });
+    return res.status(409).json({ ok: false, error: "DUPLICATE_SERIAL", scan_id, previous: serial.duplicate, warnings: d.checks });
+  }
+
   // Store posting (best effort)
   try {
     await q(
@@ -2480,6 +4995,16 @@ app.post("/api/queue/consume", auth, requireRole("operator", "admin", "auditor")
   return res.json({ ok: true, ignored: true });
 });
 
+// -------- Shared parser modules for the browser --------
+// Only these files; the rest of the server directory is never served.
+const BROWSER_MODULES = ["gs1-parser.js", "gs1-keys.js", "gs1-dates.js", "scanner-profiles.js"];
+app.get("/lib/:file", (req, res, next) => {
+  if (!BROWSER_MODULES.includes(req.params.file)) return next();
+  res.type("application/javascript");
+  res.set("Cache-Control", "no-cache");
+  res.sendFile(path.join(__dirname, req.params.file));
+});
+
 // -------- Serve static frontend (same origin) --------
   const staticDir = path.join(__dirname, "public");
   if (fs.existsSync(staticDir)) {
@@ -2487,12 +5012,24 @@ app.post("/api/queue/consume", auth, requireRole("operator", "admin", "auditor")
   }
 
   console.log('✅ New APIs loaded:');
-  console.log('  - Items Cache: /api/items-cache, /api/items-cache/top200');
+  console.log('  - Items Cache: /api/items-cache, /api/items-cache/top200, /api/items-cache/:item_no');
   console.log('  - Work Sessions: /api/work-sessions, /api/work-sessions/:id');
   console.log('  - Qty Suggestion: /api/qty-suggestion');
   console.log('  - Operator Mapping: /api/operator/map-gtin');
   console.log('  - Transaction Log: /api/tx-log');
   console.log('  - GTIN Map Updates: deactivate, history');
+  console.log('  - GS1 Encode: /api/gs1/encode');
+  console.log('  - Labels: /api/labels/render, /api/scans/:id/label');
+  console.log('  - ZPL & Print Queue: /api/labels/zpl, /api/label-templates, /api/print-jobs');
+  console.log('  - Scanner Profiles: /api/scanner-profiles, /api/scanner-profiles/assignments, /api/scanner-profiles/preview');
+  console.log('  - Barcode Inspector: /api/scans/inspect, /api/scans/:id/inspect');
+  console.log('  - Parser Self-Test: /api/parse/selftest');
+  console.log('  - Image Decode: /api/scans/decode-image');
+  console.log('  - Policy Rules: /api/policy-rules, /api/policy-rules/resolve');
+  console.log('  - Policy Versions: /api/policies/versions, /api/policies/diff, /api/policies/drafts');
+  console.log('  - Policy Simulation: /api/policies/simulate');
+  console.log('  - Quality Holds: /api/quality-holds, /api/quality-holds/import, /api/quality-holds/:id/affected-stock');
+  console.log('  - Serial Registry: /api/serial-registry, /api/serial-registry/outbound, /api/serial-registry/backfill');
 
   return app;
 }
@@ -2505,6 +5042,11 @@ export async function startServer() {
   app.listen(PORT, () => {
     console.log(`GS1/UDI Supabase-Ready App listening on :${PORT}`);
   });
+
+  // Split-label parts whose window ran out get their case even when the device sends nothing more
+  setInterval(() => {
+    expirePendingCompositions().catch((e) => console.error("composition sweep error:", e));
+  }, 5000).unref();
 }
 
 // ---- IMPORTANT: no auto-start on import ----